@@ -19,6 +19,7 @@ class ReportsManager {
     init() {
         this.setupEventListeners();
         this.loadMockData();
+        this.loadRecalls();
     }
 
     /**
@@ -41,6 +42,12 @@ class ReportsManager {
             });
         }
 
+        // Recall register filter
+        const recallStatusFilter = document.getElementById('recallStatusFilter');
+        if (recallStatusFilter) {
+            recallStatusFilter.addEventListener('change', () => this.loadRecalls());
+        }
+
         // Export type selection
         document.querySelectorAll('input[name="exportType"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
@@ -89,6 +96,12 @@ class ReportsManager {
             await new Promise(resolve => setTimeout(resolve, 1000));
             
             const data = this.getMockDataForReport(reportType, filters);
+
+            // Scan charts are aggregated by the backend from logScan events
+            if (reportType === 'scans') {
+                data.chartData = await this.getScansChartData(filters);
+                data.stats.totalScans = data.chartData.total;
+            }
             
             this.updateCharts(data);
             this.updateTable(data.tableData);
@@ -224,9 +237,6 @@ class ReportsManager {
             case 'usage':
                 baseData.chartData = this.getUsageChartData();
                 break;
-            case 'scans':
-                baseData.chartData = this.getScansChartData();
-                break;
             default:
                 baseData.chartData = this.getSystemChartData();
         }
@@ -342,27 +352,84 @@ class ReportsManager {
         };
     }
 
-    getScansChartData() {
+    /**
+     * Scan charts from ReportAPI.getScanAnalytics
+     * @param {Object} filters - ค่าจากฟอร์มตัวกรอง
+     * @return {Promise<Object>} chartData พร้อม total
+     */
+    async getScansChartData(filters = {}) {
+        const result = await ReportAPI.getScanAnalytics(this.getScanAnalyticsFilters(filters));
+        if (!result.success) {
+            throw new Error(result.message || 'ไม่สามารถโหลดสถิติการสแกนได้');
+        }
+
+        const analytics = result.analytics;
+        const sum = (counts, keys) => keys.reduce((total, key) => total + (counts[key] || 0), 0);
+        const monthNames = ['มค', 'กพ', 'มีค', 'เมย', 'พค', 'มิย', 'กค', 'สค', 'กย', 'ตค', 'พย', 'ธค'];
+        const hours = (from, to) => analytics.byHour.slice(from, to).reduce((total, count) => total + count, 0);
+
+        const sources = analytics.bySource;
+        const knownSources = ['camera', 'batch', 'image', 'manual'];
+        const otherSources = Object.keys(sources).filter(source => !knownSources.includes(source));
+
         return {
+            total: analytics.total,
             groups: {
-                labels: ['สำเร็จ', 'ล้มเหลว', 'ข้อมูลไม่พบ'],
-                data: [1125, 85, 35]
+                labels: ['สำเร็จ', 'ไม่พบข้อมูล', 'สแกนซ้ำ', 'ไม่ใช่รหัสของระบบ', 'ผิดพลาด'],
+                data: [
+                    sum(analytics.byStatus, ['success']),
+                    sum(analytics.byStatus, ['not_found']),
+                    sum(analytics.byStatus, ['duplicate']),
+                    sum(analytics.byStatus, ['unmapped', 'not_detected']),
+                    sum(analytics.byStatus, ['error', 'invalid_signature'])
+                ]
             },
             growth: {
-                labels: ['มค', 'กพ', 'มีค', 'เมย', 'พค', 'มิย'],
-                data: [156, 234, 345, 456, 678, 789]
+                labels: analytics.byMonth.map(item => monthNames[Number(item.month.slice(5, 7)) - 1]),
+                data: analytics.byMonth.map(item => item.count)
             },
             cropTypes: {
-                labels: ['แอปมือถือ', 'เว็บไซต์', 'QR Reader'],
-                data: [70, 25, 5]
+                labels: ['กล้อง', 'รูปภาพ', 'พิมพ์รหัส', 'ลิงก์/อื่นๆ'],
+                data: [
+                    sum(sources, ['camera', 'batch']),
+                    sum(sources, ['image']),
+                    sum(sources, ['manual']),
+                    sum(sources, otherSources)
+                ]
             },
             scanStats: {
+                // เวลาไทย: เช้า 06-09, สาย 09-12, บ่าย 12-16, เย็น 16-19, ค่ำ 19-06
                 labels: ['เช้า', 'สาย', 'บ่าย', 'เย็น', 'ค่ำ'],
-                data: [145, 234, 189, 267, 156]
+                data: [hours(6, 9), hours(9, 12), hours(12, 16), hours(16, 19), hours(19, 24) + hours(0, 6)]
             }
         };
     }
 
+    /**
+     * Filter form => getScanAnalytics request
+     * dateRange มาจาก daterangepicker รูปแบบ "DD/MM/YYYY - DD/MM/YYYY"
+     */
+    getScanAnalyticsFilters(filters) {
+        const request = {};
+        const toISO = (text) => {
+            const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text.trim());
+            return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+        };
+
+        if (filters.dateRange) {
+            const [from, to] = filters.dateRange.split(' - ');
+            if (from && toISO(from)) request.dateFrom = toISO(from);
+            if (to && toISO(to)) request.dateTo = toISO(to);
+        }
+
+        const groupMatch = /(\d{2})$/.exec(filters.groupFilter || '');
+        if (groupMatch) {
+            request.groupCode = groupMatch[1];
+        }
+
+        return request;
+    }
+
     /**
      * Update charts with new data
      */
@@ -646,7 +713,7 @@ class ReportsManager {
                         ${row.status === 'active' ? 'เปิดใช้งาน' : 'ปิดใช้งาน'}
                     </span>
                 </td>
-                <td>${Utils.formatDate(row.created)}</td>
+                <td>${Dates.format(row.created)}</td>
                 <td>
                     <div class="btn-group btn-group-sm">
                         <button class="btn btn-outline-primary" onclick="viewDetails(${row.id})">
@@ -818,6 +885,117 @@ class ReportsManager {
         });
     }
 
+    /**
+     * Load recall register
+     */
+    async loadRecalls() {
+        const tbody = document.getElementById('recallTableBody');
+        if (!tbody) return;
+
+        try {
+            const status = document.getElementById('recallStatusFilter').value;
+            const result = await AdminAPI.getRecalls(status);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            this.updateRecallTable(result.data);
+        } catch (error) {
+            console.error('Load recalls error:', error);
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-3">โหลดทะเบียนการเรียกคืนไม่สำเร็จ</td></tr>';
+        }
+    }
+
+    /**
+     * Update recall register table
+     */
+    updateRecallTable(recalls) {
+        const tbody = document.getElementById('recallTableBody');
+
+        if (!recalls || recalls.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-3">ไม่มีประกาศเรียกคืน</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = recalls.map(recall => {
+            const active = recall.status === 'active';
+            return `
+                <tr>
+                    <td><code>${Utils.escapeHtml(recall.recallId)}</code></td>
+                    <td>${RecallManager.SCOPE_LABELS[recall.scope] || recall.scope}</td>
+                    <td class="small">${Utils.escapeHtml(RecallManager.describe(recall))}</td>
+                    <td>
+                        ${Utils.escapeHtml(recall.reason)}
+                        ${recall.closeNote ? `<small class="d-block text-muted">${Utils.escapeHtml(recall.closeNote)}</small>` : ''}
+                    </td>
+                    <td>
+                        <span class="badge ${active ? 'bg-danger' : 'bg-secondary'}">${RecallManager.STATUS_LABELS[recall.status] || recall.status}</span>
+                    </td>
+                    <td class="small">
+                        ${Utils.formatDateThai(recall.createdAt)}
+                        <span class="d-block text-muted">${Utils.escapeHtml(recall.declaredBy || '-')}</span>
+                    </td>
+                    <td>
+                        ${active && AuthAPI.can('close', 'recalls') ? `<button class="btn btn-sm btn-outline-secondary" onclick="closeRecall('${recall.recallId}')">ปิดประกาศ</button>` : '-'}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Declare a recall for any group
+     */
+    async declareRecall() {
+        try {
+            const groupsResult = await AdminAPI.getAllGroups();
+            const recallData = await RecallManager.promptDeclare({
+                groups: groupsResult.groups || [],
+                loadFarmers: async (groupId) => {
+                    const result = await GroupAPI.getGroupFarmers(groupId);
+                    return result.success ? result.data : [];
+                }
+            });
+            if (!recallData) return;
+
+            const result = await AdminAPI.createRecall(recallData);
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            Utils.showSuccess('ประกาศเรียกคืนแล้ว', `เลขที่ ${result.recall.recallId} จะแสดงเตือนผู้บริโภคทันที`);
+            await this.loadRecalls();
+        } catch (error) {
+            handleAPIError(error, 'ไม่สามารถประกาศเรียกคืนได้');
+        }
+    }
+
+    /**
+     * Close an active recall
+     */
+    async closeRecall(recallId) {
+        const { value, isConfirmed } = await Swal.fire({
+            title: 'ปิดประกาศเรียกคืน',
+            input: 'textarea',
+            inputLabel: 'หมายเหตุ',
+            inputPlaceholder: 'เช่น เก็บสินค้าคืนครบแล้ว ผลตรวจซ้ำผ่านมาตรฐาน',
+            showCancelButton: true,
+            confirmButtonText: 'ปิดประกาศ',
+            cancelButtonText: 'ยกเลิก',
+            confirmButtonColor: '#198754'
+        });
+        if (!isConfirmed) return;
+
+        try {
+            const result = await AdminAPI.closeRecall(recallId, Utils.sanitizeInput(value || ''));
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            await this.loadRecalls();
+        } catch (error) {
+            handleAPIError(error, 'ไม่สามารถปิดประกาศได้');
+        }
+    }
+
     /**
      * Toggle email options
      */
@@ -1130,6 +1308,18 @@ window.exportRow = function(id) {
     });
 };
 
+window.declareRecall = function() {
+    if (window.reportsManager) {
+        window.reportsManager.declareRecall();
+    }
+};
+
+window.closeRecall = function(recallId) {
+    if (window.reportsManager) {
+        window.reportsManager.closeRecall(recallId);
+    }
+};
+
 window.changePage = function(page) {
     if (window.reportsManager) {
         // Reload current data with new page
@@ -0,0 +1,560 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - API Schemas
+ * =====================================
+ * รูปแบบข้อมูลที่ส่ง (request) และที่ได้รับ (response) ของแต่ละ action
+ * APIHandler.makeRequest ตรวจสอบตาม registry นี้ก่อนส่งและหลังได้รับผลลัพธ์
+ *
+ * รูปแบบ schema:
+ *   'string' | 'number' | 'boolean' | 'object' | 'array' | 'any' หรือรวมกัน เช่น 'string|number'
+ *   { field: spec }  - object ที่ต้องมี field ตามที่ระบุ (field อื่นที่เกินมาไม่ถือว่าผิด)
+ *   [spec]           - array ที่ทุกตัวตรงกับ spec
+ *   'field?'         - ชื่อ field ที่ลงท้ายด้วย ? คือไม่บังคับ (รับ null ได้)
+ */
+
+/**
+ * Structured error for payload/result that doesn't match its schema
+ */
+class APIValidationError extends Error {
+    /**
+     * @param {string} action - ชื่อ action
+     * @param {string} direction - 'request' หรือ 'response'
+     * @param {Array} errors - [{ path, expected, actual }]
+     */
+    constructor(action, direction, errors) {
+        const first = errors[0];
+        const where = direction === 'request' ? 'ข้อมูลที่ส่ง' : 'ข้อมูลที่ได้รับจากเซิร์ฟเวอร์';
+        super(`${where}ไม่ตรงรูปแบบ (${action}): ${first.path} ต้องเป็น ${first.expected} แต่ได้ ${first.actual}`);
+
+        this.name = 'APIValidationError';
+        this.action = action;
+        this.direction = direction;
+        this.errors = errors;
+        this.transient = false;
+    }
+}
+
+const APISchemas = {
+
+    // Reusable shapes
+    shapes: {
+        group: {
+            groupId: 'string',
+            groupCode: 'string|number',
+            groupName: 'string',
+            'managerName?': 'string',
+            'status?': 'string'
+        },
+        farmer: {
+            farmerId: 'string',
+            fullName: 'string',
+            'groupId?': 'string',
+            'phone?': 'string|number',
+            'plotCode?': 'string',
+            'plotNumber?': 'string|number',
+            'status?': 'string',
+            'sections?': 'object'
+        },
+        fileResult: {
+            fileId: 'string',
+            fileUrl: 'string'
+        },
+        document: {
+            documentType: 'string',
+            fileName: 'string',
+            fileUrl: 'string'
+        }
+    },
+
+    // Failed results only need a readable message
+    failureResponse: {
+        success: 'boolean',
+        'message?': 'string'
+    },
+
+    registry: {},
+
+    /**
+     * Register schema for an action
+     * @param {string} action - ชื่อ action
+     * @param {Object} schema - { request, response }
+     */
+    define(action, schema) {
+        this.registry[action] = schema;
+    },
+
+    /**
+     * Get schema for an action (undefined = ไม่ตรวจสอบ)
+     * @param {string} action - ชื่อ action
+     */
+    get(action) {
+        return this.registry[action];
+    },
+
+    /**
+     * Describe the runtime type of a value for error messages
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    },
+
+    /**
+     * Validate value against spec
+     * @param {*} spec - schema
+     * @param {*} value - ค่าที่จะตรวจสอบ
+     * @param {string} path - ตำแหน่งของค่า (ใช้ในข้อความ error)
+     * @return {Array} รายการข้อผิดพลาด (ว่าง = ผ่าน)
+     */
+    validate(spec, value, path = '$') {
+        if (typeof spec === 'string') {
+            const types = spec.split('|');
+            const actual = this.typeOf(value);
+            const ok = types.includes('any') || types.includes(actual);
+            return ok ? [] : [{ path: path, expected: spec, actual: actual }];
+        }
+
+        if (Array.isArray(spec)) {
+            if (!Array.isArray(value)) {
+                return [{ path: path, expected: 'array', actual: this.typeOf(value) }];
+            }
+            return value.reduce((errors, item, index) =>
+                errors.concat(this.validate(spec[0], item, `${path}[${index}]`)), []);
+        }
+
+        if (this.typeOf(value) !== 'object') {
+            return [{ path: path, expected: 'object', actual: this.typeOf(value) }];
+        }
+
+        let errors = [];
+        Object.keys(spec).forEach(key => {
+            const optional = key.endsWith('?');
+            const field = optional ? key.slice(0, -1) : key;
+            const fieldValue = value[field];
+
+            if (fieldValue === undefined || fieldValue === null) {
+                if (!optional) {
+                    errors.push({ path: `${path}.${field}`, expected: this.describe(spec[key]), actual: 'ไม่มีค่า' });
+                }
+                return;
+            }
+
+            errors = errors.concat(this.validate(spec[key], fieldValue, `${path}.${field}`));
+        });
+
+        return errors;
+    },
+
+    /**
+     * Short description of a spec for error messages
+     */
+    describe(spec) {
+        if (typeof spec === 'string') return spec;
+        return Array.isArray(spec) ? 'array' : 'object';
+    },
+
+    /**
+     * Validate payload or result of an action
+     * @param {string} action - ชื่อ action
+     * @param {string} direction - 'request' หรือ 'response'
+     * @param {Object} value - payload หรือ result
+     * @return {Array} รายการข้อผิดพลาด
+     */
+    check(action, direction, value) {
+        const schema = this.get(action);
+        if (!schema) return [];
+
+        if (direction === 'response') {
+            if (value && value.success === false) {
+                return this.validate(this.failureResponse, value);
+            }
+            return this.validate({ success: 'boolean', ...(schema.response || {}) }, value);
+        }
+
+        return schema.request ? this.validate(schema.request, value) : [];
+    }
+};
+
+(function registerSchemas(S) {
+    const { group, farmer, fileResult, document } = S.shapes;
+
+    // ===== AUTH =====
+    const session = {
+        user: { username: 'string', role: 'string', 'groupId?': 'string', 'farmerId?': 'string', 'fullName?': 'string' },
+        accessToken: 'string',
+        refreshToken: 'string',
+        expiresIn: 'number'
+    };
+    const twoFactorCode = { code: 'string' };
+    const passwordPolicy = {
+        minLength: 'number',
+        requireUppercase: 'boolean',
+        requireLowercase: 'boolean',
+        requireDigit: 'boolean',
+        requireSymbol: 'boolean',
+        historySize: 'number',
+        blockCommon: 'boolean'
+    };
+    const systemSettings = { twoFactor: { requiredRoles: ['string'] }, passwordPolicy: passwordPolicy };
+
+    // Either a session, or a challenge for the second step when 2FA is on
+    S.define('login', {
+        request: { username: 'string', password: 'string', 'clientId?': 'string' },
+        response: {
+            'user?': session.user,
+            'accessToken?': 'string',
+            'refreshToken?': 'string',
+            'expiresIn?': 'number',
+            'twoFactor?': { challengeToken: 'string', enrollmentRequired: 'boolean', 'secret?': 'string', 'otpauthUrl?': 'string' }
+        }
+    });
+    S.define('verifyTwoFactor', {
+        request: { challengeToken: 'string', code: 'string', 'clientId?': 'string' },
+        response: { ...session, 'backupCodes?': ['string'] }
+    });
+    S.define('refreshToken', {
+        request: { refreshToken: 'string' },
+        response: { accessToken: 'string', refreshToken: 'string', expiresIn: 'number' }
+    });
+    S.define('revokeToken', {
+        request: { refreshToken: 'string' }
+    });
+    S.define('getTwoFactorStatus', {
+        response: { enabled: 'boolean', required: 'boolean', backupCodesRemaining: 'number', 'enabledAt?': 'string' }
+    });
+    S.define('startTwoFactorEnrollment', {
+        response: { secret: 'string', otpauthUrl: 'string' }
+    });
+    S.define('confirmTwoFactorEnrollment', {
+        request: twoFactorCode,
+        response: { backupCodes: ['string'] }
+    });
+    S.define('disableTwoFactor', { request: twoFactorCode });
+    S.define('regenerateBackupCodes', {
+        request: twoFactorCode,
+        response: { backupCodes: ['string'] }
+    });
+    S.define('changePassword', {
+        request: { oldPassword: 'string', newPassword: 'string', 'clientId?': 'string' }
+    });
+    S.define('getPasswordPolicy', {
+        response: { policy: passwordPolicy }
+    });
+    S.define('requestPasswordReset', {
+        request: { username: 'string' }
+    });
+    // The reset code signs in once; the session always carries mustChangePassword
+    S.define('redeemPasswordReset', {
+        request: { username: 'string', code: 'string', 'clientId?': 'string' },
+        response: session
+    });
+
+    // ===== QR / SEARCH =====
+    S.define('resolveBarcode', {
+        request: { format: 'string', value: 'string' },
+        response: { qrCode: 'string' }
+    });
+    S.define('searchQRCode', {
+        request: { qrCode: 'string', groupCode: 'string', plotNumber: 'string' },
+        response: {
+            data: {
+                qrCode: 'string',
+                groupName: 'string',
+                'groupCode?': 'string|number',
+                farmerName: 'string',
+                'phone?': 'string|number',
+                plotNumber: 'string|number',
+                'address?': 'string',
+                'area?': 'string|number',
+                'hasDeepSearch?': 'boolean'
+            }
+        }
+    });
+    S.define('searchDeepCode', {
+        request: { searchCode: 'string', dateCode: 'string', sequenceCode: 'string' },
+        response: {
+            data: {
+                searchCode: 'string',
+                'farmer?': 'object',
+                sections: {
+                    'productionData?': 'object',
+                    'harvestData?': 'object',
+                    'transportData?': 'object',
+                    'documents?': [document],
+                    'additionalInfo?': 'object'
+                }
+            }
+        }
+    });
+    S.define('generateQRCode', {
+        response: { qrCode: 'string' }
+    });
+
+    // ===== ADMIN =====
+    S.define('getAllGroups', {
+        response: { groups: [group], 'totalGroups?': 'number' }
+    });
+    S.define('createGroup', {
+        request: { managerUsername: 'string', managerPassword: 'string' },
+        response: { 'group?': group, 'message?': 'string' }
+    });
+    S.define('updateGroup', { request: { groupId: 'string' } });
+    S.define('deleteGroup', { request: { groupId: 'string' } });
+    S.define('getSystemStats', {
+        response: {
+            statistics: {
+                totalGroups: 'number',
+                totalFarmers: 'number',
+                'activeGroups?': 'number',
+                'activeFarmers?': 'number',
+                'totalQRCodes?': 'number',
+                'totalSearchCodes?': 'number'
+            }
+        }
+    });
+    S.define('generateSystemReport', {
+        request: { reportType: 'string' },
+        response: { report: 'object' }
+    });
+    S.define('testDriveAccess', {});
+    S.define('getUsers', {
+        response: { data: [{ username: 'string', role: 'string', 'groupId?': 'string', 'fullName?': 'string' }] }
+    });
+    S.define('getLoginLocks', {
+        response: {
+            data: [{ username: 'string', role: 'string', failedAttempts: 'number', lastFailedAt: 'string', 'lockedUntil?': 'string' }]
+        }
+    });
+    S.define('unlockAccount', {
+        request: { username: 'string' }
+    });
+    S.define('getSystemSettings', {
+        response: { settings: systemSettings }
+    });
+    S.define('updateSystemSettings', {
+        request: { settings: { 'twoFactor?': systemSettings.twoFactor, 'passwordPolicy?': 'object' } },
+        response: { settings: systemSettings }
+    });
+    S.define('assignUserRole', {
+        request: { username: 'string', role: 'string', 'groupId?': 'string' },
+        response: { user: { username: 'string', role: 'string' } }
+    });
+
+    // ===== GROUP =====
+    S.define('getGroupData', {
+        request: { groupId: 'string' },
+        response: {
+            group: group,
+            'statistics?': 'object',
+            // Flat profile view (group/profile.html, GroupDataManager)
+            'data?': { ...group, 'documents?': 'array' }
+        }
+    });
+    S.define('updateGroupProfile', { request: { groupId: 'string' } });
+    S.define('saveGroupDocument', {
+        request: { groupId: 'string', documentType: 'string', fileName: 'string', fileUrl: 'string' }
+    });
+    S.define('uploadFile', {
+        request: { fileName: 'string', fileContent: 'string', mimeType: 'string' },
+        response: fileResult
+    });
+    S.define('uploadFeedbackPhoto', {
+        request: { fileName: 'string', fileContent: 'string', mimeType: 'string' },
+        response: fileResult
+    });
+    S.define('uploadFileToFarmerFolder', {
+        request: {
+            fileName: 'string', fileContent: 'string', mimeType: 'string', farmerID: 'string', fileType: 'string', folderName: 'string',
+            'photoMetadata?': 'string'
+        },
+        response: fileResult
+    });
+    S.define('startChunkedUpload', {
+        request: {
+            fileName: 'string', mimeType: 'string', fileSize: 'number', chunkSize: 'number', totalChunks: 'number',
+            farmerID: 'string', fileType: 'string', folderName: 'string', 'photoMetadata?': 'string'
+        },
+        response: { uploadId: 'string' }
+    });
+    S.define('uploadChunk', {
+        request: { uploadId: 'string', chunkIndex: 'number', chunkContent: 'string' },
+        response: { 'receivedChunks?': 'number' }
+    });
+    S.define('getUploadStatus', {
+        request: { uploadId: 'string' },
+        response: { receivedChunks: ['number'], totalChunks: 'number' }
+    });
+    S.define('finishChunkedUpload', {
+        request: { uploadId: 'string' },
+        response: fileResult
+    });
+    S.define('cancelChunkedUpload', { request: { uploadId: 'string' } });
+    S.define('getGroupFarmers', {
+        request: { groupId: 'string' },
+        response: { data: [farmer] }
+    });
+    S.define('addFarmer', {
+        request: { groupId: 'string', fullName: 'string', phone: 'string', idCard: 'string', address: 'string' },
+        response: { 'farmer?': farmer, 'username?': 'string', 'password?': 'string' }
+    });
+    S.define('updateFarmer', { request: { farmerId: 'string' } });
+    S.define('deleteFarmer', { request: { farmerId: 'string' } });
+    S.define('getPasswordResetRequests', {
+        request: { groupId: 'string' },
+        response: {
+            data: [{
+                requestId: 'string',
+                username: 'string',
+                'farmerId?': 'string',
+                groupId: 'string',
+                'fullName?': 'string',
+                status: 'string',
+                requestedAt: 'string',
+                'codeExpiresAt?': 'string',
+                'decidedBy?': 'string',
+                'decidedAt?': 'string',
+                'usedAt?': 'string'
+            }]
+        }
+    });
+    S.define('approvePasswordReset', {
+        request: { requestId: 'string' },
+        response: { code: 'string', expiresAt: 'string' }
+    });
+    S.define('rejectPasswordReset', { request: { requestId: 'string' } });
+    S.define('getGroupStats', {
+        request: { groupId: 'string' },
+        response: {
+            statistics: {
+                totalFarmers: 'number',
+                'activeFarmers?': 'number',
+                'totalQRCodes?': 'number',
+                'dataCompleteness?': 'number',
+                'recentActivity?': 'array'
+            }
+        }
+    });
+
+    // ===== FARMER =====
+    S.define('getFarmerData', {
+        request: { farmerId: 'string' },
+        response: {
+            data: {
+                ...farmer,
+                'lastUpdate?': 'string',
+                'documents?': 'array'
+            }
+        }
+    });
+    S.define('saveFarmerSection', {
+        request: { farmerId: 'string', sectionNumber: 'number|string', sectionData: 'string' }
+    });
+    S.define('saveFarmerDocument', {
+        request: { farmerId: 'string', documentType: 'string', fileName: 'string', fileUrl: 'string' }
+    });
+    S.define('getFarmerQRCode', {
+        request: { farmerId: 'string' },
+        response: { qrCode: 'string', 'qrCodeUrl?': 'string' }
+    });
+    S.define('generateSearchCode', {
+        request: { farmerId: 'string', shipDate: 'string' },
+        response: { searchCode: 'string', 'signedQRCode?': 'string' }
+    });
+
+    // ===== REPORTS =====
+    S.define('generateFarmerReport', {
+        request: { farmerId: 'string' },
+        response: { reportUrl: 'string' }
+    });
+    S.define('generateGroupReport', {
+        request: { groupId: 'string' },
+        response: { report: 'object' }
+    });
+    S.define('logScan', {
+        request: { events: 'string' },
+        response: { accepted: 'number' }
+    });
+    S.define('getScanAnalytics', {
+        request: { 'dateFrom?': 'string', 'dateTo?': 'string', 'groupCode?': 'string' },
+        response: {
+            analytics: {
+                total: 'number',
+                byStatus: 'object',
+                bySource: 'object',
+                byMonth: 'array',
+                byHour: 'array',
+                byGroup: 'array',
+                locations: 'array'
+            }
+        }
+    });
+    S.define('submitFeedback', {
+        request: {
+            qrCode: 'string',
+            rating: 'string|number',
+            category: 'string',
+            'message?': 'string',
+            'contact?': 'string',
+            'photoUrl?': 'string',
+            'photoId?': 'string'
+        },
+        response: { feedbackId: 'string' }
+    });
+    S.define('getGroupFeedback', {
+        request: { groupId: 'string', 'status?': 'string' },
+        response: {
+            data: 'array',
+            summary: { new: 'number', in_progress: 'number', resolved: 'number', averageRating: 'number' }
+        }
+    });
+    S.define('updateFeedbackStatus', {
+        request: { feedbackId: 'string', status: 'string', 'resolutionNote?': 'string' },
+        response: { feedback: { feedbackId: 'string', status: 'string' } }
+    });
+    S.define('createRecall', {
+        request: {
+            groupId: 'string',
+            scope: 'string',
+            'farmerId?': 'string',
+            'dateFrom?': 'string',
+            'dateTo?': 'string',
+            reason: 'string',
+            instructions: 'string'
+        },
+        response: { recall: { recallId: 'string', status: 'string' } }
+    });
+    S.define('getRecalls', {
+        request: { 'status?': 'string', 'groupId?': 'string' },
+        response: { data: 'array' }
+    });
+    S.define('closeRecall', {
+        request: { recallId: 'string', 'note?': 'string' },
+        response: { recall: { recallId: 'string', status: 'string' } }
+    });
+    S.define('checkRecall', {
+        request: { 'qrCode?': 'string', 'searchCode?': 'string', 'shipDate?': 'string' },
+        response: { recalls: 'array' }
+    });
+    S.define('addShipmentEvent', {
+        request: {
+            searchCode: 'string',
+            type: 'string',
+            location: 'string',
+            'temperature?': 'string|number',
+            'note?': 'string',
+            'occurredAt?': 'string'
+        },
+        response: { event: { eventId: 'string', searchCode: 'string', type: 'string', timestamp: 'string' } }
+    });
+    S.define('getShipmentEvents', {
+        request: { 'searchCode?': 'string', 'qrCode?': 'string', 'shipDate?': 'string' },
+        response: { data: 'array' }
+    });
+    S.define('exportToExcel', {
+        response: { fileUrl: 'string' }
+    });
+})(APISchemas);
+
+// Export for global use
+window.APIValidationError = APIValidationError;
+window.APISchemas = APISchemas;
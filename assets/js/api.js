@@ -3,6 +3,317 @@
  * =====================================
  */
 
+/**
+ * Google Apps Script Transport
+ * ส่งข้อมูลแบบ form-encoded ไปยัง Web App (ค่าเริ่มต้นของระบบ)
+ */
+class AppsScriptTransport {
+    constructor(baseURL = CONFIG.API_BASE_URL) {
+        this.name = 'appsScript';
+        this.baseURL = baseURL;
+    }
+
+    /**
+     * Send request data and return parsed JSON
+     * @param {Object} requestData - ข้อมูลที่มี action อยู่แล้ว
+     * @param {Object} options - { method, signal }
+     * @return {Promise<Object>} ผลลัพธ์จาก backend
+     */
+    async send(requestData, options = {}) {
+        const response = await fetch(this.baseURL, {
+            method: options.method || 'POST',
+            mode: 'cors',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams(requestData),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * REST/JSON Transport
+ * ส่ง JSON ไปยัง {baseURL}/{action} สำหรับ backend ที่ไม่ใช่ Apps Script
+ */
+class RestTransport {
+    constructor(baseURL = CONFIG.REST_API_BASE_URL) {
+        this.name = 'rest';
+        this.baseURL = baseURL.replace(/\/$/, '');
+    }
+
+    /**
+     * Send request data and return parsed JSON
+     * @param {Object} requestData - ข้อมูลที่มี action อยู่แล้ว
+     * @param {Object} options - { method, signal }
+     * @return {Promise<Object>} ผลลัพธ์จาก backend
+     */
+    async send(requestData, options = {}) {
+        const { action, accessToken, ...payload } = requestData;
+        const method = options.method || 'POST';
+        let url = `${this.baseURL}/${encodeURIComponent(action)}`;
+
+        const fetchOptions = {
+            method: method,
+            mode: 'cors',
+            headers: {
+                'Accept': 'application/json'
+            },
+            signal: options.signal
+        };
+
+        if (accessToken) {
+            fetchOptions.headers['Authorization'] = `Bearer ${accessToken}`;
+        }
+
+        if (method === 'GET') {
+            url += '?' + new URLSearchParams(payload).toString();
+        } else {
+            fetchOptions.headers['Content-Type'] = 'application/json';
+            fetchOptions.body = JSON.stringify(payload);
+        }
+
+        const response = await fetch(url, fetchOptions);
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.json();
+    }
+}
+
+/**
+ * Chunked Upload
+ * อัปโหลดไฟล์ใหญ่ทีละส่วน รายงาน progress เป็น byte และอัปโหลดต่อจากส่วนที่ค้างได้
+ * Backend actions: startChunkedUpload, uploadChunk, getUploadStatus, finishChunkedUpload, cancelChunkedUpload
+ */
+class ChunkedUpload {
+    /**
+     * @param {APIHandler} api - API handler ที่ใช้ส่ง request
+     * @param {File|Blob} file - ไฟล์ที่จะอัปโหลด
+     * @param {Object} meta - { farmerID, fileType, folderName, photoMetadata }
+     * @param {Object} options - { onProgress(percent, { loaded, total, waiting }), signal, chunkSize }
+     */
+    constructor(api, file, meta, options = {}) {
+        this.api = api;
+        this.file = file;
+        this.meta = meta;
+        this.chunkSize = options.chunkSize || CONFIG.UPLOAD_CHUNK_SIZE;
+        this.totalChunks = Math.max(1, Math.ceil(file.size / this.chunkSize));
+        this.onProgress = options.onProgress || null;
+        this.signal = options.signal || null;
+        this.uploadId = null;
+
+        // Same file for the same farmer/type resumes the same server-side session
+        this.sessionKey = [meta.farmerID, meta.fileType, file.name, file.size, file.type].join(':');
+    }
+
+    /**
+     * Upload all chunks and return the final file result
+     * @return {Promise<Object>} { success, fileId, fileUrl }
+     */
+    async start() {
+        try {
+            this.throwIfCancelled();
+
+            const received = await this.resumeOrCreate();
+            let loaded = 0;
+            received.forEach(index => {
+                loaded += this.getChunk(index).size;
+            });
+            this.reportProgress(loaded);
+
+            for (let index = 0; index < this.totalChunks; index++) {
+                if (received.has(index)) continue;
+
+                const chunk = this.getChunk(index);
+                await this.sendChunk(index, chunk);
+
+                loaded += chunk.size;
+                this.reportProgress(loaded);
+            }
+
+            const result = await this.api.makeRequest('finishChunkedUpload', {
+                uploadId: this.uploadId
+            }, 'POST', { signal: this.signal });
+
+            this.forgetSession();
+            return result;
+
+        } catch (error) {
+            if (error.cancelled) {
+                await this.abortSession();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Continue a stored session or start a new one
+     * @return {Promise<Set>} index ของส่วนที่ server ได้รับแล้ว
+     */
+    async resumeOrCreate() {
+        const sessions = Storage.get(CONFIG.STORAGE_KEYS.CHUNKED_UPLOADS, {});
+        const stored = sessions[this.sessionKey];
+
+        if (stored) {
+            try {
+                const status = await this.api.makeRequest('getUploadStatus', {
+                    uploadId: stored.uploadId
+                }, 'POST', { signal: this.signal });
+
+                if (status.success) {
+                    this.uploadId = stored.uploadId;
+                    console.log(`Resuming upload ${this.uploadId}: ${status.receivedChunks.length}/${this.totalChunks} chunks`);
+                    return new Set(status.receivedChunks);
+                }
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn('Upload session expired, starting over:', error.message);
+            }
+        }
+
+        const data = {
+            fileName: this.file.name,
+            mimeType: this.file.type,
+            fileSize: this.file.size,
+            chunkSize: this.chunkSize,
+            totalChunks: this.totalChunks,
+            farmerID: this.meta.farmerID,
+            fileType: this.meta.fileType,
+            folderName: this.meta.folderName
+        };
+
+        if (this.meta.photoMetadata) {
+            data.photoMetadata = JSON.stringify(this.meta.photoMetadata);
+        }
+
+        const result = await this.api.makeRequest('startChunkedUpload', data, 'POST', { signal: this.signal });
+
+        if (!result.success) {
+            throw new Error(result.message || 'ไม่สามารถเริ่มอัปโหลดไฟล์ได้');
+        }
+
+        this.uploadId = result.uploadId;
+        sessions[this.sessionKey] = { uploadId: this.uploadId, startedAt: new Date().toISOString() };
+        Storage.set(CONFIG.STORAGE_KEYS.CHUNKED_UPLOADS, sessions);
+
+        return new Set();
+    }
+
+    /**
+     * Send one chunk; waits for the connection to come back instead of failing
+     */
+    async sendChunk(index, chunk) {
+        const chunkContent = await this.api.fileToBase64(chunk);
+
+        for (;;) {
+            this.throwIfCancelled();
+
+            try {
+                return await this.api.makeRequest('uploadChunk', {
+                    uploadId: this.uploadId,
+                    chunkIndex: index,
+                    chunkContent: chunkContent
+                }, 'POST', { signal: this.signal });
+
+            } catch (error) {
+                if (!error.transient || navigator.onLine) throw error;
+
+                await this.waitForOnline();
+            }
+        }
+    }
+
+    /**
+     * Get a chunk by index
+     */
+    getChunk(index) {
+        const start = index * this.chunkSize;
+        return this.file.slice(start, Math.min(start + this.chunkSize, this.file.size));
+    }
+
+    /**
+     * Resolve when back online (rejects if cancelled meanwhile)
+     */
+    waitForOnline() {
+        this.reportProgress(null, true);
+
+        return new Promise((resolve, reject) => {
+            const onOnline = () => {
+                cleanup();
+                resolve();
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(this.api.createCancelledError());
+            };
+            const cleanup = () => {
+                window.removeEventListener('online', onOnline);
+                if (this.signal) this.signal.removeEventListener('abort', onAbort);
+            };
+
+            window.addEventListener('online', onOnline);
+            if (this.signal) this.signal.addEventListener('abort', onAbort);
+        });
+    }
+
+    /**
+     * Report byte progress
+     * @param {number|null} loaded - จำนวน byte ที่ส่งแล้ว (null = ไม่เปลี่ยน)
+     * @param {boolean} waiting - กำลังรอสัญญาณ
+     */
+    reportProgress(loaded, waiting = false) {
+        if (loaded !== null) {
+            this.loaded = loaded;
+        }
+
+        if (this.onProgress) {
+            const total = this.file.size;
+            const percent = total > 0 ? Math.round((this.loaded / total) * 100) : 100;
+            this.onProgress(percent, { loaded: this.loaded, total: total, waiting: waiting });
+        }
+    }
+
+    throwIfCancelled() {
+        if (this.signal && this.signal.aborted) {
+            throw this.api.createCancelledError();
+        }
+    }
+
+    /**
+     * Tell the backend to drop received chunks (best effort)
+     */
+    async abortSession() {
+        const uploadId = this.uploadId;
+        this.forgetSession();
+        if (!uploadId) return;
+
+        try {
+            await this.api.makeRequest('cancelChunkedUpload', { uploadId: uploadId });
+        } catch (error) {
+            console.warn('Cancel upload session failed:', error.message);
+        }
+    }
+
+    forgetSession() {
+        const sessions = Storage.get(CONFIG.STORAGE_KEYS.CHUNKED_UPLOADS, {});
+        delete sessions[this.sessionKey];
+        Storage.set(CONFIG.STORAGE_KEYS.CHUNKED_UPLOADS, sessions);
+    }
+}
+
 /**
  * API Handler Class
  */
@@ -10,57 +321,462 @@ class APIHandler {
     constructor() {
         this.baseURL = CONFIG.API_BASE_URL;
         this.timeout = 30000; // 30 seconds
+        this.transport = null;
+        this.cache = new Map();
+        this.inFlight = new Map();
     }
 
     /**
-     * Make API request to Google Apps Script
+     * Register transport adapter (เช่น mock-backend.js ลงทะเบียน 'mock')
+     * @param {string} name - ชื่อ transport
+     * @param {Function} TransportClass - class ที่มี method send(requestData, options)
      */
-    async makeRequest(endpoint, data = {}, method = 'POST') {
-        try {
-            const requestData = {
-                action: endpoint,
-                ...data,
-                timestamp: new Date().toISOString()
-            };
+    static registerTransport(name, TransportClass) {
+        APIHandler.transports[name] = TransportClass;
+    }
 
-            const options = {
-                method: method,
-                mode: 'cors',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams(requestData)
-            };
+    /**
+     * Resolve transport name from URL (DEV_MODE only), localStorage, then CONFIG
+     * The URL value applies to this page load only - it is never saved, so a shared link can't switch a browser over
+     * @return {string} ชื่อ transport
+     */
+    resolveTransportName() {
+        const fromURL = CONFIG.DEV_MODE ? Utils.getQueryParam('transport') : null;
+        return fromURL || Storage.get(CONFIG.STORAGE_KEYS.API_TRANSPORT) || CONFIG.API_TRANSPORT;
+    }
 
-            // Add timeout to the request
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-            options.signal = controller.signal;
+    /**
+     * Load mock-backend.js on demand (DEV_MODE only - pages don't include it)
+     */
+    async prepareTransport() {
+        if (this.transport || !CONFIG.DEV_MODE) return;
+        if (this.resolveTransportName() !== 'mock' || APIHandler.transports.mock) return;
 
-            const response = await fetch(this.baseURL, options);
-            clearTimeout(timeoutId);
+        if (!APIHandler.mockBackendLoading) {
+            APIHandler.mockBackendLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = APIHandler.MOCK_BACKEND_URL;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('โหลด mock-backend.js ไม่สำเร็จ'));
+                document.head.appendChild(script);
+            });
+        }
+        await APIHandler.mockBackendLoading;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    /**
+     * Get active transport (created lazily so late registrations are picked up)
+     * @return {Object} transport instance
+     */
+    getTransport() {
+        if (!this.transport) {
+            const name = this.resolveTransportName();
+            const TransportClass = APIHandler.transports[name];
+
+            if (!TransportClass) {
+                console.warn(`Unknown API transport "${name}", falling back to appsScript`);
+                this.transport = new AppsScriptTransport(this.baseURL);
+            } else {
+                this.transport = new TransportClass();
             }
 
-            const result = await response.json();
-            
-            if (result.error) {
-                throw new Error(result.error);
+            console.log('API transport:', this.transport.name);
+        }
+
+        return this.transport;
+    }
+
+    /**
+     * Switch transport at runtime
+     * @param {string|Object} transport - ชื่อ transport หรือ instance
+     * @param {boolean} persist - จำค่าไว้ใน localStorage
+     */
+    setTransport(transport, persist = false) {
+        if (typeof transport === 'string') {
+            const TransportClass = APIHandler.transports[transport];
+            if (!TransportClass) {
+                throw new Error(`ไม่พบ transport: ${transport}`);
+            }
+            this.transport = new TransportClass();
+
+            if (persist) {
+                Storage.set(CONFIG.STORAGE_KEYS.API_TRANSPORT, transport);
+            }
+        } else {
+            this.transport = transport;
+        }
+    }
+
+    /**
+     * Get retry policy for an action (per-call override > per-action > default)
+     * Writes without an idempotency key default to a single attempt - a resend after a lost reply would apply them twice
+     * @param {string} endpoint - ชื่อ action
+     * @param {Object} override - ค่าที่ต้องการแทนที่ เช่น { retries: 0 }
+     * @return {Object} { retries, baseDelay, maxDelay }
+     */
+    getRetryPolicy(endpoint, override = {}) {
+        const safeToResend = APIHandler.READ_ACTION_PATTERN.test(endpoint) || APIHandler.idempotentActions.includes(endpoint);
+
+        return {
+            ...APIHandler.defaultRetryPolicy,
+            ...(safeToResend ? {} : { retries: 0 }),
+            ...(APIHandler.retryPolicies[endpoint] || {}),
+            ...override
+        };
+    }
+
+    /**
+     * Generate idempotency key for a mutating action
+     * @param {string} endpoint - ชื่อ action
+     * @return {string} key ที่ backend ใช้กันการสร้างแถวซ้ำ
+     */
+    generateIdempotencyKey(endpoint) {
+        const random = (window.crypto && crypto.randomUUID)
+            ? crypto.randomUUID()
+            : Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 12);
+
+        return `${endpoint}_${random}`;
+    }
+
+    /**
+     * Check whether an error is transient and worth retrying
+     * @param {Error} error - ข้อผิดพลาดจาก transport หรือ backend
+     * @return {boolean}
+     */
+    isRetryableError(error) {
+        // Timeout or network failure (fetch throws TypeError)
+        if (error.name === 'AbortError' || error.name === 'TypeError') {
+            return navigator.onLine !== false;
+        }
+
+        if (error.status) {
+            return error.status === 429 || error.status >= 500;
+        }
+
+        // Apps Script quota / lock errors come back as result.error
+        return APIHandler.TRANSIENT_ERROR_PATTERN.test(error.message || '');
+    }
+
+    /**
+     * Exponential backoff with jitter
+     * @param {number} attempt - ครั้งที่ลองใหม่ (เริ่มจาก 0)
+     * @param {Object} policy - retry policy
+     * @return {number} เวลารอ (ms)
+     */
+    getRetryDelay(attempt, policy) {
+        const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
+
+    /**
+     * Validate payload or result against APISchemas
+     * @param {string} endpoint - ชื่อ action
+     * @param {string} direction - 'request' หรือ 'response'
+     * @param {Object} value - payload หรือ result
+     * @throws {APIValidationError} เมื่อ CONFIG.API_SCHEMA_MODE เป็น 'strict'
+     */
+    validateSchema(endpoint, direction, value) {
+        const mode = CONFIG.API_SCHEMA_MODE;
+        if (mode === 'off' || typeof APISchemas === 'undefined') return;
+
+        const errors = APISchemas.check(endpoint, direction, value);
+        if (errors.length === 0) return;
+
+        const error = new APIValidationError(endpoint, direction, errors);
+        if (mode === 'warn') {
+            console.warn(error.message, errors);
+            return;
+        }
+
+        console.error(error.message, errors);
+        throw error;
+    }
+
+    /**
+     * Send one attempt through the active transport with timeout
+     */
+    async sendRequest(requestData, method, signal = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        // Caller cancellation (options.signal) aborts the transport too
+        const abort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', abort);
+
+        let result;
+        try {
+            await this.prepareTransport();
+            result = await this.getTransport().send(requestData, {
+                method: method,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+
+        if (result.error) {
+            throw new Error(result.error);
+        }
+
+        // Apps Script can't set HTTP status codes, so 401 also arrives as a result code
+        if (result.code === 'UNAUTHORIZED') {
+            const error = new Error(result.message || I18n.t('api.unauthorized'));
+            error.status = 401;
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Make API request through the active transport
+     * Read actions in APIHandler.cachePolicies are cached; mutations invalidate related reads
+     * @param {string} endpoint - ชื่อ action
+     * @param {Object} data - ข้อมูลที่ส่ง
+     * @param {string} method - HTTP method
+     * @param {Object} options - { retry: policy override, idempotencyKey: ใช้ key เดิมเมื่อส่งซ้ำ, cache: false = ไม่ใช้ cache, signal: AbortSignal }
+     */
+    async makeRequest(endpoint, data = {}, method = 'POST', options = {}) {
+        const cachePolicy = APIHandler.cachePolicies[endpoint];
+
+        if (!cachePolicy || options.cache === false) {
+            const result = await this.fetchAction(endpoint, data, method, options);
+
+            if (result.success !== false && APIHandler.cacheInvalidations[endpoint]) {
+                this.invalidateCache(APIHandler.cacheInvalidations[endpoint]);
             }
 
             return result;
+        }
+
+        const key = this.getCacheKey(endpoint, data);
+        const entry = this.readCache(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        // Fresh
+        if (age < cachePolicy.ttl) {
+            return this.cloneResult(entry.result);
+        }
+
+        // Stale: answer now, refresh in background
+        if (age < cachePolicy.ttl + cachePolicy.staleTTL) {
+            this.revalidate(key, endpoint, data, method, options)
+                .catch(error => console.warn(`Background refresh of ${endpoint} failed:`, error.message));
+            return this.cloneResult(entry.result);
+        }
+
+        return this.cloneResult(await this.revalidate(key, endpoint, data, method, options));
+    }
+
+    /**
+     * Fetch and store a read action, sharing one request between concurrent callers
+     */
+    revalidate(key, endpoint, data, method, options) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this.fetchAction(endpoint, data, method, options)
+            .then(result => {
+                if (result.success !== false) {
+                    this.writeCache(key, result);
+                }
+                return result;
+            })
+            .finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Cache key = action + payload with sorted keys
+     */
+    getCacheKey(endpoint, data) {
+        const sorted = {};
+        Object.keys(data).sort().forEach(key => {
+            sorted[key] = data[key];
+        });
+        return `${endpoint}:${JSON.stringify(sorted)}`;
+    }
 
+    /**
+     * Read cache entry (memory first, then sessionStorage so it survives page changes)
+     */
+    readCache(key) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        try {
+            const stored = sessionStorage.getItem(APIHandler.CACHE_PREFIX + key);
+            if (stored) {
+                const entry = JSON.parse(stored);
+                this.cache.set(key, entry);
+                return entry;
+            }
         } catch (error) {
-            console.error('API Request Error:', error);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('การเชื่อมต่อใช้เวลานานเกินไป กรุณาลองใหม่อีกครั้ง');
+            console.warn('API cache read failed:', error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Write cache entry
+     */
+    writeCache(key, result) {
+        const entry = { result: result, storedAt: Date.now() };
+        this.cache.set(key, entry);
+
+        try {
+            sessionStorage.setItem(APIHandler.CACHE_PREFIX + key, JSON.stringify(entry));
+        } catch (error) {
+            // Quota exceeded - memory cache still works
+            console.warn('API cache write failed:', error);
+        }
+    }
+
+    /**
+     * Invalidate cached reads
+     * @param {string|Array} actions - ชื่อ action ที่จะล้าง (ไม่ระบุ = ล้างทั้งหมด)
+     */
+    invalidateCache(actions = null) {
+        const list = actions === null ? null : [].concat(actions);
+        const matches = (key) => list === null || list.includes(key.slice(0, key.indexOf(':')));
+
+        Array.from(this.cache.keys()).filter(matches).forEach(key => this.cache.delete(key));
+
+        try {
+            Object.keys(sessionStorage)
+                .filter(key => key.startsWith(APIHandler.CACHE_PREFIX))
+                .filter(key => matches(key.slice(APIHandler.CACHE_PREFIX.length)))
+                .forEach(key => sessionStorage.removeItem(key));
+        } catch (error) {
+            console.warn('API cache invalidation failed:', error);
+        }
+    }
+
+    /**
+     * Copy cached result so callers can't modify the cache
+     */
+    cloneResult(result) {
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    /**
+     * Error thrown when the caller aborts options.signal
+     * @return {Error} error ที่มี cancelled: true
+     */
+    createCancelledError() {
+        const error = new Error(I18n.t('api.cancelled'));
+        error.name = 'CancelledError';
+        error.cancelled = true;
+        error.transient = false;
+        return error;
+    }
+
+    /**
+     * Validate, send with retries and validate the result
+     * Protected actions carry the access token; a 401 gets one refresh-and-resend before giving up
+     */
+    async fetchAction(endpoint, data = {}, method = 'POST', options = {}) {
+        this.validateSchema(endpoint, 'request', data);
+
+        const isPublic = AuthTokens.isPublic(endpoint);
+        if (!isPublic) {
+            await AuthTokens.ensureFresh();
+        }
+
+        const policy = this.getRetryPolicy(endpoint, options.retry);
+        const requestData = {
+            action: endpoint,
+            ...data,
+            timestamp: new Date().toISOString()
+        };
+
+        const attachToken = () => {
+            const accessToken = AuthTokens.getAccessToken();
+            if (accessToken) {
+                requestData.accessToken = accessToken;
+            }
+        };
+        attachToken();
+        let refreshed = false;
+
+        // Same key on every attempt so a retry can't create duplicate rows
+        if (APIHandler.idempotentActions.includes(endpoint)) {
+            requestData.idempotencyKey = options.idempotencyKey || this.generateIdempotencyKey(endpoint);
+        }
+
+        let result;
+        for (let attempt = 0; ; attempt++) {
+            if (options.signal && options.signal.aborted) {
+                throw this.createCancelledError();
+            }
+
+            try {
+                result = await this.sendRequest(requestData, method, options.signal);
+                break;
+
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw this.createCancelledError();
+                }
+
+                if (error.status === 401 && !isPublic) {
+                    let renewed = false;
+                    if (!refreshed) {
+                        try {
+                            renewed = await AuthTokens.refresh();
+                        } catch (refreshError) {
+                            // Couldn't reach the backend to refresh: keep the session, let the caller retry
+                            const networkError = new Error(refreshError.message || I18n.t('api.connectionError'));
+                            networkError.transient = true;
+                            throw networkError;
+                        }
+                    }
+
+                    if (renewed) {
+                        refreshed = true;
+                        attachToken();
+                        attempt--;
+                        continue;
+                    }
+
+                    AuthTokens.notifyUnauthorized();
+                    const authError = new Error(I18n.t('api.unauthorized'));
+                    authError.status = 401;
+                    authError.transient = false;
+                    throw authError;
+                }
+
+                if (attempt < policy.retries && this.isRetryableError(error)) {
+                    const delay = this.getRetryDelay(attempt, policy);
+                    console.warn(`Retrying ${endpoint} in ${delay}ms (${attempt + 1}/${policy.retries}):`, error.message);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                console.error('API Request Error:', error);
+
+                const apiError = new Error(error.name === 'AbortError'
+                    ? I18n.t('api.timeout')
+                    : (error.message || I18n.t('api.connectionError')));
+
+                apiError.status = error.status;
+
+                // Network / timeout / 5xx: caller may queue the request and send it later
+                apiError.transient = error.name === 'AbortError' || error.name === 'TypeError' || this.isRetryableError(error);
+                throw apiError;
             }
-            
-            throw new Error(error.message || 'เกิดข้อผิดพลาดในการเชื่อมต่อ กรุณาลองใหม่อีกครั้ง');
         }
+
+        // Backend drift surfaces here instead of as blank cards
+        this.validateSchema(endpoint, 'response', result);
+
+        return result;
     }
 
     /**
@@ -85,6 +801,19 @@ class APIHandler {
         }
     }
 
+    /**
+     * Upload the photo attached to consumer feedback (no login; the backend only accepts small images)
+     */
+    async uploadFeedbackPhoto(file) {
+        const base64 = await this.fileToBase64(file);
+
+        return await this.makeRequest('uploadFeedbackPhoto', {
+            fileName: file.name,
+            fileContent: base64,
+            mimeType: file.type
+        });
+    }
+
     /**
      * Convert file to base64
      */
@@ -103,15 +832,25 @@ class APIHandler {
 
     /**
      * Upload file to specific folder based on farmer ID and file type
+     * ไฟล์ที่ใหญ่กว่า CONFIG.UPLOAD_CHUNK_SIZE จะส่งทีละส่วนผ่าน ChunkedUpload
+     * @param {File} file - ไฟล์ที่จะอัปโหลด
+     * @param {string} farmerID - ID เกษตรกร
+     * @param {string} fileType - farm_photo | certificate | product_photo
+     * @param {Function} onProgress - (percent, { loaded, total, waiting })
+     * @param {Object} options - { signal: AbortSignal สำหรับยกเลิก }
      */
-    async uploadFileToSpecificFolder(file, farmerID, fileType, onProgress = null) {
+    async uploadFileToSpecificFolder(file, farmerID, fileType, onProgress = null, options = {}) {
         try {
             // Validate file first
             this.validateFile(file, fileType);
             
-            // Compress image if needed
+            // Read GPS / capture time first - compressing redraws the photo and drops all EXIF
             let processedFile = file;
+            let photoMetadata = null;
             if (fileType === 'farm_photo' || fileType === 'product_photo') {
+                if (typeof PhotoMetadata !== 'undefined') {
+                    photoMetadata = await PhotoMetadata.read(file);
+                }
                 processedFile = await this.compressImage(file);
             }
             
@@ -124,7 +863,22 @@ class APIHandler {
             
             const folderName = folderMapping[fileType];
             if (!folderName) {
-                throw new Error('ประเภทไฟล์ไม่ถูกต้อง');
+                throw new Error(I18n.t('api.invalidFileType'));
+            }
+
+            // Large files: chunked and resumable
+            if (processedFile.size > CONFIG.UPLOAD_CHUNK_SIZE) {
+                const upload = new ChunkedUpload(this, processedFile, {
+                    farmerID: farmerID,
+                    fileType: fileType,
+                    folderName: folderName,
+                    photoMetadata: photoMetadata
+                }, {
+                    onProgress: onProgress,
+                    signal: options.signal
+                });
+
+                return await upload.start();
             }
             
             // Convert to base64
@@ -139,15 +893,21 @@ class APIHandler {
                 folderName: folderName
             };
 
+            if (photoMetadata) {
+                data.photoMetadata = JSON.stringify(photoMetadata);
+            }
+
             // Create progress handler if provided
             if (onProgress) {
-                onProgress(0); // Start progress
+                onProgress(0, { loaded: 0, total: processedFile.size }); // Start progress
             }
 
-            const result = await this.makeRequest('uploadFileToFarmerFolder', data);
+            const result = await this.makeRequest('uploadFileToFarmerFolder', data, 'POST', {
+                signal: options.signal
+            });
             
             if (onProgress) {
-                onProgress(100); // Complete progress
+                onProgress(100, { loaded: processedFile.size, total: processedFile.size }); // Complete progress
             }
             
             return result;
@@ -164,7 +924,7 @@ class APIHandler {
         // Check file size (max 10MB)
         const maxSize = 10 * 1024 * 1024; // 10MB in bytes
         if (file.size > maxSize) {
-            throw new Error('ขนาดไฟล์เกิน 10MB กรุณาเลือกไฟล์ที่มีขนาดเล็กกว่า');
+            throw new Error(I18n.t('api.fileTooLarge'));
         }
         
         // Check file type based on fileType parameter
@@ -177,11 +937,11 @@ class APIHandler {
         const allowed = allowedTypes[fileType];
         if (!allowed || !allowed.includes(file.type)) {
             const typeNames = {
-                'farm_photo': 'รูปภาพ (JPEG, PNG, WebP)',
-                'certificate': 'เอกสาร PDF หรือรูปภาพ (PDF, JPEG, PNG)',
-                'product_photo': 'รูปภาพ (JPEG, PNG, WebP)'
+                'farm_photo': 'JPEG, PNG, WebP',
+                'certificate': 'PDF, JPEG, PNG',
+                'product_photo': 'JPEG, PNG, WebP'
             };
-            throw new Error(`ประเภทไฟล์ไม่ถูกต้อง กรุณาเลือก${typeNames[fileType]}`);
+            throw new Error(I18n.t('api.chooseFileType', { types: typeNames[fileType] }));
         }
     }
 
@@ -189,7 +949,7 @@ class APIHandler {
      * Compress image before upload
      */
     async compressImage(file, maxWidth = 1920, maxHeight = 1080, quality = 0.8) {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             const img = new Image();
@@ -217,9 +977,16 @@ class APIHandler {
                         type: file.type,
                         lastModified: Date.now()
                     });
+                    URL.revokeObjectURL(img.src);
                     resolve(compressedFile);
                 }, file.type, quality);
             };
+
+            // Never fall back to the original file - it still carries its metadata
+            img.onerror = () => {
+                URL.revokeObjectURL(img.src);
+                reject(new Error(I18n.t('api.imageUnreadable')));
+            };
             
             img.src = URL.createObjectURL(file);
         });
@@ -259,6 +1026,138 @@ class APIHandler {
     }
 }
 
+// Built-in transports ('mock' is registered by mock-backend.js, loaded only in DEV_MODE)
+APIHandler.transports = {
+    appsScript: AppsScriptTransport,
+    rest: RestTransport
+};
+APIHandler.MOCK_BACKEND_URL = document.currentScript
+    ? new URL('mock-backend.js', document.currentScript.src).href
+    : 'assets/js/mock-backend.js';
+APIHandler.mockBackendLoading = null;
+
+// Retry policies (retries = จำนวนครั้งที่ลองใหม่หลังครั้งแรก)
+APIHandler.defaultRetryPolicy = { retries: 2, baseDelay: 500, maxDelay: 8000 };
+// Actions that only read data (get*, search*, report generation ...) and can be resent freely
+APIHandler.READ_ACTION_PATTERN = /^(get|search|check|resolve|test|export|generate\w*(Report|QRCode)$)/;
+APIHandler.retryPolicies = {
+    login: { retries: 0 },
+    // A refresh token is single use, so a resend after a lost reply would be rejected
+    refreshToken: { retries: 0 },
+    revokeToken: { retries: 0 },
+    changePassword: { retries: 0 },
+    // A resent code could count as a second failed attempt (or hit an already-used TOTP step)
+    verifyTwoFactor: { retries: 0 },
+    confirmTwoFactorEnrollment: { retries: 0 },
+    disableTwoFactor: { retries: 0 },
+    regenerateBackupCodes: { retries: 0 },
+    redeemPasswordReset: { retries: 0 },
+    searchQRCode: { retries: 3 },
+    searchDeepCode: { retries: 3 },
+    // Events carry their own eventId, so a resend is deduplicated by the backend
+    logScan: { retries: 2, baseDelay: 2000 },
+    submitFeedback: { retries: 3, baseDelay: 1000 },
+    createRecall: { retries: 3, baseDelay: 1000 },
+    checkRecall: { retries: 3 },
+    addShipmentEvent: { retries: 3, baseDelay: 1000 },
+    // Writes without an idempotency key are never resent automatically
+    uploadFile: { retries: 0 },
+    uploadFeedbackPhoto: { retries: 0 },
+    uploadFileToFarmerFolder: { retries: 0 },
+    saveGroupDocument: { retries: 0 },
+    saveFarmerDocument: { retries: 0 },
+    deleteGroup: { retries: 0 },
+    deleteFarmer: { retries: 0 },
+    assignUserRole: { retries: 0 },
+    unlockAccount: { retries: 0 },
+    updateSystemSettings: { retries: 0 },
+    // Approving again would replace the code the manager has already passed on
+    approvePasswordReset: { retries: 0 },
+    rejectPasswordReset: { retries: 0 },
+    addFarmer: { retries: 3, baseDelay: 1000 },
+    saveFarmerSection: { retries: 3, baseDelay: 1000 },
+    createGroup: { retries: 3, baseDelay: 1000 },
+    generateSearchCode: { retries: 3, baseDelay: 1000 },
+    // Chunks are keyed by uploadId + chunkIndex, so resending is safe
+    startChunkedUpload: { retries: 3, baseDelay: 1000 },
+    uploadChunk: { retries: 3, baseDelay: 1000 },
+    finishChunkedUpload: { retries: 3, baseDelay: 1000 },
+    cancelChunkedUpload: { retries: 0 }
+};
+
+// Read caching: ttl = fresh, staleTTL = served while refreshing in background (ms)
+APIHandler.CACHE_PREFIX = 'api_cache:';
+APIHandler.cachePolicies = {
+    getAllGroups: { ttl: 60000, staleTTL: 5 * 60000 },
+    getUsers: { ttl: 30000, staleTTL: 2 * 60000 },
+    getSystemStats: { ttl: 60000, staleTTL: 5 * 60000 },
+    getGroupData: { ttl: 60000, staleTTL: 5 * 60000 },
+    getGroupFarmers: { ttl: 30000, staleTTL: 5 * 60000 },
+    getGroupStats: { ttl: 30000, staleTTL: 5 * 60000 },
+    getFarmerData: { ttl: 30000, staleTTL: 2 * 60000 },
+    getFarmerQRCode: { ttl: 10 * 60000, staleTTL: 60 * 60000 },
+    searchQRCode: { ttl: 5 * 60000, staleTTL: 30 * 60000 },
+    resolveBarcode: { ttl: 10 * 60000, staleTTL: 60 * 60000 },
+    getScanAnalytics: { ttl: 60000, staleTTL: 5 * 60000 },
+    getGroupFeedback: { ttl: 30000, staleTTL: 2 * 60000 },
+    // checkRecall is never cached - a new recall must show on the next scan
+    getRecalls: { ttl: 30000, staleTTL: 2 * 60000 },
+    getShipmentEvents: { ttl: 30000, staleTTL: 5 * 60000 },
+    getPasswordResetRequests: { ttl: 30000, staleTTL: 2 * 60000 },
+    getPasswordPolicy: { ttl: 5 * 60000, staleTTL: 60 * 60000 },
+    searchDeepCode: { ttl: 5 * 60000, staleTTL: 30 * 60000 }
+};
+
+// Reads to drop when a mutation succeeds
+APIHandler.cacheInvalidations = {
+    createGroup: ['getAllGroups', 'getSystemStats', 'getUsers'],
+    updateGroup: ['getAllGroups', 'getSystemStats', 'getGroupData', 'searchQRCode'],
+    deleteGroup: ['getAllGroups', 'getSystemStats', 'getGroupData', 'getGroupFarmers', 'getGroupStats', 'searchQRCode', 'getUsers'],
+    assignUserRole: ['getUsers'],
+    unlockAccount: ['getLoginLocks'],
+    confirmTwoFactorEnrollment: ['getUsers'],
+    disableTwoFactor: ['getUsers'],
+    updateSystemSettings: ['getPasswordPolicy'],
+    updateGroupProfile: ['getAllGroups', 'getGroupData', 'searchQRCode'],
+    saveGroupDocument: ['getGroupData'],
+    approvePasswordReset: ['getPasswordResetRequests', 'getGroupStats'],
+    rejectPasswordReset: ['getPasswordResetRequests'],
+    addFarmer: ['getGroupFarmers', 'getGroupStats', 'getGroupData', 'getAllGroups', 'getSystemStats', 'getUsers'],
+    updateFarmer: ['getGroupFarmers', 'getGroupStats', 'getFarmerData', 'searchQRCode'],
+    deleteFarmer: ['getGroupFarmers', 'getGroupStats', 'getGroupData', 'getAllGroups', 'getSystemStats', 'getFarmerData', 'searchQRCode', 'getUsers'],
+    saveFarmerSection: ['getFarmerData', 'getGroupFarmers', 'getGroupStats', 'searchDeepCode'],
+    saveFarmerDocument: ['getFarmerData', 'searchDeepCode'],
+    uploadFileToFarmerFolder: ['getFarmerData'],
+    finishChunkedUpload: ['getFarmerData'],
+    logScan: ['getScanAnalytics'],
+    submitFeedback: ['getGroupFeedback'],
+    updateFeedbackStatus: ['getGroupFeedback'],
+    createRecall: ['getRecalls'],
+    closeRecall: ['getRecalls'],
+    addShipmentEvent: ['getShipmentEvents'],
+    generateSearchCode: ['getGroupStats', 'getSystemStats', 'searchQRCode']
+};
+
+// Backend result codes => error title (i18n key) shown by handleAPIError
+APIHandler.errorTitles = {
+    UNAUTHORIZED: 'error.session',
+    FORBIDDEN: 'error.permission',
+    ACCOUNT_LOCKED: 'error.accountLocked',
+    LOGIN_THROTTLED: 'error.accountLocked',
+    INVALID_CREDENTIALS: 'error.login',
+    INVALID_TWO_FACTOR_CODE: 'error.login',
+    INVALID_RESET_CODE: 'error.login',
+    CHALLENGE_EXPIRED: 'error.login',
+    PASSWORD_POLICY: 'error.password',
+    PASSWORD_REUSED: 'error.password'
+};
+
+// Mutating actions that carry an idempotencyKey
+APIHandler.idempotentActions = ['addFarmer', 'saveFarmerSection', 'createGroup', 'generateSearchCode', 'startChunkedUpload', 'submitFeedback', 'createRecall', 'addShipmentEvent'];
+
+// Transient Apps Script errors (quota, lock, execution time)
+APIHandler.TRANSIENT_ERROR_PATTERN = /too many times|too many simultaneous|exceeded maximum execution time|lock timeout|service unavailable|rate limit|try again later|internal error/i;
+
 // Create global API instance
 const API = new APIHandler();
 
@@ -268,22 +1167,39 @@ const API = new APIHandler();
  * QR Code API Functions
  */
 const QRAPI = {
+
+    // Number of recently viewed products kept for offline viewing
+    RECENT_LIMIT: 20,
     
     /**
      * Search by QR Code
+     * ถ้าเชื่อมต่อไม่ได้จะใช้ข้อมูลที่เคยดูล่าสุด (ผลลัพธ์มี offline: true)
      */
     async searchByQRCode(qrCode) {
         try {
             const parsedCode = Utils.parseQRCode(qrCode);
             if (!parsedCode) {
-                throw new Error('รูปแบบ QR Code ไม่ถูกต้อง');
+                throw new Error(I18n.t('api.invalidQRCode'));
             }
 
-            const result = await API.makeRequest('searchQRCode', {
-                qrCode: qrCode,
-                groupCode: parsedCode.groupCode,
-                plotNumber: parsedCode.plotNumber
-            });
+            let result;
+            try {
+                result = await API.makeRequest('searchQRCode', {
+                    qrCode: qrCode,
+                    groupCode: parsedCode.groupCode,
+                    plotNumber: parsedCode.plotNumber
+                });
+            } catch (error) {
+                const recent = error.transient && this.getRecentProduct(qrCode);
+                if (recent) {
+                    return { success: true, offline: true, viewedAt: recent.viewedAt, data: recent.data };
+                }
+                throw error;
+            }
+
+            if (result.success) {
+                this.saveRecentProduct(qrCode, result.data);
+            }
 
             return result;
         } catch (error) {
@@ -292,6 +1208,34 @@ const QRAPI = {
         }
     },
 
+    /**
+     * Get recently viewed products (newest first)
+     * @return {Array} [{ qrCode, data, viewedAt }]
+     */
+    getRecentProducts() {
+        return Storage.get(CONFIG.STORAGE_KEYS.RECENT_PRODUCTS, []);
+    },
+
+    /**
+     * Get one recently viewed product
+     * @param {string} qrCode - QR Code
+     * @return {Object|null}
+     */
+    getRecentProduct(qrCode) {
+        return this.getRecentProducts().find(item => item.qrCode === qrCode) || null;
+    },
+
+    /**
+     * Remember product data for offline viewing
+     * @param {string} qrCode - QR Code
+     * @param {Object} data - ข้อมูลผลิตภัณฑ์
+     */
+    saveRecentProduct(qrCode, data) {
+        const recent = this.getRecentProducts().filter(item => item.qrCode !== qrCode);
+        recent.unshift({ qrCode: qrCode, data: data, viewedAt: new Date().toISOString() });
+        Storage.set(CONFIG.STORAGE_KEYS.RECENT_PRODUCTS, recent.slice(0, this.RECENT_LIMIT));
+    },
+
     /**
      * Search by deep search code
      */
@@ -299,7 +1243,7 @@ const QRAPI = {
         try {
             const parsedCode = Utils.parseSearchCode(searchCode);
             if (!parsedCode) {
-                throw new Error('รูปแบบรหัสค้นหาไม่ถูกต้อง');
+                throw new Error(I18n.t('api.invalidSearchCode'));
             }
 
             const result = await API.makeRequest('searchDeepCode', {
@@ -325,6 +1269,82 @@ const QRAPI = {
             console.error('QR generation error:', error);
             throw error;
         }
+    },
+
+    /**
+     * Send consumer feedback for a product (routed to the owning group by the backend)
+     * @param {Object} feedback - { rating, category, message, contact }
+     * @param {File} photo - รูปประกอบ (ไม่บังคับ) ย่อขนาดก่อนอัปโหลด
+     */
+    async submitFeedback(qrCode, feedback, photo = null) {
+        try {
+            let uploadResult = null;
+            if (photo) {
+                API.validateFile(photo, 'product_photo');
+                const compressed = await API.compressImage(photo);
+                uploadResult = await API.uploadFeedbackPhoto(compressed);
+            }
+
+            return await API.makeRequest('submitFeedback', {
+                qrCode: qrCode,
+                rating: feedback.rating,
+                category: feedback.category,
+                message: Utils.sanitizeInput(feedback.message || ''),
+                contact: Utils.sanitizeInput(feedback.contact || ''),
+                photoUrl: uploadResult ? uploadResult.fileUrl : '',
+                photoId: uploadResult ? uploadResult.fileId : ''
+            });
+        } catch (error) {
+            console.error('Feedback submit error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Active recalls covering a product code or search code
+     * @param {string} code - QR Code (GG-PLOT) หรือรหัสค้นหา (YYYYMMDD-XXX)
+     * @param {string} shipDate - วันที่จัดส่งจาก QR แบบลงนาม (YYYY-MM-DD) ถ้ามี
+     * @return {Promise<Array>} รายการประกาศเรียกคืน
+     */
+    async checkRecall(code, shipDate = null) {
+        const params = Utils.parseSearchCode(code) ? { searchCode: code } : { qrCode: code };
+        if (shipDate) {
+            params.shipDate = shipDate;
+        }
+
+        const result = await API.makeRequest('checkRecall', params);
+        return result.success ? result.recalls : [];
+    },
+
+    /**
+     * Get the shipment event timeline
+     * @param {string} code - รหัสค้นหา (YYYYMMDD-XXX) หรือ QR Code คู่กับวันที่จัดส่ง
+     * @param {string} shipDate - วันที่จัดส่ง (YYYY-MM-DD) ใช้เมื่อ code เป็น QR Code
+     */
+    async getShipmentEvents(code, shipDate = null) {
+        if (Utils.parseSearchCode(code)) {
+            return await API.makeRequest('getShipmentEvents', { searchCode: code });
+        }
+
+        if (!shipDate) {
+            return { success: true, data: [] };
+        }
+        return await API.makeRequest('getShipmentEvents', { qrCode: code, shipDate: shipDate });
+    },
+
+    /**
+     * Append a shipment event as the signed-in user (the backend takes the recorder from the access token)
+     * @param {Object} event - { type, location, temperature, note, occurredAt }
+     */
+    async addShipmentEvent(searchCode, event) {
+        if (!Storage.get(CONFIG.STORAGE_KEYS.USER_DATA)) {
+            throw new Error(I18n.t('api.loginRequired'));
+        }
+
+        return await API.makeRequest('addShipmentEvent', {
+            ...event,
+            searchCode: searchCode
+        });
     }
 };
 
@@ -391,6 +1411,76 @@ const AdminAPI = {
      */
     async testDriveAccess() {
         return await API.makeRequest('testDriveAccess');
+    },
+
+    /**
+     * Get recall register
+     * @param {string} status - active, closed (ว่าง = ทั้งหมด)
+     */
+    async getRecalls(status = '') {
+        return await API.makeRequest('getRecalls', status ? { status: status } : {});
+    },
+
+    /**
+     * Declare a recall for any group
+     */
+    async createRecall(recallData) {
+        return await API.makeRequest('createRecall', recallData);
+    },
+
+    /**
+     * Close a recall
+     */
+    async closeRecall(recallId, note = '') {
+        return await API.makeRequest('closeRecall', { recallId: recallId, note: note });
+    },
+
+    /**
+     * Get all user accounts with their roles
+     */
+    async getUsers() {
+        return await API.makeRequest('getUsers');
+    },
+
+    /**
+     * Accounts with failed logins, including those currently locked by the backend
+     */
+    async getLoginLocks() {
+        return await API.makeRequest('getLoginLocks');
+    },
+
+    /**
+     * Clear the backend's failed-login counter and lock for an account
+     */
+    async unlockAccount(username) {
+        return await API.makeRequest('unlockAccount', { username: username });
+    },
+
+    /**
+     * System-wide settings (e.g. roles that must use two-factor login)
+     */
+    async getSystemSettings() {
+        return await API.makeRequest('getSystemSettings');
+    },
+
+    /**
+     * Save system settings; only the sections present in settings are replaced
+     * @param {Object} settings - เช่น { twoFactor: { requiredRoles: ['admin'] } }
+     */
+    async updateSystemSettings(settings) {
+        return await API.makeRequest('updateSystemSettings', { settings: settings });
+    },
+
+    /**
+     * Assign a role to a user as the signed-in admin (the backend checks the access token's user)
+     * @param {string} groupId - จำเป็นสำหรับบทบาทระดับกลุ่ม (group, group_assistant)
+     */
+    async assignUserRole(username, role, groupId = '') {
+        return await API.makeRequest('assignUserRole', {
+            username: username,
+            role: role,
+            groupId: groupId
+        });
     }
 };
 
@@ -475,6 +1565,65 @@ const GroupAPI = {
      */
     async getGroupStats(groupId) {
         return await API.makeRequest('getGroupStats', { groupId: groupId });
+    },
+
+    /**
+     * Farmers' forgot-password requests (ผู้จัดการกลุ่มเท่านั้น)
+     */
+    async getPasswordResetRequests(groupId) {
+        return await API.makeRequest('getPasswordResetRequests', { groupId: groupId });
+    },
+
+    /**
+     * Approve a reset request; the result carries the one-time code to give the farmer (แสดงครั้งเดียว)
+     */
+    async approvePasswordReset(requestId) {
+        return await API.makeRequest('approvePasswordReset', { requestId: requestId });
+    },
+
+    async rejectPasswordReset(requestId) {
+        return await API.makeRequest('rejectPasswordReset', { requestId: requestId });
+    },
+
+    /**
+     * Get consumer feedback for the group's products
+     * @param {string} status - new, in_progress, resolved (ว่าง = ทั้งหมด)
+     */
+    async getFeedback(groupId, status = '') {
+        const params = { groupId: groupId };
+        if (status) {
+            params.status = status;
+        }
+        return await API.makeRequest('getGroupFeedback', params);
+    },
+
+    /**
+     * Update consumer feedback status
+     */
+    async updateFeedbackStatus(feedbackId, status, resolutionNote) {
+        const params = { feedbackId: feedbackId, status: status };
+        if (resolutionNote !== undefined) {
+            params.resolutionNote = resolutionNote;
+        }
+        return await API.makeRequest('updateFeedbackStatus', params);
+    },
+
+    /**
+     * Declare a recall for the group's products
+     */
+    async createRecall(recallData) {
+        return await API.makeRequest('createRecall', recallData);
+    },
+
+    /**
+     * Get the group's recalls
+     */
+    async getRecalls(groupId, status = '') {
+        const params = { groupId: groupId };
+        if (status) {
+            params.status = status;
+        }
+        return await API.makeRequest('getRecalls', params);
     }
 };
 
@@ -492,13 +1641,20 @@ const FarmerAPI = {
 
     /**
      * Save farmer section data
+     * ถ้าโหลด offline-outbox.js จะเก็บลงคิวเมื่อออฟไลน์ (ผลลัพธ์มี queued: true)
      */
     async saveFarmerSection(farmerId, sectionNumber, sectionData) {
-        return await API.makeRequest('saveFarmerSection', {
+        const payload = {
             farmerId: farmerId,
             sectionNumber: sectionNumber,
             sectionData: JSON.stringify(sectionData)
-        });
+        };
+
+        if (typeof OfflineOutbox !== 'undefined') {
+            return await OfflineOutbox.send('saveFarmerSection', payload, I18n.t('outbox.sectionLabel', { section: sectionNumber }));
+        }
+
+        return await API.makeRequest('saveFarmerSection', payload);
     },
 
     /**
@@ -506,6 +1662,12 @@ const FarmerAPI = {
      */
     async uploadFarmerDocument(farmerId, file, documentType) {
         try {
+            const payload = { farmerId: farmerId, file: file, documentType: documentType };
+
+            if (typeof OfflineOutbox !== 'undefined') {
+                return await OfflineOutbox.send('uploadFarmerDocument', payload, I18n.t('outbox.documentLabel', { name: file.name }));
+            }
+
             const uploadResult = await API.uploadFile(file, 'farmer-documents');
             
             return await API.makeRequest('saveFarmerDocument', {
@@ -521,6 +1683,25 @@ const FarmerAPI = {
         }
     },
 
+    /**
+     * Upload farm/product photo or certificate to the farmer's folder
+     * @param {Object} options - { onProgress, signal } ใช้เฉพาะตอนส่งทันที (ไม่ใช่ตอนส่งจากคิว)
+     */
+    async uploadFarmerFile(farmerId, file, fileType, options = {}) {
+        // Validate before queueing so a bad file never sits in the outbox
+        API.validateFile(file, fileType);
+
+        if (typeof OfflineOutbox !== 'undefined') {
+            return await OfflineOutbox.send('uploadFarmerFile', {
+                farmerId: farmerId,
+                file: file,
+                fileType: fileType
+            }, I18n.t('outbox.fileLabel', { name: file.name }), options);
+        }
+
+        return await API.uploadFileToSpecificFolder(file, farmerId, fileType, options.onProgress, options);
+    },
+
     /**
      * Get farmer's QR Code
      */
@@ -562,6 +1743,14 @@ const ReportAPI = {
         });
     },
 
+    /**
+     * Get aggregated scan events (from logScan)
+     * @param {Object} filters - { dateFrom, dateTo, groupCode } (YYYY-MM-DD)
+     */
+    async getScanAnalytics(filters = {}) {
+        return await API.makeRequest('getScanAnalytics', filters);
+    },
+
     /**
      * Export data to Excel
      */
@@ -575,8 +1764,11 @@ const ReportAPI = {
 
 /**
  * Error Handler for API calls
+ * The title comes from the backend's result code (error.code), HTTP status or transient flag;
+ * matching the message text is only a fallback for errors that carry none of these
+ * @param {Error|Object} error - Error หรือ result ที่ไม่สำเร็จ ({ success: false, code, message })
  */
-function handleAPIError(error, defaultMessage = 'เกิดข้อผิดพลาด') {
+function handleAPIError(error, defaultMessage = I18n.t('error.title')) {
     console.error('API Error:', error);
     console.error('Error details:', {
         type: typeof error,
@@ -587,7 +1779,7 @@ function handleAPIError(error, defaultMessage = 'เกิดข้อผิด
     });
     
     let message = defaultMessage;
-    let title = 'เกิดข้อผิดพลาด';
+    let title = I18n.t('error.title');
     
     // Handle different error types
     if (error?.response?.data?.message) {
@@ -600,13 +1792,22 @@ function handleAPIError(error, defaultMessage = 'เกิดข้อผิด
         message = error.error;
     }
     
-    // Special handling for folder creation errors
-    if (message.includes('โฟลเดอร์')) {
-        title = 'ข้อผิดพลาดโฟลเดอร์';
+    if (error?.name === 'APIValidationError') {
+        title = I18n.t('error.validation');
+    } else if (error?.code && APIHandler.errorTitles[error.code]) {
+        title = I18n.t(APIHandler.errorTitles[error.code]);
+    } else if (error?.status === 401) {
+        title = I18n.t('error.session');
+    } else if (error?.status === 403) {
+        title = I18n.t('error.permission');
+    } else if (error?.transient) {
+        title = I18n.t('error.network');
+    } else if (message.includes('โฟลเดอร์')) {
+        title = I18n.t('error.folder');
     } else if (message.includes('สิทธิ์')) {
-        title = 'ไม่มีสิทธิ์เข้าถึง';
+        title = I18n.t('error.permission');
     } else if (message.includes('เครือข่าย') || message.includes('network')) {
-        title = 'ปัญหาการเชื่อมต่อ';
+        title = I18n.t('error.network');
     }
     
     Utils.hideLoading();
@@ -630,6 +1831,10 @@ async function apiCall(apiFunction, loadingMessage = 'กำลังโหล
 }
 
 // Export API modules (AuthAPI is exported from auth.js)
+window.APIHandler = APIHandler;
+window.AppsScriptTransport = AppsScriptTransport;
+window.RestTransport = RestTransport;
+window.ChunkedUpload = ChunkedUpload;
 window.API = API;
 window.QRAPI = QRAPI;
 window.AdminAPI = AdminAPI;
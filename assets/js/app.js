@@ -525,8 +525,10 @@ function testQRCodeURL(code) {
 /**
  * Global function to process QR code (maintains compatibility)
  * @param {string} qrData - QR code data
+ * @param {string} source - Source of QR code
+ * @param {Object} options - { format } ชนิดของบาร์โค้ด
  */
-async function processQRCode(qrData) {
+async function processQRCode(qrData, source = 'camera', options = {}) {
     try {
         // If we're currently processing URL, don't interfere
         if (mainApp.isProcessingURL) {
@@ -535,7 +537,7 @@ async function processQRCode(qrData) {
         
         // Use existing QR scanner instance if available
         if (window.qrScannerInstance) {
-            await window.qrScannerInstance.processQRCode(qrData);
+            await window.qrScannerInstance.processQRCode(qrData, source, options);
         } else {
             // Use main app processing
             const result = await mainApp.processQRCodeData(qrData);
@@ -0,0 +1,234 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Auth Tokens
+ * =====================================
+ * เก็บ access token (อายุสั้น) และ refresh token ที่ backend ลงนามให้ตอน login
+ * APIHandler แนบ access token ไปกับทุก action และต่ออายุเงียบๆ ก่อนหมดอายุ
+ * เมื่อ backend ตอบ 401 และปฏิเสธ refresh token จะส่ง UNAUTHORIZED_EVENT ให้ AuthAPI ออกจากระบบ
+ * ถ้าต่ออายุไม่ได้เพราะเครือข่าย (ออฟไลน์/timeout) จะเก็บ session ไว้และลองใหม่เมื่อกลับมาออนไลน์
+ */
+
+const AuthTokens = {
+    // Refresh this long before the access token expires
+    REFRESH_MARGIN: 60 * 1000,
+    // Wait this long before trying again after a network error (while still online)
+    RETRY_DELAY: 30 * 1000,
+    // Web Locks name so only one tab spends the single-use refresh token at a time
+    REFRESH_LOCK: 'auth-refresh',
+    UNAUTHORIZED_EVENT: 'auth:unauthorized',
+
+    // Actions that work without signing in (consumer pages, login itself)
+    PUBLIC_ACTIONS: [
+        'login', 'verifyTwoFactor', 'refreshToken', 'revokeToken',
+        'requestPasswordReset', 'redeemPasswordReset',
+        'searchQRCode', 'resolveBarcode', 'searchDeepCode', 'logScan',
+        'submitFeedback', 'uploadFeedbackPhoto', 'checkRecall', 'getShipmentEvents'
+    ],
+
+    state: {
+        refreshTimer: null,
+        refreshing: null,
+        waitingForOnline: false
+    },
+
+    /**
+     * Save tokens from a login or refreshToken result
+     * @param {Object} result - { accessToken, refreshToken, expiresIn (วินาที) }
+     */
+    store(result) {
+        Storage.set(CONFIG.STORAGE_KEYS.AUTH_TOKEN, result.accessToken);
+        Storage.set(CONFIG.STORAGE_KEYS.REFRESH_TOKEN, result.refreshToken);
+        Storage.set(CONFIG.STORAGE_KEYS.TOKEN_EXPIRES_AT, Date.now() + result.expiresIn * 1000);
+        this.scheduleRefresh();
+    },
+
+    getAccessToken() {
+        return Storage.get(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+    },
+
+    getRefreshToken() {
+        return Storage.get(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
+    },
+
+    /**
+     * Read the payload of a signed token (no verification - that is the backend's job)
+     * @return {Object|null} { sub, role, typ, exp, ... }
+     */
+    decode(token) {
+        try {
+            const base64 = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Whether a refresh token that hasn't expired is stored
+     */
+    hasSession() {
+        const payload = this.decode(this.getRefreshToken());
+        return !!(payload && payload.exp * 1000 > Date.now());
+    },
+
+    isPublic(action) {
+        return this.PUBLIC_ACTIONS.includes(action);
+    },
+
+    needsRefresh() {
+        const expiresAt = Storage.get(CONFIG.STORAGE_KEYS.TOKEN_EXPIRES_AT) || 0;
+        return Date.now() > expiresAt - this.REFRESH_MARGIN;
+    },
+
+    /**
+     * Refresh first when the access token is about to expire (called before protected actions)
+     */
+    async ensureFresh() {
+        if (this.getRefreshToken() && this.needsRefresh()) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                // Network error: send with the current token, a 401 gets another refresh attempt
+                console.warn('Token refresh failed:', error.message);
+            }
+        }
+    },
+
+    /**
+     * Exchange the refresh token for a new pair (one request shared by concurrent callers)
+     * @return {Promise<boolean>} false เมื่อ backend ปฏิเสธ refresh token (หมดอายุหรือถูกเพิกถอน)
+     * @throws {Error} เมื่อติดต่อ backend ไม่ได้ - session ยังอยู่ ให้ลองใหม่ภายหลัง
+     */
+    refresh() {
+        if (this.state.refreshing) {
+            return this.state.refreshing;
+        }
+
+        const seen = this.getRefreshToken();
+
+        this.state.refreshing = this.withRefreshLock(async () => {
+            const refreshToken = this.getRefreshToken();
+            if (!refreshToken) return false;
+
+            // Another tab refreshed while we waited for the lock
+            if (refreshToken !== seen) return this.hasRotated(seen);
+
+            try {
+                const result = await API.makeRequest('refreshToken', { refreshToken: refreshToken });
+                if (result.success) {
+                    this.store(result);
+                    return true;
+                }
+                if (result.code !== 'UNAUTHORIZED') {
+                    throw new Error(result.message || I18n.t('api.connectionError'));
+                }
+            } catch (error) {
+                if (error.status !== 401) throw error;
+            }
+
+            // Rejected: the token may have been spent by another tab that stored a new pair
+            return this.hasRotated(refreshToken);
+        }).finally(() => {
+            this.state.refreshing = null;
+        });
+
+        return this.state.refreshing;
+    },
+
+    /**
+     * Whether storage now holds a newer, unexpired refresh token than the one we sent
+     */
+    hasRotated(refreshToken) {
+        if (this.getRefreshToken() === refreshToken || !this.hasSession()) {
+            return false;
+        }
+
+        this.scheduleRefresh();
+        return true;
+    },
+
+    /**
+     * Run fn holding a lock shared by every tab (falls back to no lock on older browsers)
+     */
+    withRefreshLock(fn) {
+        if (navigator.locks && navigator.locks.request) {
+            return navigator.locks.request(this.REFRESH_LOCK, fn);
+        }
+        return fn();
+    },
+
+    /**
+     * Silent refresh shortly before the access token expires
+     */
+    scheduleRefresh() {
+        clearTimeout(this.state.refreshTimer);
+        if (!this.getRefreshToken()) return;
+
+        const expiresAt = Storage.get(CONFIG.STORAGE_KEYS.TOKEN_EXPIRES_AT) || 0;
+        const delay = Math.max(0, expiresAt - this.REFRESH_MARGIN - Date.now());
+
+        this.state.refreshTimer = setTimeout(async () => {
+            // Another tab may have refreshed already (tokens are shared through localStorage)
+            if (!this.needsRefresh()) {
+                this.scheduleRefresh();
+                return;
+            }
+
+            try {
+                if (!(await this.refresh())) {
+                    this.notifyUnauthorized();
+                }
+            } catch (error) {
+                console.warn('Token refresh failed:', error.message);
+                this.retryRefreshLater();
+            }
+        }, delay);
+    },
+
+    /**
+     * Try the silent refresh again after a network error, without signing the user out
+     */
+    retryRefreshLater() {
+        clearTimeout(this.state.refreshTimer);
+
+        if (navigator.onLine === false) {
+            if (this.state.waitingForOnline) return;
+            this.state.waitingForOnline = true;
+
+            window.addEventListener('online', () => {
+                this.state.waitingForOnline = false;
+                this.scheduleRefresh();
+            }, { once: true });
+            return;
+        }
+
+        this.state.refreshTimer = setTimeout(() => this.scheduleRefresh(), this.RETRY_DELAY);
+    },
+
+    /**
+     * Tell the backend to stop accepting the refresh token, then forget both tokens
+     */
+    revoke() {
+        const refreshToken = this.getRefreshToken();
+        this.clear();
+
+        if (refreshToken) {
+            API.makeRequest('revokeToken', { refreshToken: refreshToken })
+                .catch(error => console.warn('Token revoke failed:', error.message));
+        }
+    },
+
+    clear() {
+        clearTimeout(this.state.refreshTimer);
+        Storage.remove(CONFIG.STORAGE_KEYS.AUTH_TOKEN);
+        Storage.remove(CONFIG.STORAGE_KEYS.REFRESH_TOKEN);
+        Storage.remove(CONFIG.STORAGE_KEYS.TOKEN_EXPIRES_AT);
+    },
+
+    notifyUnauthorized() {
+        window.dispatchEvent(new CustomEvent(this.UNAUTHORIZED_EVENT));
+    }
+};
+
+// Export for global use
+window.AuthTokens = AuthTokens;
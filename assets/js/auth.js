@@ -13,7 +13,6 @@ const AuthAPI = {
         IDLE_WARNING: 25 * 60 * 1000,        // 25 minutes - show warning 5 min before logout
         SESSION_TIMEOUT: 8 * 60 * 60 * 1000,  // 8 hours in milliseconds
         SESSION_WARNING: 7.5 * 60 * 60 * 1000, // 7.5 hours - show warning 30 min before
-        MAX_FAILED_ATTEMPTS: 3,               // Maximum failed login attempts
         HEARTBEAT_INTERVAL: 5 * 60 * 1000,    // 5 minutes heartbeat
         CROSS_TAB_KEY: 'auth_cross_tab_sync'   // LocalStorage key for cross-tab sync
     },
@@ -25,76 +24,39 @@ const AuthAPI = {
         sessionTimer: null,
         sessionWarningTimer: null,
         heartbeatTimer: null,
-        failedAttempts: 0,
         lastActivity: Date.now(),
         isWarningShown: false,
         networkStatus: 'online',
-        pendingData: null
+        pendingData: null,
+        twoFactorChallenge: null
     },
     
     /**
      * Enhanced Login with security tracking
+     * @return {Promise<Object>} ข้อมูลผู้ใช้ หรือ { twoFactorRequired, enrollmentRequired, secret?, otpauthUrl? }
+     *   เมื่อต้องยืนยันรหัสสองขั้นตอนต่อด้วย verifyTwoFactor()
      */
     async login(username, password) {
         try {
-            // Check for too many failed attempts
-            if (this.state.failedAttempts >= this.CONFIG.MAX_FAILED_ATTEMPTS) {
-                const lockoutTime = Storage.get('lockout_time');
-                if (lockoutTime && Date.now() - parseInt(lockoutTime) < 15 * 60 * 1000) {
-                    throw new Error('บัญชีถูกล็อกเนื่องจากพยายามเข้าสู่ระบบผิดหลายครั้ง กรุณารอ 15 นาที');
-                }
-            }
-
+            // Attempt counters, delays and locks are enforced by the backend (per username and per client)
             const result = await API.makeRequest('login', {
                 username: Utils.sanitizeInput(username),
                 password: password,
+                clientId: this.getClientId(),
                 timestamp: Date.now(),
                 userAgent: navigator.userAgent
             });
 
             if (result.success) {
-                // Reset failed attempts
-                this.state.failedAttempts = 0;
-                Storage.remove('lockout_time');
-                
-                // Store enhanced user data
-                const loginData = {
-                    ...result.user,
-                    loginTime: new Date().toISOString(),
-                    sessionId: this.generateSessionId(),
-                    lastActivity: Date.now(),
-                    sessionCount: this.incrementSessionCount()
-                };
-                
-                Storage.set(CONFIG.STORAGE_KEYS.USER_DATA, loginData);
-                Storage.set(CONFIG.STORAGE_KEYS.LAST_LOGIN, loginData.loginTime);
-                Storage.set('auth_token', result.token || this.generateToken());
-                Storage.set('session_id', loginData.sessionId);
-                
-                // Check if password change is required
-                if (loginData.mustChangePassword) {
-                    // Store flag and redirect to password change page
-                    Storage.set('force_password_change', 'true');
-                    window.location.href = 'change-password.html';
-                    return loginData;
+                // Password was right but the account uses 2FA - keep the challenge for the second step
+                if (result.twoFactor) {
+                    this.state.twoFactorChallenge = result.twoFactor.challengeToken;
+                    return { twoFactorRequired: true, ...result.twoFactor };
                 }
-                
-                // Initialize enhanced security features
-                this.initializeAutoLogout();
-                this.startCrossTabSync();
-                this.initNetworkMonitoring();
-                
-                // Start activity tracking
-                this.startActivityTracking();
-                
-                return loginData;
+
+                return this.completeLogin(result);
             } else {
-                // Track failed attempt
-                this.state.failedAttempts++;
-                if (this.state.failedAttempts >= this.CONFIG.MAX_FAILED_ATTEMPTS) {
-                    Storage.set('lockout_time', Date.now().toString());
-                }
-                throw new Error(result.message || 'ข้อมูลการเข้าสู่ระบบไม่ถูกต้อง');
+                throw this.createLoginError(result);
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -103,6 +65,155 @@ const AuthAPI = {
         }
     },
 
+    /**
+     * Second login step: a code from the authenticator app or a backup code
+     * When enrolling during login, the result also carries the new backupCodes (แสดงให้ผู้ใช้เก็บไว้ครั้งเดียว)
+     */
+    async verifyTwoFactor(code) {
+        if (!this.state.twoFactorChallenge) {
+            throw new Error(I18n.t('auth.challengeExpired'));
+        }
+
+        try {
+            const result = await API.makeRequest('verifyTwoFactor', {
+                challengeToken: this.state.twoFactorChallenge,
+                code: String(code).trim(),
+                clientId: this.getClientId()
+            });
+
+            if (!result.success) {
+                if (result.code === 'CHALLENGE_EXPIRED' || result.code === 'ACCOUNT_LOCKED') {
+                    this.state.twoFactorChallenge = null;
+                }
+                throw this.createLoginError(result);
+            }
+
+            this.state.twoFactorChallenge = null;
+            const loginData = this.completeLogin(result);
+            return result.backupCodes ? { ...loginData, backupCodes: result.backupCodes } : loginData;
+        } catch (error) {
+            console.error('Two-factor error:', error);
+            this.logSecurityEvent('two_factor_failed', { error: error.message });
+            throw error;
+        }
+    },
+
+    /**
+     * Forgot password: ask the group manager for a reset code (เกษตรกรเท่านั้น)
+     * The reply is the same for any username, so it doesn't reveal which accounts exist
+     */
+    async requestPasswordReset(username) {
+        const result = await API.makeRequest('requestPasswordReset', {
+            username: Utils.sanitizeInput(username)
+        });
+
+        if (!result.success) {
+            throw new Error(result.message || I18n.t('auth.resetRequestFailed'));
+        }
+        this.logSecurityEvent('password_reset_requested', { username });
+        return result;
+    },
+
+    /**
+     * Sign in once with the code from the group manager
+     * The backend marks the account mustChangePassword, so completeLogin goes on to change-password.html
+     * (the code is the current password there)
+     */
+    async redeemPasswordReset(username, code) {
+        try {
+            const result = await API.makeRequest('redeemPasswordReset', {
+                username: Utils.sanitizeInput(username),
+                code: String(code).trim(),
+                clientId: this.getClientId()
+            });
+
+            if (!result.success) {
+                throw this.createLoginError(result);
+            }
+            return this.completeLogin(result);
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.logSecurityEvent('password_reset_failed', { username, error: error.message });
+            throw error;
+        }
+    },
+
+    /**
+     * Store the session from a login/verifyTwoFactor/redeemPasswordReset result and start the security features
+     */
+    completeLogin(result) {
+        if (!result.accessToken) {
+            throw new Error('Backend ไม่ได้ส่ง access token กลับมา');
+        }
+
+        // Store enhanced user data
+        const loginData = {
+            ...result.user,
+            loginTime: new Date().toISOString(),
+            sessionId: this.generateSessionId(),
+            lastActivity: Date.now(),
+            sessionCount: this.incrementSessionCount()
+        };
+        
+        Storage.set(CONFIG.STORAGE_KEYS.USER_DATA, loginData);
+        Storage.set(CONFIG.STORAGE_KEYS.LAST_LOGIN, loginData.loginTime);
+        AuthTokens.store(result);
+        Storage.set('session_id', loginData.sessionId);
+        
+        // Check if password change is required
+        if (loginData.mustChangePassword) {
+            // Store flag and redirect to password change page
+            Storage.set('force_password_change', 'true');
+            window.location.href = 'change-password.html';
+            return loginData;
+        }
+        
+        // Initialize enhanced security features
+        this.initializeAutoLogout();
+        this.startCrossTabSync();
+        this.initNetworkMonitoring();
+        
+        // Start activity tracking
+        this.startActivityTracking();
+        
+        return loginData;
+    },
+
+    /**
+     * Build the login error from the backend's throttle fields
+     * error.throttle = { failedAttempts, attemptsRemaining, retryAfter (วินาที), lockedUntil (ISO|null) }
+     */
+    createLoginError(result) {
+        const throttle = result.throttle || {};
+        const details = [];
+
+        if (throttle.lockedUntil) {
+            details.push(I18n.t('auth.lockedUntil', { time: Dates.format(throttle.lockedUntil, { withTime: true }) }));
+        } else if (throttle.retryAfter > 0) {
+            details.push(I18n.t('auth.retryAfter', { seconds: throttle.retryAfter }));
+        }
+        if (!throttle.lockedUntil && throttle.failedAttempts > 0 && throttle.attemptsRemaining > 0) {
+            details.push(I18n.t('auth.attemptsRemaining', { count: throttle.attemptsRemaining }));
+        }
+
+        const error = new Error([result.message || I18n.t('auth.invalidLogin'), ...details].join(' '));
+        error.code = result.code;
+        error.throttle = throttle;
+        return error;
+    },
+
+    /**
+     * Identifier of this browser for the backend's per-client login counter
+     */
+    getClientId() {
+        let clientId = Storage.get(CONFIG.STORAGE_KEYS.CLIENT_ID);
+        if (!clientId) {
+            clientId = 'client_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            Storage.set(CONFIG.STORAGE_KEYS.CLIENT_ID, clientId);
+        }
+        return clientId;
+    },
+
     /**
      * Enhanced Logout with multiple methods
      */
@@ -166,10 +277,9 @@ const AuthAPI = {
     isLoggedIn() {
         const user = this.getCurrentUser();
         const lastLogin = Storage.get(CONFIG.STORAGE_KEYS.LAST_LOGIN);
-        const authToken = Storage.get('auth_token');
         const sessionId = Storage.get('session_id');
         
-        if (!user || !user.username || !lastLogin || !authToken || !sessionId) {
+        if (!user || !user.username || !lastLogin || !AuthTokens.hasSession() || !sessionId) {
             return false;
         }
         
@@ -205,59 +315,85 @@ const AuthAPI = {
         return user && user.role === role;
     },
 
+    /**
+     * Check if current user may perform an action on a resource (see Permissions.MATRIX)
+     */
+    can(action, resource) {
+        return Permissions.can(action, resource, this.getCurrentUser());
+    },
+
     /**
      * Check if user can access specific group
      */
     canAccessGroup(groupId) {
-        const user = this.getCurrentUser();
-        if (!user) return false;
-        
-        // Admin can access all groups
-        if (user.role === 'admin') return true;
-        
-        // Group manager can only access their own group
-        if (user.role === 'group') {
-            return user.groupId === groupId;
-        }
-        
-        // Farmers can only access their own group
-        if (user.role === 'farmer') {
-            return user.groupId === groupId;
-        }
-        
-        return false;
+        return Permissions.inScope(this.getCurrentUser(), groupId);
     },
 
     /**
-     * Change password
+     * Change password (checked against PasswordPolicy here; reuse of old passwords is checked by the backend)
      */
     async changePassword(oldPassword, newPassword) {
         const user = this.getCurrentUser();
         if (!user) throw new Error('ไม่พบข้อมูลผู้ใช้');
 
-        if (newPassword.length < 6) {
-            throw new Error('รหัสผ่านใหม่ต้องมีอย่างน้อย 6 ตัวอักษร');
+        const check = PasswordPolicy.check(newPassword, { username: user.username });
+        if (!check.valid) {
+            throw new Error(check.errors.join(' '));
         }
 
         const result = await API.makeRequest('changePassword', {
-            username: user.username,
             oldPassword: oldPassword,
-            newPassword: newPassword
+            newPassword: newPassword,
+            clientId: this.getClientId()
         });
 
-        if (result.success) {
-            // Clear forced password change flag
-            Storage.remove('force_password_change');
-            
-            Utils.showSuccess('เปลี่ยนรหัสผ่านสำเร็จ', 'กรุณาเข้าสู่ระบบใหม่');
-            setTimeout(() => {
-                this.logout();
-            }, 2000);
+        if (!result.success) {
+            throw new Error(result.message || 'ไม่สามารถเปลี่ยนรหัสผ่านได้');
         }
 
+        // Clear forced password change flag
+        Storage.remove('force_password_change');
+        
+        Utils.showSuccess('เปลี่ยนรหัสผ่านสำเร็จ', 'กรุณาเข้าสู่ระบบใหม่');
+        setTimeout(() => {
+            this.logout();
+        }, 2000);
+
         return result;
     },
 
+    /**
+     * Two-factor status of the signed-in account { enabled, required, backupCodesRemaining, enabledAt }
+     */
+    async getTwoFactorStatus() {
+        return await API.makeRequest('getTwoFactorStatus');
+    },
+
+    /**
+     * Start enrolment: the backend returns a new secret and otpauth:// URL for the QR code
+     */
+    async startTwoFactorEnrollment() {
+        return await API.makeRequest('startTwoFactorEnrollment');
+    },
+
+    /**
+     * Finish enrolment with the first code from the app; returns backupCodes
+     */
+    async confirmTwoFactorEnrollment(code) {
+        return await API.makeRequest('confirmTwoFactorEnrollment', { code: String(code).trim() });
+    },
+
+    async disableTwoFactor(code) {
+        return await API.makeRequest('disableTwoFactor', { code: String(code).trim() });
+    },
+
+    /**
+     * Replace all backup codes (the old ones stop working)
+     */
+    async regenerateBackupCodes(code) {
+        return await API.makeRequest('regenerateBackupCodes', { code: String(code).trim() });
+    },
+
     /**
      * Initialize comprehensive auto logout system
      */
@@ -492,19 +628,20 @@ const AuthAPI = {
             const user = this.getCurrentUser();
             if (!user) throw new Error('No user found');
             
-            // Simulate token refresh (replace with actual API call)
             const refreshResult = await this.refreshAuthToken(user);
             
             if (refreshResult.success) {
                 // Update login time and restart monitoring
                 const newLoginTime = new Date().toISOString();
                 Storage.set(CONFIG.STORAGE_KEYS.LAST_LOGIN, newLoginTime);
-                Storage.set('auth_token', refreshResult.token);
                 
                 // Restart session monitoring with new time
                 this.startSessionMonitoring();
                 
                 Utils.showSuccess('ต่อเซสชันสำเร็จ', 'คุณสามารถใช้งานต่อได้อีก 8 ชั่วโมง');
+            } else if (refreshResult.transient) {
+                // Offline / timeout: keep the session so the user can try again
+                Utils.showError('ต่อเซสชันไม่สำเร็จ', 'ไม่สามารถเชื่อมต่อเซิร์ฟเวอร์ได้ กรุณาลองใหม่อีกครั้ง');
             } else {
                 throw new Error('Failed to refresh token');
             }
@@ -567,19 +704,11 @@ const AuthAPI = {
         console.log('Current path:', currentPath, 'Base path:', basePath);
         
         let targetUrl = '';
-        switch (user.role) {
-            case 'admin':
-                targetUrl = basePath + 'admin/dashboard.html';
-                break;
-            case 'group':
-                targetUrl = basePath + 'group/dashboard.html';
-                break;
-            case 'farmer':
-                targetUrl = basePath + 'farmer/dashboard.html';
-                break;
-            default:
-                console.warn('Unknown role:', user.role, 'redirecting to index');
-                targetUrl = basePath + 'index.html';
+        if (Permissions.ROLE_HOME[user.role]) {
+            targetUrl = basePath + Permissions.ROLE_HOME[user.role];
+        } else {
+            console.warn('Unknown role:', user.role, 'redirecting to index');
+            targetUrl = basePath + 'index.html';
         }
         
         console.log('Redirecting to:', targetUrl);
@@ -611,9 +740,10 @@ const AuthAPI = {
 
     /**
      * Initialize authentication for page
+     * @param {string|Array} requirement - บทบาท หรือ [action, resource] ตาม Permissions.PAGE_RULES
      */
-    initAuth(requiredRole = null) {
-        console.log('Initializing auth for role:', requiredRole);
+    initAuth(requirement = null) {
+        console.log('Initializing auth for:', requirement);
         
         // Check if user is logged in first
         if (!this.isLoggedIn()) {
@@ -628,10 +758,16 @@ const AuthAPI = {
         const user = this.getCurrentUser();
         console.log('Current user:', user);
 
-        // Check role requirement
-        if (requiredRole && user.role !== requiredRole) {
-            console.warn('User role mismatch. Required:', requiredRole, 'Got:', user.role);
-            Utils.showError('ไม่มีสิทธิ์เข้าถึง', `หน้านี้สำหรับ${this.getRoleDisplayName(requiredRole)}เท่านั้น`);
+        // Check permission (or the legacy single-role requirement)
+        const allowed = !requirement || (Array.isArray(requirement)
+            ? Permissions.can(requirement[0], requirement[1], user)
+            : user.role === requirement);
+
+        if (!allowed) {
+            console.warn('Permission denied. Required:', requirement, 'Got role:', user.role);
+            Utils.showError('ไม่มีสิทธิ์เข้าถึง', Array.isArray(requirement)
+                ? `${this.getRoleDisplayName(user.role)}ไม่มีสิทธิ์เข้าถึงหน้านี้`
+                : `หน้านี้สำหรับ${this.getRoleDisplayName(requirement)}เท่านั้น`);
             setTimeout(() => {
                 this.redirectToDashboard(user);
             }, 2000);
@@ -640,6 +776,7 @@ const AuthAPI = {
 
         // Initialize auto logout system
         this.initializeAutoLogout();
+        AuthTokens.scheduleRefresh();
         
         // Update last activity
         this.updateLastActivity();
@@ -696,12 +833,7 @@ const AuthAPI = {
      * Get role display name
      */
     getRoleDisplayName(role) {
-        const roleNames = {
-            'admin': 'ผู้ดูแลระบบ',
-            'group': 'ผู้จัดการกลุ่ม',
-            'farmer': 'เกษตรกร'
-        };
-        return roleNames[role] || role;
+        return Permissions.getRoleLabel(role);
     },
 
     /**
@@ -719,6 +851,9 @@ const AuthAPI = {
             }
         });
 
+        // Elements that need a permission: data-can="action:resource"
+        Permissions.apply();
+
         // Setup role-specific classes
         document.body.classList.add(`role-${role}`);
     },
@@ -794,80 +929,28 @@ const AuthAPI = {
         }
 
         // Dashboard link
-        const dashboardItem = document.createElement('li');
-        dashboardItem.className = 'nav-item auth-nav-item';
-        
-        let dashboardUrl = '';
-        let dashboardText = '';
-        let dashboardIcon = '';
-        
-        switch (role) {
-            case 'admin':
-                dashboardUrl = basePath + 'admin/dashboard.html';
-                dashboardText = 'แผงควบคุม';
-                dashboardIcon = 'fas fa-tachometer-alt';
-                break;
-            case 'group':
-                dashboardUrl = basePath + 'group/dashboard.html';
-                dashboardText = 'จัดการกลุ่ม';
-                dashboardIcon = 'fas fa-users';
-                break;
-            case 'farmer':
-                dashboardUrl = basePath + 'farmer/dashboard.html';
-                dashboardText = 'ข้อมูลของฉัน';
-                dashboardIcon = 'fas fa-leaf';
-                break;
-        }
+        const dashboards = {
+            'admin/dashboard.html': { text: 'แผงควบคุม', icon: 'fas fa-tachometer-alt' },
+            'group/dashboard.html': { text: 'จัดการกลุ่ม', icon: 'fas fa-users' },
+            'farmer/dashboard.html': { text: 'ข้อมูลของฉัน', icon: 'fas fa-leaf' }
+        };
+        const home = Permissions.ROLE_HOME[role];
         
-        if (dashboardUrl) {
+        if (dashboards[home]) {
+            const dashboardItem = document.createElement('li');
+            dashboardItem.className = 'nav-item auth-nav-item';
             dashboardItem.innerHTML = `
-                <a class="nav-link" href="${dashboardUrl}" style="color: #fff;">
-                    <i class="${dashboardIcon} me-1"></i>${dashboardText}
+                <a class="nav-link" href="${basePath + home}" style="color: #fff;">
+                    <i class="${dashboards[home].icon} me-1"></i>${dashboards[home].text}
                 </a>
             `;
             items.push(dashboardItem);
         }
 
-        // Role-specific menu items
-        if (role === 'admin') {
-            const adminMenus = [
-                { url: 'admin/manage-groups.html', text: 'จัดการกลุ่ม', icon: 'fas fa-users-cog' },
-                { url: 'admin/reports.html', text: 'รายงาน', icon: 'fas fa-chart-line' }
-            ];
-            
-            adminMenus.forEach(menu => {
-                const menuItem = document.createElement('li');
-                menuItem.className = 'nav-item auth-nav-item';
-                menuItem.innerHTML = `
-                    <a class="nav-link" href="${basePath + menu.url}" style="color: #fff;">
-                        <i class="${menu.icon} me-1"></i>${menu.text}
-                    </a>
-                `;
-                items.push(menuItem);
-            });
-        } else if (role === 'group') {
-            const groupMenus = [
-                { url: 'group/manage-farmers.html', text: 'จัดการเกษตรกร', icon: 'fas fa-user-plus' },
-                { url: 'group/reports.html', text: 'รายงานกลุ่ม', icon: 'fas fa-file-alt' }
-            ];
-            
-            groupMenus.forEach(menu => {
-                const menuItem = document.createElement('li');
-                menuItem.className = 'nav-item auth-nav-item';
-                menuItem.innerHTML = `
-                    <a class="nav-link" href="${basePath + menu.url}" style="color: #fff;">
-                        <i class="${menu.icon} me-1"></i>${menu.text}
-                    </a>
-                `;
-                items.push(menuItem);
-            });
-        } else if (role === 'farmer') {
-            const farmerMenus = [
-                { url: 'farmer/data-entry.html', text: 'บันทึกข้อมูล', icon: 'fas fa-edit' },
-                { url: 'farmer/view-data.html', text: 'ดูข้อมูล', icon: 'fas fa-eye' }
-            ];
-            
-            farmerMenus.forEach(menu => {
+        // Menu items the user is allowed to open
+        Permissions.MENU
+            .filter(menu => menu.url !== home && Permissions.canOpenPage(menu.url, user))
+            .forEach(menu => {
                 const menuItem = document.createElement('li');
                 menuItem.className = 'nav-item auth-nav-item';
                 menuItem.innerHTML = `
@@ -877,7 +960,6 @@ const AuthAPI = {
                 `;
                 items.push(menuItem);
             });
-        }
         
         // Common logout item
         const logoutItem = document.createElement('li');
@@ -1029,7 +1111,6 @@ const AuthAPI = {
     startActivityTracking() {
         this.updateLastActivity();
         this.monitorSuspiciousActivity();
-        this.detectMultipleFailedAttempts();
         this.monitorTabSwitching();
     },
     
@@ -1111,17 +1192,6 @@ const AuthAPI = {
         }
     },
     
-    /**
-     * Detect multiple failed attempts
-     */
-    detectMultipleFailedAttempts() {
-        const attempts = parseInt(localStorage.getItem('failed_attempts') || '0');
-        if (attempts >= this.CONFIG.MAX_FAILED_ATTEMPTS) {
-            this.logSecurityEvent('multiple_failed_attempts', { attempts });
-            this.forceLogout('security_threat');
-        }
-    },
-    
     /**
      * Monitor tab switching (optional feature)
      */
@@ -1221,25 +1291,33 @@ const AuthAPI = {
  */
 const PageProtection = {
     
+    /**
+     * Protect a page by its permission rule (Permissions.PAGE_RULES)
+     * @param {Array} rule - [action, resource] (ไม่ระบุ = ตามหน้าปัจจุบัน)
+     */
+    protectPage(rule = Permissions.getPageRule(window.location.pathname)) {
+        return AuthAPI.initAuth(rule);
+    },
+
     /**
      * Protect admin pages
      */
     protectAdminPage() {
-        return AuthAPI.initAuth('admin');
+        return this.protectPage(Permissions.getPageRule(window.location.pathname) || ['view', 'system_dashboard']);
     },
 
     /**
      * Protect group pages
      */
     protectGroupPage() {
-        return AuthAPI.initAuth('group');
+        return this.protectPage(Permissions.getPageRule(window.location.pathname) || ['view', 'group_workspace']);
     },
 
     /**
      * Protect farmer pages
      */
     protectFarmerPage() {
-        return AuthAPI.initAuth('farmer');
+        return this.protectPage(Permissions.getPageRule(window.location.pathname) || ['view', 'farm_data']);
     },
 
     /**
@@ -1538,13 +1616,6 @@ Object.assign(AuthAPI, {
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     },
     
-    /**
-     * Generate auth token
-     */
-    generateToken() {
-        return 'token_' + Date.now() + '_' + Math.random().toString(36).substr(2, 16);
-    },
-    
     /**
      * Set session timeout (legacy function for compatibility)
      */
@@ -1569,28 +1640,24 @@ Object.assign(AuthAPI, {
     validateSessionIntegrity(user, sessionId) {
         // Check if session data is consistent
         const storedSessionId = Storage.get('session_id');
-        const authToken = Storage.get('auth_token');
+        const refreshToken = AuthTokens.getRefreshToken();
         
         return storedSessionId === sessionId && 
-               authToken && 
+               refreshToken && 
                user.username && 
                user.sessionId === sessionId;
     },
     
     /**
-     * Refresh auth token
+     * Refresh auth token (exchanges the stored refresh token with the backend)
      */
     async refreshAuthToken(user) {
-        // Simulate token refresh - replace with actual API call
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    success: true,
-                    token: this.generateToken(),
-                    message: 'Token refreshed successfully'
-                });
-            }, 1000);
-        });
+        try {
+            return { success: await AuthTokens.refresh() };
+        } catch (error) {
+            // Network error: the session is still valid, only this attempt failed
+            return { success: false, transient: true, message: error.message };
+        }
     },
     
     /**
@@ -1646,14 +1713,27 @@ Object.assign(AuthAPI, {
     
     /**
      * Sync pending data when network comes back
+     * ส่งงานที่ค้างใน OfflineOutbox ตามลำดับ (หน้าที่โหลด offline-outbox.js)
      */
     async syncPendingData() {
         try {
-            const pendingData = localStorage.getItem('pending_form_data');
-            if (pendingData) {
-                // In real application, sync with server
-                console.log('Syncing pending data:', JSON.parse(pendingData));
-                localStorage.removeItem('pending_form_data');
+            if (typeof OfflineOutbox === 'undefined') return;
+
+            const summary = await OfflineOutbox.replay();
+
+            if (summary.sent > 0 || summary.failed > 0) {
+                const toast = Swal.mixin({
+                    toast: true,
+                    position: 'top-end',
+                    showConfirmButton: false,
+                    timer: 4000
+                });
+
+                toast.fire({
+                    icon: summary.failed > 0 ? 'warning' : 'success',
+                    title: I18n.t('outbox.synced', { count: summary.sent }),
+                    text: summary.failed > 0 ? I18n.t('outbox.syncFailed', { count: summary.failed }) : ''
+                });
             }
         } catch (error) {
             console.error('Sync pending data failed:', error);
@@ -1664,11 +1744,13 @@ Object.assign(AuthAPI, {
      * Clear all user session data
      */
     clearUserSession() {
+        // Revoke the refresh token on the backend and drop both tokens
+        AuthTokens.revoke();
+
         // Clear all authentication related data
         const authKeys = [
             CONFIG.STORAGE_KEYS.USER_DATA,
             CONFIG.STORAGE_KEYS.LAST_LOGIN,
-            'auth_token',
             'session_id',
             'remember_login',
             'last_activity'
@@ -1682,6 +1764,9 @@ Object.assign(AuthAPI, {
         // Clear sensitive localStorage items
         localStorage.removeItem('pending_form_data');
         localStorage.removeItem('scroll_position');
+
+        // Unsent OfflineOutbox items stay in IndexedDB under their owner's username
+        // and are only replayed after that user signs in again
     },
     
     /**
@@ -1692,28 +1777,28 @@ Object.assign(AuthAPI, {
         
         switch (method) {
             case 'manual':
-                title = 'ออกจากระบบสำเร็จ';
-                text = 'ขอบคุณที่ใช้บริการ';
+                title = I18n.t('logout.manualTitle');
+                text = I18n.t('logout.thanks');
                 icon = 'success';
                 break;
             case 'auto':
-                title = 'ออกจากระบบอัตโนมัติ';
-                text = reason === 'idle' ? 'เนื่องจากไม่มีการใช้งาน' : 'เซสชันหมดอายุ';
+                title = I18n.t('logout.autoTitle');
+                text = I18n.t(reason === 'idle' ? 'logout.idle' : 'logout.expired');
                 icon = 'warning';
                 break;
             case 'force':
-                title = 'ออกจากระบบเพื่อความปลอดภัย';
-                text = 'ตรวจพบกิจกรรมที่น่าสงสัย';
+                title = I18n.t('logout.forceTitle');
+                text = I18n.t(reason === 'unauthorized' ? 'logout.unauthorized' : 'logout.forceText');
                 icon = 'error';
                 break;
             case 'emergency':
-                title = 'ออกจากระบบฉุกเฉิน';
-                text = 'บันทึกข้อมูลเรียบร้อยแล้ว';
+                title = I18n.t('logout.emergencyTitle');
+                text = I18n.t('logout.emergencyText');
                 icon = 'info';
                 break;
             default:
-                title = 'ออกจากระบบ';
-                text = 'ขอบคุณที่ใช้บริการ';
+                title = I18n.t('logout.title');
+                text = I18n.t('logout.thanks');
                 icon = 'success';
         }
         
@@ -1796,12 +1881,20 @@ document.addEventListener('DOMContentLoaded', function() {
             AuthAPI.setupPage({ setupNavigation: true });
             // Start enhanced tracking for authenticated users
             AuthAPI.initializeAutoLogout();
+            AuthTokens.scheduleRefresh();
         } else {
             console.log('User not logged in on public page');
         }
     }
 });
 
+// Backend rejected the session (401 after a failed refresh) - log out once
+window.addEventListener(AuthTokens.UNAUTHORIZED_EVENT, () => {
+    if (AuthAPI.getCurrentUser()) {
+        AuthAPI.forceLogout('unauthorized');
+    }
+});
+
 // Export for global use
 window.AuthAPI = AuthAPI;
 window.PageProtection = PageProtection;
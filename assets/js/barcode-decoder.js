@@ -0,0 +1,229 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Barcode Decoder
+ * =====================================
+ * อ่านบาร์โค้ด EAN-13, Code128 และ DataMatrix จากกล้อง (QR ยังใช้ qr-scanner เหมือนเดิม)
+ * แล้วแปลงค่าที่อ่านได้เป็นรหัสผลิตภัณฑ์ของระบบผ่าน resolver ที่ตั้งค่าได้
+ *
+ * ใช้ BarcodeDetector ของเบราว์เซอร์ถ้ามี ไม่เช่นนั้นใช้ ZXing (@zxing/library)
+ */
+
+const BarcodeDecoder = {
+    // ชื่อ format ตาม BarcodeDetector
+    FORMATS: ['ean_13', 'code_128', 'data_matrix'],
+
+    FORMAT_NAMES: {
+        qr_code: 'QR Code',
+        ean_13: 'EAN-13',
+        code_128: 'Code 128',
+        data_matrix: 'DataMatrix',
+        text: 'ข้อความ'
+    },
+
+    SCAN_INTERVAL: 250,
+
+    detectorPromise: null,
+    customResolver: null,
+
+    /**
+     * Check whether any decoder is available
+     * @return {boolean}
+     */
+    isSupported() {
+        return 'BarcodeDetector' in window || typeof ZXing !== 'undefined';
+    },
+
+    /**
+     * Create (once) a detect(source) function for video/image/canvas sources
+     * @return {Promise<Function|null>} async (source) => [{ format, value }]
+     */
+    getDetector() {
+        if (!this.detectorPromise) {
+            this.detectorPromise = this.createDetector();
+        }
+        return this.detectorPromise;
+    },
+
+    async createDetector() {
+        if ('BarcodeDetector' in window) {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = this.FORMATS.filter(format => supported.includes(format));
+
+            // Prefer native unless it lacks formats ZXing could add
+            if (formats.length === this.FORMATS.length || (formats.length > 0 && typeof ZXing === 'undefined')) {
+                const detector = new window.BarcodeDetector({ formats: formats });
+
+                return async (source) => {
+                    const codes = await detector.detect(source);
+                    return codes.map(code => ({ format: code.format, value: code.rawValue }));
+                };
+            }
+        }
+
+        if (typeof ZXing !== 'undefined') {
+            return this.createZXingDetector();
+        }
+
+        return null;
+    },
+
+    createZXingDetector() {
+        const formatMap = {
+            [ZXing.BarcodeFormat.EAN_13]: 'ean_13',
+            [ZXing.BarcodeFormat.CODE_128]: 'code_128',
+            [ZXing.BarcodeFormat.DATA_MATRIX]: 'data_matrix'
+        };
+
+        const hints = new Map();
+        hints.set(ZXing.DecodeHintType.POSSIBLE_FORMATS, Object.keys(formatMap).map(Number));
+        hints.set(ZXing.DecodeHintType.TRY_HARDER, true);
+
+        const reader = new ZXing.MultiFormatReader();
+        reader.setHints(hints);
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        return async (source) => {
+            const width = source.videoWidth || source.naturalWidth || source.width;
+            const height = source.videoHeight || source.naturalHeight || source.height;
+            if (!width || !height) return [];
+
+            canvas.width = width;
+            canvas.height = height;
+            ctx.drawImage(source, 0, 0, width, height);
+
+            try {
+                const luminance = new ZXing.HTMLCanvasElementLuminanceSource(canvas);
+                const result = reader.decode(new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(luminance)));
+                return [{ format: formatMap[result.getBarcodeFormat()], value: result.getText() }];
+            } catch (error) {
+                // NotFoundException = no barcode in this frame
+                return [];
+            }
+        };
+    },
+
+    /**
+     * Decode barcodes in an image, canvas or video frame
+     * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|ImageBitmap} source
+     * @return {Promise<Array>} [{ format, value }]
+     */
+    async detect(source) {
+        const detector = await this.getDetector();
+        return detector ? await detector(source) : [];
+    },
+
+    /**
+     * Scan a playing video until a barcode is found
+     * @param {HTMLVideoElement} video - video ที่กำลังแสดงภาพจากกล้อง
+     * @param {Function} onDetected - ({ format, value }) เรียกครั้งเดียวเมื่อพบ
+     * @return {Object} { stop() }
+     */
+    start(video, onDetected) {
+        let stopped = false;
+        let timer = null;
+
+        const tick = async () => {
+            if (stopped) return;
+
+            try {
+                if (video.readyState >= 2) {
+                    const codes = await this.detect(video);
+                    if (!stopped && codes.length > 0) {
+                        stopped = true;
+                        onDetected(codes[0]);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.warn('Barcode detect error:', error);
+            }
+
+            if (!stopped) {
+                timer = setTimeout(tick, this.SCAN_INTERVAL);
+            }
+        };
+
+        this.getDetector().then(detector => {
+            if (detector) {
+                tick();
+            } else {
+                console.warn('No barcode decoder available - QR only');
+            }
+        });
+
+        return {
+            stop() {
+                stopped = true;
+                clearTimeout(timer);
+            }
+        };
+    },
+
+    /**
+     * Replace the default resolver
+     * @param {Function|null} resolver - async (value, format) => รหัสผลิตภัณฑ์ หรือ null เพื่อใช้กฎปกติต่อ
+     */
+    setResolver(resolver) {
+        this.customResolver = resolver;
+    },
+
+    /**
+     * Map a decoded value to a system product code
+     * Order: already a system code, custom resolver, CONFIG.BARCODE_RULES, backend lookup
+     * @param {string} value - ค่าที่อ่านได้
+     * @param {string} format - ean_13 | code_128 | data_matrix | qr_code | text
+     * @return {Promise<Object|null>} { code, rule }
+     */
+    async resolve(value, format) {
+        const raw = String(value || '').trim();
+        if (!raw) return null;
+
+        if (CONFIG.QR_CODE_PATTERN.test(raw)) {
+            return { code: raw, rule: 'direct' };
+        }
+
+        if (this.customResolver) {
+            const code = await this.customResolver(raw, format);
+            if (code && CONFIG.QR_CODE_PATTERN.test(code)) {
+                return { code: code, rule: 'custom' };
+            }
+        }
+
+        for (const rule of CONFIG.BARCODE_RULES) {
+            if (rule.formats && !rule.formats.includes(format)) continue;
+
+            const pattern = new RegExp(rule.pattern);
+            const match = raw.match(pattern);
+            if (!match) continue;
+
+            const code = match[0].replace(pattern, rule.template);
+            if (CONFIG.QR_CODE_PATTERN.test(code)) {
+                return { code: code, rule: rule.name };
+            }
+        }
+
+        if (CONFIG.BARCODE_LOOKUP_FORMATS.includes(format)) {
+            try {
+                const result = await API.makeRequest('resolveBarcode', { format: format, value: raw });
+                if (result.success && result.qrCode) {
+                    return { code: result.qrCode, rule: 'lookup' };
+                }
+            } catch (error) {
+                console.warn('Barcode lookup failed:', error.message);
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Human-readable format name
+     */
+    getFormatName(format) {
+        return this.FORMAT_NAMES[format] || format;
+    }
+};
+
+// Export for global use
+window.BarcodeDecoder = BarcodeDecoder;
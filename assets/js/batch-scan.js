@@ -0,0 +1,397 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Batch Scan Session
+ * =====================================
+ * โหมดตรวจหลายรายการสำหรับเจ้าหน้าที่ตรวจตลาด: สแกนต่อเนื่องโดยไม่ออกจากหน้า
+ * ค้นหาข้อมูลแต่ละรหัสพร้อมกันผ่าน QRAPI.searchByQRCode แล้วส่งออกเป็น CSV / PDF
+ */
+
+class BatchScanSession {
+    /**
+     * @param {Object} options - { onChange(item) } เรียกทุกครั้งที่รายการเปลี่ยน
+     */
+    constructor(options = {}) {
+        this.items = [];
+        this.startedAt = new Date().toISOString();
+        this.onChange = options.onChange || null;
+        this.lastSeen = {};
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a scanned value to the session and look it up
+     * @param {string} raw - ค่าที่อ่านได้จากกล้อง
+     * @param {string} format - ชนิดของบาร์โค้ด (qr_code, ean_13, ...)
+     * @return {Promise<Object|null>} { item, duplicate } หรือ null ถ้าเป็นการอ่านซ้ำจากภาพเดิม
+     */
+    async add(raw, format = 'qr_code') {
+        const value = String(raw || '').trim();
+        if (!value || this.isRepeat(value)) return null;
+
+        const resolved = await this.resolveCode(value, format);
+
+        const existing = this.items.find(item =>
+            (resolved.code && item.code === resolved.code) || item.raw === value
+        );
+
+        if (existing) {
+            existing.duplicates++;
+            existing.lastScannedAt = new Date().toISOString();
+            this.notify(existing);
+            return { item: existing, duplicate: true };
+        }
+
+        const now = new Date().toISOString();
+        const item = {
+            id: this.nextId++,
+            raw: value,
+            format: format,
+            code: resolved.code,
+            rule: resolved.rule,
+            status: resolved.code ? 'pending' : 'unmapped',
+            signatureValid: resolved.signatureValid,
+            duplicates: 0,
+            data: null,
+            offline: false,
+            error: null,
+            scannedAt: now,
+            lastScannedAt: now
+        };
+
+        this.items.push(item);
+        this.notify(item);
+
+        if (item.code) {
+            await this.lookup(item);
+        }
+
+        return { item: item, duplicate: false };
+    }
+
+    /**
+     * Ignore the same value while it stays in front of the camera
+     * @return {boolean}
+     */
+    isRepeat(value) {
+        const now = Date.now();
+        const repeat = this.lastSeen[value] && now - this.lastSeen[value] < BatchScanSession.REPEAT_WINDOW;
+        this.lastSeen[value] = now;
+        return Boolean(repeat);
+    }
+
+    /**
+     * Signed payload / system code / barcode => product code (no dialogs in batch mode)
+     * @return {Promise<Object>} { code, rule, signatureValid }
+     */
+    async resolveCode(value, format) {
+        if (typeof QRSignature !== 'undefined' && QRSignature.isSigned(value)) {
+            const verification = await QRSignature.verify(value);
+            return { code: verification.qrCode, rule: 'signed', signatureValid: verification.valid };
+        }
+
+        if (CONFIG.QR_CODE_PATTERN.test(value)) {
+            return { code: value, rule: null, signatureValid: null };
+        }
+
+        if (typeof BarcodeDecoder !== 'undefined') {
+            const resolved = await BarcodeDecoder.resolve(value, format);
+            if (resolved) {
+                return { code: resolved.code, rule: resolved.rule, signatureValid: null };
+            }
+        }
+
+        return { code: null, rule: null, signatureValid: null };
+    }
+
+    /**
+     * Look up one item (runs alongside lookups of other scans)
+     */
+    async lookup(item) {
+        try {
+            const result = await QRAPI.searchByQRCode(item.code);
+
+            if (result.success) {
+                item.status = item.signatureValid === false ? 'invalid_signature' : 'found';
+                item.offline = Boolean(result.offline);
+                item.data = {
+                    farmerName: result.data.farmerName,
+                    groupName: result.data.groupName,
+                    plotNumber: result.data.plotNumber
+                };
+            } else {
+                item.status = 'not_found';
+                item.error = result.message || null;
+            }
+        } catch (error) {
+            item.status = 'error';
+            item.error = error.message;
+        }
+
+        this.notify(item);
+    }
+
+    /**
+     * Look up failed items again
+     */
+    async retryFailed() {
+        const failed = this.items.filter(item => item.code && item.status === 'error');
+        failed.forEach(item => {
+            item.status = 'pending';
+            item.error = null;
+            this.notify(item);
+        });
+        await Promise.all(failed.map(item => this.lookup(item)));
+    }
+
+    notify(item) {
+        if (this.onChange) {
+            this.onChange(item);
+        }
+    }
+
+    clear() {
+        this.items = [];
+        this.lastSeen = {};
+        this.startedAt = new Date().toISOString();
+        this.notify(null);
+    }
+
+    /**
+     * Counts for the summary bar
+     * @return {Object} { total, found, notFound, duplicates, unmapped, invalid, pending, errors }
+     */
+    getSummary() {
+        const count = (status) => this.items.filter(item => item.status === status).length;
+
+        return {
+            total: this.items.length,
+            found: count('found'),
+            notFound: count('not_found'),
+            duplicates: this.items.filter(item => item.duplicates > 0).length,
+            unmapped: count('unmapped'),
+            invalid: count('invalid_signature'),
+            pending: count('pending'),
+            errors: count('error')
+        };
+    }
+
+    /**
+     * Rows shared by the CSV and PDF exports
+     * @return {Array<Array>} แถวแรกเป็นหัวตาราง
+     */
+    getRows() {
+        const rows = [['ลำดับ', 'รหัสที่สแกน', 'ชนิด', 'รหัสผลิตภัณฑ์', 'สถานะ', 'เกษตรกร', 'กลุ่ม', 'แปลง', 'สแกนซ้ำ', 'เวลา']];
+
+        this.items.forEach((item, index) => {
+            rows.push([
+                index + 1,
+                item.raw,
+                typeof BarcodeDecoder !== 'undefined' ? BarcodeDecoder.getFormatName(item.format) : item.format,
+                item.code || '-',
+                BatchScanSession.STATUS_LABELS[item.status],
+                item.data ? item.data.farmerName : '-',
+                item.data ? item.data.groupName : '-',
+                item.data ? item.data.plotNumber : '-',
+                item.duplicates,
+                new Date(item.scannedAt).toLocaleTimeString('th-TH', { timeZone: 'Asia/Bangkok' })
+            ]);
+        });
+
+        return rows;
+    }
+
+    /**
+     * Download the session as CSV (UTF-8 with BOM so Excel shows Thai)
+     * @param {string} fileName - ชื่อไฟล์
+     */
+    exportCSV(fileName) {
+        const escape = (cell) => {
+            const text = String(cell === null || cell === undefined ? '' : cell);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = this.getRows().map(row => row.map(escape).join(',')).join('\n');
+
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.visibility = 'hidden';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download the session as an A4 PDF
+     * Pages are drawn on canvas so Thai text uses the browser's fonts
+     * @param {string} fileName - ชื่อไฟล์
+     */
+    exportPDF(fileName) {
+        if (typeof window.jspdf === 'undefined') {
+            throw new Error('ไม่พบไลบรารี jsPDF');
+        }
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'landscape' });
+        const [header, ...rows] = this.getRows();
+        const perPage = BatchScanSession.PDF_ROWS_PER_PAGE;
+        const pageCount = Math.max(1, Math.ceil(rows.length / perPage));
+
+        for (let page = 0; page < pageCount; page++) {
+            if (page > 0) doc.addPage();
+
+            const canvas = this.renderPDFPage(header, rows.slice(page * perPage, (page + 1) * perPage), page + 1, pageCount);
+            doc.addImage(canvas, 'PNG', 0, 0, 297, 210);
+        }
+
+        doc.save(fileName);
+    }
+
+    /**
+     * Draw one landscape A4 page (297×210 mm at 6 px/mm)
+     */
+    renderPDFPage(header, rows, pageNumber, pageCount) {
+        const scale = 6;
+        const canvas = document.createElement('canvas');
+        canvas.width = 297 * scale;
+        canvas.height = 210 * scale;
+
+        const ctx = canvas.getContext('2d');
+        const font = (size, bold = false) => `${bold ? 'bold ' : ''}${size * scale}px "Sarabun", "Noto Sans Thai", sans-serif`;
+        const margin = 12 * scale;
+        const rowHeight = 7 * scale;
+        // Column widths in mm (total 273 = page width minus margins)
+        const widths = [12, 48, 20, 38, 30, 38, 36, 25, 12, 14].map(width => width * scale);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000000';
+        ctx.textBaseline = 'middle';
+
+        ctx.font = font(5, true);
+        ctx.fillText('รายงานการตรวจสินค้า (สแกนหลายรายการ)', margin, margin);
+
+        const summary = this.getSummary();
+        ctx.font = font(3.2);
+        ctx.fillText(
+            `เริ่ม ${Utils.formatDateTimeThai(this.startedAt)} · ทั้งหมด ${summary.total} · พบข้อมูล ${summary.found} · ไม่พบ ${summary.notFound} · สแกนซ้ำ ${summary.duplicates} · หน้า ${pageNumber}/${pageCount}`,
+            margin, margin + 7 * scale
+        );
+
+        let y = margin + 14 * scale;
+        const drawRow = (cells, bold, fill) => {
+            if (fill) {
+                ctx.fillStyle = fill;
+                ctx.fillRect(margin, y, canvas.width - margin * 2, rowHeight);
+            }
+            ctx.fillStyle = '#000000';
+            ctx.font = font(3, bold);
+
+            let x = margin;
+            cells.forEach((cell, index) => {
+                ctx.fillText(this.fitText(ctx, String(cell), widths[index] - 2 * scale), x + scale, y + rowHeight / 2);
+                x += widths[index];
+            });
+
+            ctx.strokeStyle = '#dee2e6';
+            ctx.strokeRect(margin, y, canvas.width - margin * 2, rowHeight);
+            y += rowHeight;
+        };
+
+        drawRow(header, true, '#e9ecef');
+        rows.forEach(row => {
+            const status = row[4];
+            const flagged = status !== BatchScanSession.STATUS_LABELS.found || row[8] > 0;
+            drawRow(row, false, flagged ? '#fff3cd' : null);
+        });
+
+        return canvas;
+    }
+
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(fitted + '…').width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return fitted + '…';
+    }
+
+    /**
+     * Render summary and list
+     * @param {HTMLElement} summaryContainer - แถบสรุปจำนวน
+     * @param {HTMLElement} listContainer - รายการที่สแกน
+     */
+    render(summaryContainer, listContainer) {
+        const summary = this.getSummary();
+
+        if (summaryContainer) {
+            summaryContainer.innerHTML = `
+                <span class="badge bg-light text-dark">ทั้งหมด ${summary.total}</span>
+                <span class="badge bg-success">พบข้อมูล ${summary.found}</span>
+                <span class="badge bg-danger">ไม่พบ ${summary.notFound + summary.unmapped}</span>
+                <span class="badge bg-warning text-dark">สแกนซ้ำ ${summary.duplicates}</span>
+                ${summary.invalid > 0 ? `<span class="badge bg-danger">ลายเซ็นไม่ถูกต้อง ${summary.invalid}</span>` : ''}
+                ${summary.pending > 0 ? `<span class="badge bg-info">กำลังค้นหา ${summary.pending}</span>` : ''}
+                ${summary.errors > 0 ? `<span class="badge bg-secondary">ผิดพลาด ${summary.errors}</span>` : ''}
+            `;
+        }
+
+        if (!listContainer) return;
+
+        if (this.items.length === 0) {
+            listContainer.innerHTML = '<div class="text-white-50 small text-center py-2">ยังไม่มีรายการ สแกน QR Code เพื่อเริ่ม</div>';
+            return;
+        }
+
+        // Newest first
+        listContainer.innerHTML = this.items.slice().reverse().map(item => `
+            <div class="list-group-item bg-transparent text-white border-light border-opacity-25 px-0">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div class="me-2 text-break">
+                        <div class="fw-medium">${Utils.escapeHtml(item.data ? item.data.farmerName : (item.code || item.raw))}</div>
+                        <div class="small opacity-75">
+                            ${Utils.escapeHtml(item.code || item.raw)}
+                            ${item.data ? ` · ${Utils.escapeHtml(item.data.groupName)}` : ''}
+                            ${item.offline ? ' · <i class="fas fa-history"></i> ข้อมูลที่เคยดู' : ''}
+                        </div>
+                        ${item.error ? `<div class="small text-warning">${Utils.escapeHtml(item.error)}</div>` : ''}
+                    </div>
+                    <div class="text-end text-nowrap">
+                        ${BatchScanSession.STATUS_BADGES[item.status]}
+                        ${item.duplicates > 0 ? `<div><span class="badge bg-warning text-dark mt-1">ซ้ำ ×${item.duplicates + 1}</span></div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// Same value within this window is the camera re-reading the same label (ms)
+BatchScanSession.REPEAT_WINDOW = 3000;
+
+BatchScanSession.PDF_ROWS_PER_PAGE = 22;
+
+BatchScanSession.STATUS_LABELS = {
+    pending: 'กำลังค้นหา',
+    found: 'พบข้อมูล',
+    not_found: 'ไม่พบข้อมูล',
+    unmapped: 'ไม่ใช่รหัสของระบบ',
+    invalid_signature: 'ลายเซ็นไม่ถูกต้อง',
+    error: 'ผิดพลาด'
+};
+
+BatchScanSession.STATUS_BADGES = {
+    pending: '<span class="badge bg-info"><span class="spinner-border spinner-border-sm me-1"></span>ค้นหา</span>',
+    found: '<span class="badge bg-success">พบข้อมูล</span>',
+    not_found: '<span class="badge bg-danger">ไม่พบข้อมูล</span>',
+    unmapped: '<span class="badge bg-danger">ไม่ใช่รหัสของระบบ</span>',
+    invalid_signature: '<span class="badge bg-danger">ลายเซ็นไม่ถูกต้อง</span>',
+    error: '<span class="badge bg-secondary">ผิดพลาด</span>'
+};
+
+// Export for global use
+window.BatchScanSession = BatchScanSession;
@@ -0,0 +1,197 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Dates
+ * =====================================
+ * แปลงและแสดงวันที่ทั้งปฏิทินพุทธศักราช (พ.ศ.) และคริสต์ศักราช (ค.ศ.) ในเขตเวลา Asia/Bangkok
+ * ค่าที่เก็บในระบบเป็น ค.ศ. เสมอ (ช่อง input type="date", ISO timestamp) ส่วนการแสดงผลตามปฏิทินที่ผู้ใช้เลือก
+ */
+
+const Dates = {
+    TIME_ZONE: 'Asia/Bangkok',
+    // Thailand has no daylight saving, so the offset is fixed at UTC+7
+    UTC_OFFSET_MINUTES: 7 * 60,
+    BUDDHIST_YEAR_OFFSET: 543,
+
+    CALENDARS: {
+        buddhist: { intl: 'buddhist' },
+        gregorian: { intl: 'gregory' }
+    },
+    CHANGE_EVENT: 'dates:calendar-change',
+
+    /**
+     * Calendar preference: saved choice, otherwise พ.ศ. for Thai and ค.ศ. for other languages
+     */
+    getCalendar() {
+        const saved = Storage.get(CONFIG.STORAGE_KEYS.CALENDAR);
+        if (this.CALENDARS[saved]) return saved;
+
+        return I18n.getLanguage() === 'th' ? 'buddhist' : 'gregorian';
+    },
+
+    setCalendar(calendar) {
+        if (!this.CALENDARS[calendar]) return;
+
+        Storage.set(CONFIG.STORAGE_KEYS.CALENDAR, calendar);
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { calendar: calendar } }));
+    },
+
+    /**
+     * Convert a year from either calendar to ค.ศ. (years after 2400 are treated as พ.ศ.)
+     */
+    toGregorianYear(year) {
+        return year > 2400 ? year - this.BUDDHIST_YEAR_OFFSET : year;
+    },
+
+    /**
+     * Build a Date from Bangkok wall-clock parts
+     * @return {Date|null} null เมื่อวันที่ไม่มีจริง (เช่น 31/02)
+     */
+    fromParts(year, month, day, hour = 0, minute = 0) {
+        const gregorianYear = this.toGregorianYear(year);
+        const utc = Date.UTC(gregorianYear, month - 1, day, hour, minute);
+        const check = new Date(utc);
+
+        if (check.getUTCFullYear() !== gregorianYear || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+            return null;
+        }
+
+        return new Date(utc - this.UTC_OFFSET_MINUTES * 60000);
+    },
+
+    /**
+     * Parse a date value from any source in the system
+     * รองรับ Date, timestamp, YYYY-MM-DD, DD/MM/YYYY, YYYYMMDD (รหัสค้นหา) ทั้ง พ.ศ. และ ค.ศ. และ ISO timestamp
+     * @return {Date|null}
+     */
+    parse(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : new Date(value.getTime());
+        }
+        if (typeof value === 'number') {
+            return new Date(value);
+        }
+
+        const text = String(value).trim();
+        let match;
+
+        // Date-only values mean midnight in Bangkok, not UTC
+        if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+            return this.fromParts(+match[1], +match[2], +match[3]);
+        }
+        if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+            return this.fromParts(+match[3], +match[2], +match[1]);
+        }
+        if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+            return this.fromParts(+match[1], +match[2], +match[3]);
+        }
+
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Bangkok calendar date as YYYY-MM-DD (ค.ศ.) for date inputs and backend payloads
+     */
+    toISODate(value) {
+        const date = this.parse(value);
+        if (!date) return '';
+
+        return new Date(date.getTime() + this.UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Format a date in the current language and calendar
+     * @param {*} value - ค่าใดก็ได้ที่ parse() รองรับ
+     * @param {Object} options - { withTime, month: 'long'|'short', calendar, locale }
+     * @return {string} '-' เมื่อไม่มีวันที่
+     */
+    format(value, options = {}) {
+        const date = this.parse(value);
+        if (!date) return '-';
+
+        const calendar = this.CALENDARS[options.calendar] ? options.calendar : this.getCalendar();
+        const locale = `${options.locale || I18n.getLocale()}-u-ca-${this.CALENDARS[calendar].intl}`;
+        const formatOptions = {
+            year: 'numeric',
+            month: options.month || 'long',
+            day: 'numeric',
+            timeZone: this.TIME_ZONE
+        };
+
+        if (options.withTime) {
+            formatOptions.hour = '2-digit';
+            formatOptions.minute = '2-digit';
+        }
+
+        return date.toLocaleString(locale, formatOptions);
+    },
+
+    /**
+     * Relative time such as "3 วันที่ผ่านมา"; older than a week falls back to the date
+     * @param {*} value - เวลาที่ต้องการ
+     * @param {Date} now - เวลาอ้างอิง
+     */
+    relative(value, now = new Date()) {
+        const date = this.parse(value);
+        if (!date) return '';
+
+        const seconds = Math.round((date.getTime() - now.getTime()) / 1000);
+        const elapsed = Math.abs(seconds);
+
+        if (elapsed >= 7 * 86400) return this.format(date);
+
+        const formatter = new Intl.RelativeTimeFormat(I18n.getLocale(), { numeric: 'auto' });
+
+        if (elapsed < 60) return formatter.format(0, 'second');
+        if (elapsed < 3600) return formatter.format(Math.trunc(seconds / 60), 'minute');
+        if (elapsed < 86400) return formatter.format(Math.trunc(seconds / 3600), 'hour');
+        return formatter.format(Math.trunc(seconds / 86400), 'day');
+    },
+
+    /**
+     * Add a พ.ศ./ค.ศ. select to a container (next to the language switcher)
+     */
+    renderCalendarSwitcher(container) {
+        if (!container) return;
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm calendar-switcher ms-2';
+        select.setAttribute('aria-label', 'Calendar');
+
+        const fill = () => {
+            select.innerHTML = '';
+            Object.keys(this.CALENDARS).forEach(calendar => {
+                select.add(new Option(I18n.t(`calendar.${calendar}`), calendar));
+            });
+            select.value = this.getCalendar();
+        };
+
+        fill();
+        select.addEventListener('change', () => this.setCalendar(select.value));
+        window.addEventListener(I18n.CHANGE_EVENT, fill);
+        container.appendChild(select);
+    },
+
+    /**
+     * Show a date input's (ค.ศ.) value in the selected calendar underneath it
+     * @param {HTMLInputElement} input - input type="date"
+     */
+    attachPreview(input) {
+        const preview = document.createElement('div');
+        preview.className = 'form-text date-preview';
+        input.insertAdjacentElement('afterend', preview);
+
+        const update = () => {
+            preview.textContent = input.value ? this.format(input.value) : '';
+        };
+
+        input.addEventListener('change', update);
+        window.addEventListener(this.CHANGE_EVENT, update);
+        window.addEventListener(I18n.CHANGE_EVENT, update);
+        update();
+    }
+};
+
+// Export for global use
+window.Dates = Dates;
@@ -577,7 +577,7 @@ function downloadQRCode(qrCodeUrl) {
 async function generateAndShowSummaryReport(containerId) {
     try {
         const user = AuthAPI.getCurrentUser();
-        if (!user || user.role !== 'farmer') return;
+        if (!AuthAPI.can('view', 'farm_data')) return;
         
         await farmerDataManager.loadFarmerData(user.farmerId);
         const report = farmerDataManager.generateSummaryReport();
@@ -631,7 +631,7 @@ async function generateAndShowSummaryReport(containerId) {
                                         <i class="fas fa-${statusIcon} me-1"></i>
                                         ${statusText}
                                     </div>
-                                    ${section.lastUpdate ? `<small class="text-muted">อัปเดต: ${new Date(section.lastUpdate).toLocaleDateString('th-TH')}</small>` : ''}
+                                    ${section.lastUpdate ? `<small class="text-muted">อัปเดต: ${Dates.format(section.lastUpdate)}</small>` : ''}
                                 </div>
                             </div>
                         </div>
@@ -663,7 +663,7 @@ async function generateAndShowSummaryReport(containerId) {
  */
 function initializeFarmerAutoSave(form, sectionNumber) {
     const user = AuthAPI.getCurrentUser();
-    if (!user || user.role !== 'farmer') return;
+    if (!AuthAPI.can('update', 'farm_data')) return;
     
     const saveCallback = async (formData) => {
         try {
@@ -708,7 +708,7 @@ function renderActivityTimeline(containerId) {
     
     activities.forEach(activity => {
         const date = new Date(activity.timestamp);
-        const timeAgo = Utils.getTimeAgo ? Utils.getTimeAgo(date) : date.toLocaleString('th-TH');
+        const timeAgo = Dates.relative(date);
         
         html += `
             <div class="activity-item d-flex mb-3">
@@ -13,6 +13,9 @@ class FormHandler {
         this.messages = {};
         this.initializeValidators();
         this.initializeMessages();
+
+        // ข้อความ error ตามภาษาที่ผู้ใช้เลือก
+        window.addEventListener(I18n.CHANGE_EVENT, () => this.initializeMessages());
     }
 
     /**
@@ -42,7 +45,8 @@ class FormHandler {
             },
             plotCode: (value) => /^[A-Z0-9]{3,10}$/.test(value),
             username: (value) => /^[a-zA-Z0-9_]{3,20}$/.test(value),
-            password: (value) => value.length >= 6
+            // Rules from the admin's policy (call PasswordPolicy.load() first to get it)
+            password: (value) => PasswordPolicy.check(value).valid
         };
     }
 
@@ -50,21 +54,15 @@ class FormHandler {
      * เริ่มต้น error messages
      */
     initializeMessages() {
-        this.messages = {
-            required: 'ฟิลด์นี้จำเป็นต้องกรอก',
-            email: 'รูปแบบอีเมลไม่ถูกต้อง',
-            phone: 'รูปแบบเบอร์โทรไม่ถูกต้อง',
-            idCard: 'เลขบัตรประชาชนต้องเป็นตัวเลข 13 หลัก',
-            number: 'ต้องเป็นตัวเลขเท่านั้น',
-            positiveNumber: 'ต้องเป็นตัวเลขที่มากกว่า 0',
-            minLength: 'ความยาวต้องไม่น้อยกว่า {min} ตัวอักษร',
-            maxLength: 'ความยาวต้องไม่เกิน {max} ตัวอักษร',
-            url: 'รูปแบบ URL ไม่ถูกต้อง',
-            date: 'รูปแบบวันที่ไม่ถูกต้อง',
-            plotCode: 'รหัสแปลงต้องเป็นตัวอักษรภาษาอังกฤษและตัวเลข 3-10 ตัว',
-            username: 'ชื่อผู้ใช้ต้องเป็นตัวอักษรภาษาอังกฤษ ตัวเลข หรือ _ ความยาว 3-20 ตัว',
-            password: 'รหัสผ่านต้องมีความยาวอย่างน้อย 6 ตัวอักษร'
-        };
+        const names = [
+            'required', 'email', 'phone', 'idCard', 'number', 'positiveNumber', 'minLength',
+            'maxLength', 'url', 'date', 'plotCode', 'username', 'password'
+        ];
+
+        this.messages = {};
+        names.forEach(name => {
+            this.messages[name] = I18n.t(`form.${name}`);
+        });
     }
 
     /**
@@ -98,7 +96,7 @@ class FormHandler {
                 if (!isValid) {
                     return {
                         isValid: false,
-                        message: this.getMessage(validatorName, fieldName, params)
+                        message: this.getMessage(validatorName, fieldName, params, value)
                     };
                 }
             }
@@ -184,9 +182,15 @@ class FormHandler {
      * @param {string} validatorName - ชื่อ validator
      * @param {string} fieldName - ชื่อ field
      * @param {Array} params - parameters เพิ่มเติม
+     * @param {string} value - ค่าที่ไม่ผ่าน (ใช้บอกว่ารหัสผ่านผิดกฎข้อไหน)
      * @return {string} ข้อความ error
      */
-    getMessage(validatorName, fieldName, params = []) {
+    getMessage(validatorName, fieldName, params = [], value = '') {
+        if (validatorName === 'password' && value) {
+            const { errors } = PasswordPolicy.check(value);
+            if (errors.length > 0) return errors[0];
+        }
+
         let message = this.messages[validatorName] || 'ข้อมูลไม่ถูกต้อง';
         
         // แทนที่ placeholder ใน message
@@ -315,6 +319,100 @@ class FileUploadHandler {
         });
     }
 
+    /**
+     * อัปโหลดไฟล์ไปยังโฟลเดอร์ของเกษตรกร พร้อมแถบความคืบหน้าและปุ่มยกเลิก
+     * @param {File} file - ไฟล์ที่จะอัปโหลด
+     * @param {string} farmerId - ID เกษตรกร
+     * @param {string} fileType - farm_photo | certificate | product_photo
+     * @param {HTMLElement} container - container สำหรับแสดงความคืบหน้า
+     * @return {Promise<Object|null>} ผลการอัปโหลด (null = ผู้ใช้ยกเลิก)
+     */
+    async uploadToFarmerFolder(file, farmerId, fileType, container) {
+        const controller = new AbortController();
+        const progress = this.createUploadProgress(file, container, () => controller.abort());
+
+        try {
+            const result = await FarmerAPI.uploadFarmerFile(farmerId, file, fileType, {
+                signal: controller.signal,
+                onProgress: (percent, detail = {}) => progress.update(percent, detail)
+            });
+
+            if (result.queued) {
+                progress.finish('warning', 'รอส่งเมื่อออนไลน์');
+            } else if (result.success) {
+                progress.finish('success', 'อัปโหลดแล้ว');
+            } else {
+                progress.finish('danger', result.message || 'อัปโหลดไม่สำเร็จ');
+            }
+
+            return result;
+
+        } catch (error) {
+            if (error.cancelled) {
+                progress.finish('secondary', 'ยกเลิกแล้ว');
+                return null;
+            }
+
+            progress.finish('danger', 'อัปโหลดไม่สำเร็จ');
+            throw error;
+        }
+    }
+
+    /**
+     * สร้างแถบความคืบหน้าการอัปโหลด
+     * @param {File} file - ไฟล์ที่กำลังอัปโหลด
+     * @param {HTMLElement} container - container สำหรับแสดงผล
+     * @param {Function} onCancel - เรียกเมื่อกดยกเลิก
+     * @return {Object} { update(percent, detail), finish(variant, text) }
+     */
+    createUploadProgress(file, container, onCancel) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'upload-progress border rounded p-2 my-2 small';
+        wrapper.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-1">
+                <span class="text-truncate me-2"><i class="fas fa-file-upload me-1"></i>${Utils.escapeHtml(file.name)}</span>
+                <button type="button" class="btn btn-sm btn-outline-danger py-0 upload-cancel">ยกเลิก</button>
+            </div>
+            <div class="progress" style="height: 6px;">
+                <div class="progress-bar bg-success" role="progressbar" style="width: 0%"></div>
+            </div>
+            <div class="text-muted mt-1 upload-status">0 / ${this.formatFileSize(file.size)}</div>
+        `;
+
+        const bar = wrapper.querySelector('.progress-bar');
+        const status = wrapper.querySelector('.upload-status');
+        const cancelBtn = wrapper.querySelector('.upload-cancel');
+
+        cancelBtn.onclick = () => {
+            cancelBtn.disabled = true;
+            status.textContent = 'กำลังยกเลิก...';
+            onCancel();
+        };
+
+        if (container) {
+            container.appendChild(wrapper);
+        }
+
+        return {
+            update: (percent, detail) => {
+                bar.style.width = `${percent}%`;
+
+                if (detail.waiting) {
+                    status.textContent = 'ไม่มีสัญญาณ รอเชื่อมต่อเพื่ออัปโหลดต่อ...';
+                } else if (detail.total) {
+                    status.textContent = `${this.formatFileSize(detail.loaded)} / ${this.formatFileSize(detail.total)} (${percent}%)`;
+                }
+            },
+            finish: (variant, text) => {
+                cancelBtn.remove();
+                bar.className = `progress-bar bg-${variant}`;
+                if (variant === 'success') bar.style.width = '100%';
+                status.className = `mt-1 upload-status text-${variant}`;
+                status.textContent = text;
+            }
+        };
+    }
+
     /**
      * สร้าง preview ของไฟล์
      * @param {File} file - ไฟล์ที่จะสร้าง preview
@@ -579,12 +579,7 @@ class GroupReportsManager {
      * Format date
      */
     formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('th-TH', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+        return Dates.format(dateString, { month: 'short' });
     }
 
     /**
@@ -417,7 +417,7 @@ class FarmerCardsRenderer {
                         ${farmer.lastActive ? `
                             <div class="small text-muted mb-3">
                                 <i class="fas fa-clock me-1"></i>
-                                เข้าใช้ล่าสุด: ${new Date(farmer.lastActive).toLocaleDateString('th-TH')}
+                                เข้าใช้ล่าสุด: ${Dates.format(farmer.lastActive)}
                             </div>
                         ` : ''}
                         
@@ -538,6 +538,15 @@ class FarmerCardsRenderer {
         }
     }
 
+    /**
+     * ดึงข้อมูลเกษตรกรที่เลือก (เช่น ส่งต่อให้ QRLabelSheet)
+     * @param {Array} farmers - รายการเกษตรกรทั้งหมด
+     * @return {Array} เกษตรกรที่เลือก
+     */
+    getSelectedFarmers(farmers) {
+        return farmers.filter(farmer => this.selectedFarmers.has(farmer.id));
+    }
+
     /**
      * ตั้งค่า callback functions
      * @param {Object} callbacks - callback functions
@@ -680,7 +689,7 @@ class DocumentManager {
         
         let html = '';
         documents.forEach(doc => {
-            const uploadDate = new Date(doc.uploadDate).toLocaleDateString('th-TH');
+            const uploadDate = Dates.format(doc.uploadDate);
             const fileSize = doc.fileSize ? this.formatFileSize(doc.fileSize) : '-';
             
             let iconClass = 'fas fa-file';
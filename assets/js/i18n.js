@@ -0,0 +1,1063 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Internationalization
+ * =====================================
+ * แคตตาล็อกข้อความ ไทย / English / ລາວ / 中文 และตัวเลือกภาษาที่จำไว้ใน Storage
+ * HTML: data-i18n (ข้อความ), data-i18n-placeholder, data-i18n-title
+ * JS: I18n.t('key', { param }) - ข้อความที่ยังไม่ได้แปลจะใช้ภาษาไทย
+ */
+
+const I18n = {
+    DEFAULT_LANGUAGE: 'th',
+    LANGUAGES: {
+        th: { name: 'ไทย', locale: 'th-TH' },
+        en: { name: 'English', locale: 'en-GB' },
+        lo: { name: 'ລາວ', locale: 'lo-LA' },
+        zh: { name: '中文', locale: 'zh-CN' }
+    },
+    // Fired on window after setLanguage - pages re-render their dynamic content
+    CHANGE_EVENT: 'i18n:change',
+
+    catalogs: {},
+    language: null,
+
+    /**
+     * Add messages to a language catalog
+     */
+    register(language, messages) {
+        this.catalogs[language] = Object.assign(this.catalogs[language] || {}, messages);
+    },
+
+    /**
+     * Current language: saved choice, then the browser language, then Thai
+     */
+    getLanguage() {
+        if (!this.language) {
+            const saved = Storage.get(CONFIG.STORAGE_KEYS.LANGUAGE);
+            this.language = this.LANGUAGES[saved] ? saved : this.detectLanguage();
+        }
+        return this.language;
+    },
+
+    detectLanguage() {
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => String(language).slice(0, 2).toLowerCase())
+            .find(language => this.LANGUAGES[language]);
+        return preferred || this.DEFAULT_LANGUAGE;
+    },
+
+    setLanguage(language) {
+        if (!this.LANGUAGES[language]) return;
+
+        this.language = language;
+        Storage.set(CONFIG.STORAGE_KEYS.LANGUAGE, language);
+        this.apply();
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { language: language } }));
+    },
+
+    getLocale() {
+        return this.LANGUAGES[this.getLanguage()].locale;
+    },
+
+    /**
+     * Translate a message key
+     * @param {string} key - เช่น 'result.groupName'
+     * @param {Object} params - ค่าแทนที่ {name} ในข้อความ
+     * @param {string} fallback - ใช้เมื่อไม่มีข้อความในแคตตาล็อกใดเลย (เช่น ป้ายชื่อจาก CONFIG)
+     * @return {string}
+     */
+    t(key, params = {}, fallback = key) {
+        const current = this.catalogs[this.getLanguage()] || {};
+        const thai = this.catalogs[this.DEFAULT_LANGUAGE] || {};
+        const message = current[key] ?? thai[key] ?? fallback;
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined && params[name] !== null ? params[name] : match
+        );
+    },
+
+    /**
+     * Translate marked-up elements
+     * @param {HTMLElement|Document} root
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.getLanguage();
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    },
+
+    /**
+     * Add a language select to a container (e.g. the navbar)
+     */
+    renderSwitcher(container) {
+        if (!container) return;
+
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm language-switcher';
+        select.setAttribute('aria-label', 'Language');
+
+        Object.entries(this.LANGUAGES).forEach(([code, language]) => {
+            select.add(new Option(language.name, code));
+        });
+
+        select.value = this.getLanguage();
+        select.addEventListener('change', () => this.setLanguage(select.value));
+        container.appendChild(select);
+    },
+
+    /**
+     * Format a date in the current language and calendar (see Dates)
+     */
+    formatDate(date, withTime = false) {
+        return Dates.format(date, { withTime: withTime });
+    }
+};
+
+// ===== MESSAGE CATALOGS =====
+
+I18n.register('th', {
+    'app.name': 'ระบบสอบย้อนกลับผักอุดร',
+    'nav.home': 'หน้าแรก',
+    'nav.deepSearch': 'ค้นหาเชิงลึก',
+    'nav.login': 'เข้าสู่ระบบ',
+    'common.loading': 'กำลังโหลด...',
+    'common.pleaseWait': 'กรุณารอสักครู่...',
+    'common.cancel': 'ยกเลิก',
+    'common.save': 'บันทึก',
+    'common.saving': 'กำลังบันทึก...',
+    'common.share': 'แชร์',
+    'common.print': 'พิมพ์',
+    'common.scanAgain': 'สแกนใหม่',
+    'common.searchAgain': 'ค้นหาใหม่',
+    'common.verified': 'ผ่านการตรวจสอบ',
+    'common.tryAgain': 'กรุณาลองใหม่อีกครั้ง',
+    'common.fullName': 'ชื่อ-สกุล',
+    'common.plotNumber': 'เลขประจำแปลง',
+    'calendar.buddhist': 'พ.ศ.',
+    'calendar.gregorian': 'ค.ศ.',
+
+    'result.documentTitle': 'ข้อมูลผลิตภัณฑ์ - ระบบสอบย้อนกลับผักอุดร',
+    'result.productDocumentTitle': 'ข้อมูลผลิตภัณฑ์ {code} - ระบบสอบย้อนกลับผักอุดร',
+    'result.checking': 'กำลังตรวจสอบข้อมูล',
+    'result.title': 'ข้อมูลผลิตภัณฑ์',
+    'result.subtitle': 'ข้อมูลการผลิตและแหล่งที่มาของผลิตภัณฑ์',
+    'result.signatureVerified': 'ยืนยันของแท้',
+    'result.signatureVerifiedText': 'ลายเซ็นบน QR Code ถูกต้อง',
+    'result.shipDate': 'วันที่จัดส่ง',
+    'result.signatureInvalid': 'ยืนยันลายเซ็นไม่ได้',
+    'result.signatureInvalidText': 'QR Code นี้อาจถูกปลอมแปลง กรุณาตรวจสอบกับผู้จำหน่าย',
+    'result.offline': 'ไม่มีการเชื่อมต่ออินเทอร์เน็ต แสดงข้อมูลที่บันทึกไว้เมื่อ',
+    'result.productCode': 'รหัสผลิตภัณฑ์',
+    'result.gap': 'มาตรฐาน GAP',
+    'result.chemicalFree': 'ปลอดสารเคมี',
+    'result.traceable': 'ตรวจสอบได้',
+    'result.groupInfo': 'ข้อมูลกลุ่มเกษตรกร',
+    'result.farmerInfo': 'ข้อมูลเกษตรกร',
+    'result.plotInfo': 'ข้อมูลแปลงปลูก',
+    'result.groupName': 'ชื่อกลุ่มเกษตรกร',
+    'result.groupCode': 'รหัสกลุ่ม',
+    'result.phone': 'เบอร์โทรศัพท์',
+    'result.idCard': 'เลขบัตรประชาชน',
+    'result.hidden': 'ซ่อนเพื่อความปลอดภัย',
+    'result.address': 'ที่อยู่แปลงปลูก',
+    'result.area': 'พื้นที่ (ไร่)',
+    'result.moreInfo': 'ต้องการข้อมูลเพิ่มเติม?',
+    'result.moreInfoText': 'ดูข้อมูลการผลิต การเก็บเกี่ยว การขนส่ง และเอกสารการรับรองแบบละเอียด',
+    'result.deepSearch': 'ค้นหาข้อมูลเชิงลึก',
+    'result.deepSearchHint': 'ต้องมีรหัสจัดส่งเพื่อค้นหาข้อมูลเชิงลึก',
+    'result.rate': 'ให้คะแนน / แจ้งปัญหา',
+    'result.notFound': 'ไม่พบข้อมูล',
+    'result.notFoundText': 'ไม่พบข้อมูลสำหรับ QR Code นี้ กรุณาตรวจสอบและลองใหม่อีกครั้ง',
+    'result.searchByCode': 'ค้นหาด้วยรหัส',
+    'result.noCode': 'ไม่พบรหัส QR Code',
+    'result.noCodeText': 'กรุณาสแกน QR Code ใหม่อีกครั้ง',
+    'result.error': 'เกิดข้อผิดพลาด',
+    'result.errorText': 'ไม่สามารถโหลดข้อมูลได้ กรุณาลองใหม่อีกครั้ง',
+    'result.shareTitle': 'ข้อมูลผลิตภัณฑ์ {code}',
+    'result.shareText': 'ตรวจสอบที่มาผลิตภัณฑ์จาก {group} เกษตรกร: {farmer}',
+
+    'feedback.title': 'ความคิดเห็นต่อผลิตภัณฑ์',
+    'feedback.intro': 'ความคิดเห็นจะส่งถึงกลุ่มเกษตรกรผู้ผลิตโดยตรง',
+    'feedback.rating': 'ความพึงพอใจ',
+    'feedback.star5': 'ดีมาก',
+    'feedback.star4': 'ดี',
+    'feedback.star3': 'ปานกลาง',
+    'feedback.star2': 'พอใช้',
+    'feedback.star1': 'ควรปรับปรุง',
+    'feedback.category': 'ประเภท',
+    'feedback.message': 'รายละเอียด',
+    'feedback.messagePlaceholder': 'เล่าสิ่งที่พบ เช่น วันที่ซื้อ ร้านค้า หรือปัญหาที่เจอ',
+    'feedback.photo': 'รูปภาพประกอบ (ถ้ามี)',
+    'feedback.contact': 'ช่องทางติดต่อกลับ (ถ้ามี)',
+    'feedback.contactPlaceholder': 'เบอร์โทรศัพท์ หรือ อีเมล',
+    'feedback.submit': 'ส่งความคิดเห็น',
+    'feedback.sending': 'กำลังส่ง...',
+    'feedback.ratingRequired': 'กรุณาให้คะแนน',
+    'feedback.ratingRequiredText': 'เลือกจำนวนดาว 1-5 ดาว',
+    'feedback.thanks': 'ขอบคุณสำหรับความคิดเห็น',
+    'feedback.thanksText': 'กลุ่มเกษตรกรผู้ผลิตจะได้รับข้อมูลนี้เพื่อนำไปปรับปรุง',
+    'feedback.failed': 'ส่งความคิดเห็นไม่สำเร็จ',
+
+    'recall.heading': 'ประกาศเรียกคืนสินค้า',
+    'recall.reason': 'เหตุผล',
+    'recall.instructions': 'คำแนะนำ',
+    'recall.covers': 'ครอบคลุม',
+    'recall.declared': 'ประกาศเมื่อ {date} (เลขที่ {id})',
+    'recall.group': 'กลุ่ม {name}',
+    'recall.plot': 'แปลง {plot} ({farmer})',
+    'recall.shipped': 'จัดส่งวันที่ {from} - {to}',
+
+    'shipment.title': 'เส้นทางสินค้าหลังเก็บเกี่ยว',
+    'shipment.empty': 'ยังไม่มีการบันทึกเส้นทางสินค้าหลังเก็บเกี่ยว',
+    'shipment.add': 'บันทึกเหตุการณ์',
+    'shipment.promptTitle': 'บันทึกเหตุการณ์การขนส่ง',
+    'shipment.event': 'เหตุการณ์',
+    'shipment.location': 'สถานที่',
+    'shipment.locationPlaceholder': 'เช่น โรงคัดบรรจุ อ.เมือง, ตลาดหนองบัว',
+    'shipment.temperature': 'อุณหภูมิ (°C, ถ้ามี)',
+    'shipment.note': 'หมายเหตุ',
+    'shipment.notePlaceholder': 'เช่น ทะเบียนรถ ผู้รับสินค้า',
+    'shipment.locationRequired': 'กรุณาระบุสถานที่',
+    'shipment.saveFailed': 'บันทึกเหตุการณ์ไม่สำเร็จ',
+
+    'search.documentTitle': 'ค้นหาข้อมูลเชิงลึก - ระบบสอบย้อนกลับผักอุดร',
+    'search.heroTitle': 'ค้นหาข้อมูลเชิงลึก',
+    'search.heroText': 'ค้นหาข้อมูลการผลิต การเก็บเกี่ยว การขนส่ง และเอกสารการรับรองคุณภาพแบบละเอียด',
+    'search.placeholder': 'ใส่รหัสจัดส่ง เช่น 25680213-001',
+    'search.button': 'ค้นหา',
+    'search.formatHint': 'รหัสจัดส่งมีรูปแบบ YYYYMMDD-XXX (ปี-เดือน-วัน-ลำดับ)',
+    'search.examples': 'ตัวอย่างรหัสค้นหา',
+    'search.example1': '13 ก.พ. 2568 - ลำดับที่ 1',
+    'search.example2': '15 มี.ค. 2568 - ลำดับที่ 2',
+    'search.example3': '20 เม.ย. 2568 - ลำดับที่ 3',
+    'search.results': 'ผลการค้นหา',
+    'search.searchedAt': 'ค้นหาเมื่อ: {time}',
+    'search.searchCode': 'รหัสค้นหา',
+    'search.status': 'สถานะ',
+    'search.section.production': 'ข้อมูลการผลิตและแหล่งที่มา',
+    'search.section.harvest': 'ข้อมูลการเก็บเกี่ยวและการบรรจุ',
+    'search.section.transport': 'ข้อมูลการขนส่งและการจำหน่าย',
+    'search.section.documents': 'เอกสารและการรับรอง',
+    'search.section.additional': 'ข้อมูลเพิ่มเติม',
+    'search.noData': 'ไม่มี{section}',
+    'search.noDocuments': 'ไม่มีเอกสารแนบ',
+    'search.document': 'เอกสาร',
+    'search.file': 'ไฟล์',
+    'search.uploadedAt': 'อัพโหลดเมื่อ: {date}',
+    'search.notFoundText': 'ไม่พบข้อมูลสำหรับรหัสค้นหา',
+    'search.checkAgain': 'กรุณาตรวจสอบรหัสและลองใหม่อีกครั้ง',
+    'search.searching': 'กำลังค้นหาข้อมูล...',
+    'search.codeRequired': 'กรุณาใส่รหัสค้นหา',
+    'search.codeRequiredText': 'กรุณาใส่รหัสจัดส่งที่ต้องการค้นหา',
+    'search.invalidFormat': 'รูปแบบรหัสไม่ถูกต้อง',
+    'search.invalidFormatText': 'รหัสจัดส่งต้องมีรูปแบบ YYYYMMDD-XXX',
+
+    'field.CropType': 'ชนิดพืชผัก',
+    'field.PlantingMethod': 'วิธีการปลูก',
+    'field.Fertilizer': 'ปุ๋ยที่ใช้',
+    'field.Pesticide': 'ยาฆ่าแมลงที่ใช้',
+    'field.PlantDate': 'วันที่เริ่มเพาะปลูก',
+    'field.HarvestDate': 'วันที่เก็บเกี่ยว',
+    'field.ShipDate': 'วันที่จัดส่ง',
+    'field.HarvestMethod': 'วิธีการเก็บเกี่ยว',
+    'field.PackagingCompany': 'บริษัทบรรจุ',
+    'field.Location': 'สถานที่',
+    'field.ResponsiblePerson': 'ผู้รับผิดชอบ',
+    'field.LotCode': 'รหัสล็อต',
+    'field.Quantity': 'ปริมาณ',
+    'field.TransportMethod': 'วิธีการขนส่ง',
+    'field.TransportCompany': 'บริษัทขนส่ง',
+    'field.Story': 'เรื่องราว',
+    'field.Philosophy': 'ปรัชญา',
+    'field.Highlights': 'จุดเด่น',
+
+    'form.required': 'ฟิลด์นี้จำเป็นต้องกรอก',
+    'form.email': 'รูปแบบอีเมลไม่ถูกต้อง',
+    'form.phone': 'รูปแบบเบอร์โทรไม่ถูกต้อง',
+    'form.idCard': 'เลขบัตรประชาชนต้องเป็นตัวเลข 13 หลัก',
+    'form.number': 'ต้องเป็นตัวเลขเท่านั้น',
+    'form.positiveNumber': 'ต้องเป็นตัวเลขที่มากกว่า 0',
+    'form.minLength': 'ความยาวต้องไม่น้อยกว่า {min} ตัวอักษร',
+    'form.maxLength': 'ความยาวต้องไม่เกิน {max} ตัวอักษร',
+    'form.url': 'รูปแบบ URL ไม่ถูกต้อง',
+    'form.date': 'รูปแบบวันที่ไม่ถูกต้อง',
+    'form.plotCode': 'รหัสแปลงต้องเป็นตัวอักษรภาษาอังกฤษและตัวเลข 3-10 ตัว',
+    'form.username': 'ชื่อผู้ใช้ต้องเป็นตัวอักษรภาษาอังกฤษ ตัวเลข หรือ _ ความยาว 3-20 ตัว',
+    'form.password': 'รหัสผ่านไม่เป็นไปตามนโยบายรหัสผ่าน',
+
+    'logout.manualTitle': 'ออกจากระบบสำเร็จ',
+    'logout.thanks': 'ขอบคุณที่ใช้บริการ',
+    'logout.autoTitle': 'ออกจากระบบอัตโนมัติ',
+    'logout.idle': 'เนื่องจากไม่มีการใช้งาน',
+    'logout.expired': 'เซสชันหมดอายุ',
+    'logout.forceTitle': 'ออกจากระบบเพื่อความปลอดภัย',
+    'logout.forceText': 'ตรวจพบกิจกรรมที่น่าสงสัย',
+    'logout.unauthorized': 'การเข้าสู่ระบบหมดอายุหรือถูกยกเลิก กรุณาเข้าสู่ระบบใหม่',
+    'logout.emergencyTitle': 'ออกจากระบบฉุกเฉิน',
+    'logout.emergencyText': 'บันทึกข้อมูลเรียบร้อยแล้ว',
+    'logout.title': 'ออกจากระบบ',
+
+    'api.timeout': 'การเชื่อมต่อใช้เวลานานเกินไป กรุณาลองใหม่อีกครั้ง',
+    'api.unauthorized': 'ไม่ได้รับอนุญาต กรุณาเข้าสู่ระบบใหม่',
+    'api.connectionError': 'เกิดข้อผิดพลาดในการเชื่อมต่อ กรุณาลองใหม่อีกครั้ง',
+    'api.cancelled': 'ยกเลิกแล้ว',
+    'api.fileTooLarge': 'ขนาดไฟล์เกิน 10MB กรุณาเลือกไฟล์ที่มีขนาดเล็กกว่า',
+    'api.invalidFileType': 'ประเภทไฟล์ไม่ถูกต้อง',
+    'api.chooseFileType': 'ประเภทไฟล์ไม่ถูกต้อง กรุณาเลือกไฟล์ {types}',
+    'api.imageUnreadable': 'ไม่สามารถอ่านไฟล์รูปภาพได้',
+    'api.invalidQRCode': 'รูปแบบ QR Code ไม่ถูกต้อง',
+    'api.invalidSearchCode': 'รูปแบบรหัสค้นหาไม่ถูกต้อง',
+    'api.loginRequired': 'กรุณาเข้าสู่ระบบก่อนบันทึกเหตุการณ์',
+    'error.title': 'เกิดข้อผิดพลาด',
+    'error.validation': 'ข้อมูลไม่ตรงรูปแบบ',
+    'error.folder': 'ข้อผิดพลาดโฟลเดอร์',
+    'error.permission': 'ไม่มีสิทธิ์เข้าถึง',
+    'error.network': 'ปัญหาการเชื่อมต่อ',
+    'error.session': 'เซสชันหมดอายุ',
+    'error.accountLocked': 'บัญชีถูกล็อกชั่วคราว',
+    'error.login': 'ยืนยันตัวตนไม่สำเร็จ',
+    'error.password': 'รหัสผ่านไม่ผ่านนโยบาย',
+
+    'auth.challengeExpired': 'หมดเวลายืนยันตัวตน กรุณาเข้าสู่ระบบใหม่',
+    'auth.invalidLogin': 'ข้อมูลการเข้าสู่ระบบไม่ถูกต้อง',
+    'auth.lockedUntil': 'ล็อกถึง {time}',
+    'auth.retryAfter': 'กรุณารอ {seconds} วินาทีก่อนลองใหม่',
+    'auth.attemptsRemaining': 'เหลืออีก {count} ครั้งก่อนบัญชีถูกล็อก',
+    'auth.resetRequestFailed': 'ส่งคำขอไม่สำเร็จ',
+
+    'outbox.pending': 'รอส่ง',
+    'outbox.syncing': 'กำลังส่ง',
+    'outbox.done': 'ส่งแล้ว',
+    'outbox.failed': 'ส่งไม่สำเร็จ',
+    'outbox.empty': 'ไม่มีรายการรอส่ง',
+    'outbox.retry': 'ลองใหม่',
+    'outbox.remove': 'ลบ',
+    'outbox.queued': 'บันทึกไว้ในเครื่องแล้ว ระบบจะส่งข้อมูลอัตโนมัติเมื่อกลับมาออนไลน์',
+    'outbox.saveFailed': 'ไม่สามารถบันทึกข้อมูลได้',
+    'outbox.synced': 'ส่งข้อมูลที่ค้างไว้ {count} รายการ',
+    'outbox.syncFailed': 'ส่งไม่สำเร็จ {count} รายการ',
+    'outbox.sectionLabel': 'บันทึกข้อมูลส่วนที่ {section}',
+    'outbox.documentLabel': 'อัปโหลดเอกสาร {name}',
+    'outbox.fileLabel': 'อัปโหลดไฟล์ {name}'
+});
+
+I18n.register('en', {
+    'app.name': 'Udon Vegetable Traceability',
+    'nav.home': 'Home',
+    'nav.deepSearch': 'Detailed search',
+    'nav.login': 'Log in',
+    'common.loading': 'Loading...',
+    'common.pleaseWait': 'Please wait...',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.saving': 'Saving...',
+    'common.share': 'Share',
+    'common.print': 'Print',
+    'common.scanAgain': 'Scan again',
+    'common.searchAgain': 'New search',
+    'common.verified': 'Verified',
+    'common.tryAgain': 'Please try again',
+    'common.fullName': 'Name',
+    'common.plotNumber': 'Plot number',
+    'calendar.buddhist': 'Buddhist (BE)',
+    'calendar.gregorian': 'Gregorian (AD)',
+
+    'result.documentTitle': 'Product information - Udon Vegetable Traceability',
+    'result.productDocumentTitle': 'Product {code} - Udon Vegetable Traceability',
+    'result.checking': 'Checking the product',
+    'result.title': 'Product information',
+    'result.subtitle': 'Where and how this product was grown',
+    'result.signatureVerified': 'Authentic',
+    'result.signatureVerifiedText': 'The QR code signature is valid',
+    'result.shipDate': 'shipped',
+    'result.signatureInvalid': 'Signature could not be verified',
+    'result.signatureInvalidText': 'This QR code may be counterfeit. Please check with the seller.',
+    'result.offline': 'You are offline. Showing information saved on',
+    'result.productCode': 'Product code',
+    'result.gap': 'GAP certified',
+    'result.chemicalFree': 'Chemical-free',
+    'result.traceable': 'Traceable',
+    'result.groupInfo': 'Farmer group',
+    'result.farmerInfo': 'Farmer',
+    'result.plotInfo': 'Farm plot',
+    'result.groupName': 'Group name',
+    'result.groupCode': 'Group code',
+    'result.phone': 'Phone',
+    'result.idCard': 'National ID',
+    'result.hidden': 'Hidden for privacy',
+    'result.address': 'Plot address',
+    'result.area': 'Area (rai)',
+    'result.moreInfo': 'Want more detail?',
+    'result.moreInfoText': 'See detailed production, harvest, transport and certification records',
+    'result.deepSearch': 'Detailed search',
+    'result.deepSearchHint': 'A shipment code is required for a detailed search',
+    'result.rate': 'Rate / Report a problem',
+    'result.notFound': 'Not found',
+    'result.notFoundText': 'No information was found for this QR code. Please check it and try again.',
+    'result.searchByCode': 'Search by code',
+    'result.noCode': 'No QR code',
+    'result.noCodeText': 'Please scan the QR code again',
+    'result.error': 'Something went wrong',
+    'result.errorText': 'The information could not be loaded. Please try again.',
+    'result.shareTitle': 'Product {code}',
+    'result.shareText': 'Traced to {group}, farmer: {farmer}',
+
+    'feedback.title': 'Product feedback',
+    'feedback.intro': 'Your feedback goes straight to the farmer group that grew this product',
+    'feedback.rating': 'Rating',
+    'feedback.star5': 'Excellent',
+    'feedback.star4': 'Good',
+    'feedback.star3': 'Average',
+    'feedback.star2': 'Fair',
+    'feedback.star1': 'Poor',
+    'feedback.category': 'Category',
+    'feedback.message': 'Details',
+    'feedback.messagePlaceholder': 'What happened? e.g. purchase date, shop, the problem you found',
+    'feedback.photo': 'Photo (optional)',
+    'feedback.contact': 'Contact (optional)',
+    'feedback.contactPlaceholder': 'Phone or email',
+    'feedback.submit': 'Send feedback',
+    'feedback.sending': 'Sending...',
+    'feedback.ratingRequired': 'Please rate the product',
+    'feedback.ratingRequiredText': 'Choose 1 to 5 stars',
+    'feedback.thanks': 'Thank you for your feedback',
+    'feedback.thanksText': 'The farmer group will use it to improve',
+    'feedback.failed': 'Feedback could not be sent',
+    'feedback.category.general': 'Compliment / general suggestion',
+    'feedback.category.quality': 'Quality or freshness',
+    'feedback.category.labeling': 'Label or information does not match',
+    'feedback.category.contamination': 'Contamination or chemical residue',
+    'feedback.category.packaging': 'Damaged packaging',
+    'feedback.category.other': 'Other',
+
+    'recall.heading': 'Product recall',
+    'recall.reason': 'Reason',
+    'recall.instructions': 'What to do',
+    'recall.covers': 'Covers',
+    'recall.declared': 'Announced {date} (ref. {id})',
+    'recall.group': 'Group {name}',
+    'recall.plot': 'Plot {plot} ({farmer})',
+    'recall.shipped': 'Shipped {from} - {to}',
+
+    'shipment.title': 'Journey after harvest',
+    'shipment.empty': 'No post-harvest events have been recorded yet',
+    'shipment.add': 'Add event',
+    'shipment.promptTitle': 'Record a shipment event',
+    'shipment.event': 'Event',
+    'shipment.location': 'Location',
+    'shipment.locationPlaceholder': 'e.g. Mueang packing house, Nong Bua market',
+    'shipment.temperature': 'Temperature (°C, optional)',
+    'shipment.note': 'Note',
+    'shipment.notePlaceholder': 'e.g. truck plate, receiver',
+    'shipment.locationRequired': 'Please enter the location',
+    'shipment.saveFailed': 'The event could not be saved',
+    'shipment.type.packing': 'Packed',
+    'shipment.type.handoff': 'Handed to transporter',
+    'shipment.type.checkpoint': 'Cold-chain checkpoint',
+    'shipment.type.arrival': 'Arrived at market / retailer',
+
+    'search.documentTitle': 'Detailed search - Udon Vegetable Traceability',
+    'search.heroTitle': 'Detailed search',
+    'search.heroText': 'Look up detailed production, harvest, transport and quality certification records',
+    'search.placeholder': 'Enter a shipment code, e.g. 25680213-001',
+    'search.button': 'Search',
+    'search.formatHint': 'Shipment codes look like YYYYMMDD-XXX (Thai year-month-day-sequence)',
+    'search.examples': 'Example codes',
+    'search.example1': '13 Feb 2025 - batch 1',
+    'search.example2': '15 Mar 2025 - batch 2',
+    'search.example3': '20 Apr 2025 - batch 3',
+    'search.results': 'Search results',
+    'search.searchedAt': 'Searched: {time}',
+    'search.searchCode': 'Search code',
+    'search.status': 'Status',
+    'search.section.production': 'Production and origin',
+    'search.section.harvest': 'Harvest and packing',
+    'search.section.transport': 'Transport and sale',
+    'search.section.documents': 'Documents and certification',
+    'search.section.additional': 'Additional information',
+    'search.noData': 'Nothing recorded yet',
+    'search.noDocuments': 'No documents attached',
+    'search.document': 'Document',
+    'search.file': 'File',
+    'search.uploadedAt': 'Uploaded: {date}',
+    'search.notFoundText': 'No information was found for search code',
+    'search.checkAgain': 'Please check the code and try again',
+    'search.searching': 'Searching...',
+    'search.codeRequired': 'Please enter a code',
+    'search.codeRequiredText': 'Enter the shipment code you want to look up',
+    'search.invalidFormat': 'Invalid code',
+    'search.invalidFormatText': 'Shipment codes must look like YYYYMMDD-XXX',
+
+    'field.CropType': 'Crop',
+    'field.PlantingMethod': 'Growing method',
+    'field.Fertilizer': 'Fertiliser used',
+    'field.Pesticide': 'Pesticide used',
+    'field.PlantDate': 'Planting date',
+    'field.HarvestDate': 'Harvest date',
+    'field.ShipDate': 'Ship date',
+    'field.HarvestMethod': 'Harvest method',
+    'field.PackagingCompany': 'Packing company',
+    'field.Location': 'Location',
+    'field.ResponsiblePerson': 'Responsible person',
+    'field.LotCode': 'Lot code',
+    'field.Quantity': 'Quantity',
+    'field.TransportMethod': 'Transport method',
+    'field.TransportCompany': 'Transport company',
+    'field.Story': 'Story',
+    'field.Philosophy': 'Philosophy',
+    'field.Highlights': 'Highlights',
+
+    'form.required': 'This field is required',
+    'form.email': 'Invalid email address',
+    'form.phone': 'Invalid phone number',
+    'form.idCard': 'The national ID must be 13 digits',
+    'form.number': 'Numbers only',
+    'form.positiveNumber': 'Must be a number greater than 0',
+    'form.minLength': 'Must be at least {min} characters',
+    'form.maxLength': 'Must be at most {max} characters',
+    'form.url': 'Invalid URL',
+    'form.date': 'Invalid date',
+    'form.plotCode': 'Plot codes are 3-10 English letters or digits',
+    'form.username': 'Usernames are 3-20 English letters, digits or _',
+    'form.password': 'Password does not meet the password policy',
+
+    'logout.manualTitle': 'Logged out',
+    'logout.thanks': 'Thank you for using the service',
+    'logout.autoTitle': 'Logged out automatically',
+    'logout.idle': 'You were inactive for too long',
+    'logout.expired': 'Your session has expired',
+    'logout.forceTitle': 'Logged out for your security',
+    'logout.forceText': 'Suspicious activity was detected',
+    'logout.unauthorized': 'Your sign-in has expired or was revoked. Please log in again.',
+    'logout.emergencyTitle': 'Emergency logout',
+    'logout.emergencyText': 'Your data has been saved',
+    'logout.title': 'Logged out',
+
+    'api.timeout': 'The connection took too long. Please try again.',
+    'api.unauthorized': 'Not authorized. Please log in again.',
+    'api.connectionError': 'A connection error occurred. Please try again.',
+    'api.cancelled': 'Cancelled',
+    'api.fileTooLarge': 'The file is larger than 10MB. Please choose a smaller file.',
+    'api.invalidFileType': 'Invalid file type',
+    'api.chooseFileType': 'Invalid file type. Please choose {types}',
+    'api.imageUnreadable': 'The image file could not be read',
+    'api.invalidQRCode': 'Invalid QR code format',
+    'api.invalidSearchCode': 'Invalid search code format',
+    'api.loginRequired': 'Please log in before recording events',
+    'error.title': 'Error',
+    'error.validation': 'Unexpected data format',
+    'error.folder': 'Folder error',
+    'error.permission': 'Access denied',
+    'error.network': 'Connection problem',
+    'error.session': 'Session expired',
+    'error.accountLocked': 'Account temporarily locked',
+    'error.login': 'Sign-in failed',
+    'error.password': 'Password not accepted',
+
+    'auth.challengeExpired': 'Verification timed out. Please log in again.',
+    'auth.invalidLogin': 'The login details are incorrect',
+    'auth.lockedUntil': 'Locked until {time}',
+    'auth.retryAfter': 'Please wait {seconds} seconds before trying again',
+    'auth.attemptsRemaining': '{count} attempts left before the account is locked',
+    'auth.resetRequestFailed': 'The request could not be sent',
+
+    'outbox.pending': 'Waiting',
+    'outbox.syncing': 'Sending',
+    'outbox.done': 'Sent',
+    'outbox.failed': 'Failed',
+    'outbox.empty': 'Nothing waiting to be sent',
+    'outbox.retry': 'Retry',
+    'outbox.remove': 'Remove',
+    'outbox.queued': 'Saved on this device. It will be sent automatically when you are back online.',
+    'outbox.saveFailed': 'The data could not be saved',
+    'outbox.synced': 'Sent {count} queued items',
+    'outbox.syncFailed': '{count} items failed',
+    'outbox.sectionLabel': 'Save section {section}',
+    'outbox.documentLabel': 'Upload document {name}',
+    'outbox.fileLabel': 'Upload file {name}'
+});
+
+I18n.register('lo', {
+    'app.name': 'ລະບົບກວດສອບຍ້ອນກັບຜັກອຸດອນ',
+    'nav.home': 'ໜ້າຫຼັກ',
+    'nav.deepSearch': 'ຄົ້ນຫາລະອຽດ',
+    'nav.login': 'ເຂົ້າສູ່ລະບົບ',
+    'common.loading': 'ກຳລັງໂຫຼດ...',
+    'common.pleaseWait': 'ກະລຸນາລໍຖ້າ...',
+    'common.cancel': 'ຍົກເລີກ',
+    'common.save': 'ບັນທຶກ',
+    'common.saving': 'ກຳລັງບັນທຶກ...',
+    'common.share': 'ແບ່ງປັນ',
+    'common.print': 'ພິມ',
+    'common.scanAgain': 'ສະແກນໃໝ່',
+    'common.searchAgain': 'ຄົ້ນຫາໃໝ່',
+    'common.verified': 'ຜ່ານການກວດສອບ',
+    'common.tryAgain': 'ກະລຸນາລອງໃໝ່ອີກຄັ້ງ',
+    'common.fullName': 'ຊື່ ແລະ ນາມສະກຸນ',
+    'common.plotNumber': 'ເລກປະຈຳແປງ',
+    'calendar.buddhist': 'ພ.ສ.',
+    'calendar.gregorian': 'ຄ.ສ.',
+
+    'result.documentTitle': 'ຂໍ້ມູນຜະລິດຕະພັນ - ລະບົບກວດສອບຍ້ອນກັບຜັກອຸດອນ',
+    'result.productDocumentTitle': 'ຂໍ້ມູນຜະລິດຕະພັນ {code} - ລະບົບກວດສອບຍ້ອນກັບຜັກອຸດອນ',
+    'result.checking': 'ກຳລັງກວດສອບຂໍ້ມູນ',
+    'result.title': 'ຂໍ້ມູນຜະລິດຕະພັນ',
+    'result.subtitle': 'ຂໍ້ມູນການຜະລິດ ແລະ ແຫຼ່ງທີ່ມາຂອງຜະລິດຕະພັນ',
+    'result.signatureVerified': 'ຢືນຢັນຂອງແທ້',
+    'result.signatureVerifiedText': 'ລາຍເຊັນເທິງ QR Code ຖືກຕ້ອງ',
+    'result.shipDate': 'ວັນທີຈັດສົ່ງ',
+    'result.signatureInvalid': 'ບໍ່ສາມາດຢືນຢັນລາຍເຊັນໄດ້',
+    'result.signatureInvalidText': 'QR Code ນີ້ອາດຖືກປອມແປງ ກະລຸນາກວດສອບກັບຜູ້ຂາຍ',
+    'result.offline': 'ບໍ່ມີການເຊື່ອມຕໍ່ອິນເຕີເນັດ ສະແດງຂໍ້ມູນທີ່ບັນທຶກໄວ້ເມື່ອ',
+    'result.productCode': 'ລະຫັດຜະລິດຕະພັນ',
+    'result.gap': 'ມາດຕະຖານ GAP',
+    'result.chemicalFree': 'ປອດສານເຄມີ',
+    'result.traceable': 'ກວດສອບໄດ້',
+    'result.groupInfo': 'ຂໍ້ມູນກຸ່ມກະສິກອນ',
+    'result.farmerInfo': 'ຂໍ້ມູນກະສິກອນ',
+    'result.plotInfo': 'ຂໍ້ມູນແປງປູກ',
+    'result.groupName': 'ຊື່ກຸ່ມກະສິກອນ',
+    'result.groupCode': 'ລະຫັດກຸ່ມ',
+    'result.phone': 'ເບີໂທລະສັບ',
+    'result.idCard': 'ເລກບັດປະຈຳຕົວ',
+    'result.hidden': 'ເຊື່ອງໄວ້ເພື່ອຄວາມປອດໄພ',
+    'result.address': 'ທີ່ຢູ່ແປງປູກ',
+    'result.area': 'ເນື້ອທີ່ (ໄຣ່)',
+    'result.moreInfo': 'ຕ້ອງການຂໍ້ມູນເພີ່ມເຕີມບໍ?',
+    'result.moreInfoText': 'ເບິ່ງຂໍ້ມູນການຜະລິດ ການເກັບກ່ຽວ ການຂົນສົ່ງ ແລະ ເອກະສານຢັ້ງຢືນແບບລະອຽດ',
+    'result.deepSearch': 'ຄົ້ນຫາຂໍ້ມູນລະອຽດ',
+    'result.deepSearchHint': 'ຕ້ອງມີລະຫັດຈັດສົ່ງເພື່ອຄົ້ນຫາຂໍ້ມູນລະອຽດ',
+    'result.rate': 'ໃຫ້ຄະແນນ / ແຈ້ງບັນຫາ',
+    'result.notFound': 'ບໍ່ພົບຂໍ້ມູນ',
+    'result.notFoundText': 'ບໍ່ພົບຂໍ້ມູນສຳລັບ QR Code ນີ້ ກະລຸນາກວດສອບ ແລະ ລອງໃໝ່ອີກຄັ້ງ',
+    'result.searchByCode': 'ຄົ້ນຫາດ້ວຍລະຫັດ',
+    'result.noCode': 'ບໍ່ພົບລະຫັດ QR Code',
+    'result.noCodeText': 'ກະລຸນາສະແກນ QR Code ໃໝ່ອີກຄັ້ງ',
+    'result.error': 'ເກີດຂໍ້ຜິດພາດ',
+    'result.errorText': 'ບໍ່ສາມາດໂຫຼດຂໍ້ມູນໄດ້ ກະລຸນາລອງໃໝ່ອີກຄັ້ງ',
+    'result.shareTitle': 'ຂໍ້ມູນຜະລິດຕະພັນ {code}',
+    'result.shareText': 'ກວດສອບແຫຼ່ງທີ່ມາຈາກ {group} ກະສິກອນ: {farmer}',
+
+    'feedback.title': 'ຄຳຄິດເຫັນຕໍ່ຜະລິດຕະພັນ',
+    'feedback.intro': 'ຄຳຄິດເຫັນຈະສົ່ງເຖິງກຸ່ມກະສິກອນຜູ້ຜະລິດໂດຍກົງ',
+    'feedback.rating': 'ຄວາມພໍໃຈ',
+    'feedback.star5': 'ດີຫຼາຍ',
+    'feedback.star4': 'ດີ',
+    'feedback.star3': 'ປານກາງ',
+    'feedback.star2': 'ພໍໃຊ້',
+    'feedback.star1': 'ຄວນປັບປຸງ',
+    'feedback.category': 'ປະເພດ',
+    'feedback.message': 'ລາຍລະອຽດ',
+    'feedback.messagePlaceholder': 'ເລົ່າສິ່ງທີ່ພົບ ເຊັ່ນ ວັນທີຊື້ ຮ້ານຄ້າ ຫຼື ບັນຫາທີ່ພົບ',
+    'feedback.photo': 'ຮູບພາບປະກອບ (ຖ້າມີ)',
+    'feedback.contact': 'ຊ່ອງທາງຕິດຕໍ່ກັບ (ຖ້າມີ)',
+    'feedback.contactPlaceholder': 'ເບີໂທລະສັບ ຫຼື ອີເມວ',
+    'feedback.submit': 'ສົ່ງຄຳຄິດເຫັນ',
+    'feedback.sending': 'ກຳລັງສົ່ງ...',
+    'feedback.ratingRequired': 'ກະລຸນາໃຫ້ຄະແນນ',
+    'feedback.ratingRequiredText': 'ເລືອກຈຳນວນດາວ 1-5 ດາວ',
+    'feedback.thanks': 'ຂອບໃຈສຳລັບຄຳຄິດເຫັນ',
+    'feedback.thanksText': 'ກຸ່ມກະສິກອນຜູ້ຜະລິດຈະໄດ້ຮັບຂໍ້ມູນນີ້ເພື່ອນຳໄປປັບປຸງ',
+    'feedback.failed': 'ສົ່ງຄຳຄິດເຫັນບໍ່ສຳເລັດ',
+    'feedback.category.general': 'ຊົມເຊີຍ / ຂໍ້ສະເໜີແນະທົ່ວໄປ',
+    'feedback.category.quality': 'ຄຸນນະພາບ ຫຼື ຄວາມສົດຂອງຜັກ',
+    'feedback.category.labeling': 'ສະຫຼາກ ຫຼື ຂໍ້ມູນບໍ່ກົງກັບສິນຄ້າ',
+    'feedback.category.contamination': 'ສິ່ງປົນເປື້ອນ ຫຼື ສານຕົກຄ້າງ',
+    'feedback.category.packaging': 'ບັນຈຸພັນເສຍຫາຍ',
+    'feedback.category.other': 'ອື່ນໆ',
+
+    'recall.heading': 'ປະກາດເອີ້ນຄືນສິນຄ້າ',
+    'recall.reason': 'ເຫດຜົນ',
+    'recall.instructions': 'ຄຳແນະນຳ',
+    'recall.covers': 'ຄອບຄຸມ',
+    'recall.declared': 'ປະກາດເມື່ອ {date} (ເລກທີ {id})',
+    'recall.group': 'ກຸ່ມ {name}',
+    'recall.plot': 'ແປງ {plot} ({farmer})',
+    'recall.shipped': 'ຈັດສົ່ງວັນທີ {from} - {to}',
+
+    'shipment.title': 'ເສັ້ນທາງສິນຄ້າຫຼັງເກັບກ່ຽວ',
+    'shipment.empty': 'ຍັງບໍ່ມີການບັນທຶກເສັ້ນທາງສິນຄ້າຫຼັງເກັບກ່ຽວ',
+    'shipment.add': 'ບັນທຶກເຫດການ',
+    'shipment.promptTitle': 'ບັນທຶກເຫດການການຂົນສົ່ງ',
+    'shipment.event': 'ເຫດການ',
+    'shipment.location': 'ສະຖານທີ່',
+    'shipment.locationPlaceholder': 'ເຊັ່ນ ໂຮງຄັດບັນຈຸ, ຕະຫຼາດ',
+    'shipment.temperature': 'ອຸນຫະພູມ (°C, ຖ້າມີ)',
+    'shipment.note': 'ໝາຍເຫດ',
+    'shipment.notePlaceholder': 'ເຊັ່ນ ປ້າຍທະບຽນລົດ ຜູ້ຮັບສິນຄ້າ',
+    'shipment.locationRequired': 'ກະລຸນາລະບຸສະຖານທີ່',
+    'shipment.saveFailed': 'ບັນທຶກເຫດການບໍ່ສຳເລັດ',
+    'shipment.type.packing': 'ບັນຈຸຫີບຫໍ່',
+    'shipment.type.handoff': 'ສົ່ງມອບໃຫ້ຜູ້ຂົນສົ່ງ',
+    'shipment.type.checkpoint': 'ຈຸດກວດລະບົບຄວາມເຢັນ',
+    'shipment.type.arrival': 'ຮອດຕະຫຼາດ / ຮ້ານຄ້າ',
+
+    'search.documentTitle': 'ຄົ້ນຫາລະອຽດ - ລະບົບກວດສອບຍ້ອນກັບຜັກອຸດອນ',
+    'search.heroTitle': 'ຄົ້ນຫາຂໍ້ມູນລະອຽດ',
+    'search.heroText': 'ຄົ້ນຫາຂໍ້ມູນການຜະລິດ ການເກັບກ່ຽວ ການຂົນສົ່ງ ແລະ ເອກະສານຢັ້ງຢືນຄຸນນະພາບແບບລະອຽດ',
+    'search.placeholder': 'ໃສ່ລະຫັດຈັດສົ່ງ ເຊັ່ນ 25680213-001',
+    'search.button': 'ຄົ້ນຫາ',
+    'search.formatHint': 'ລະຫັດຈັດສົ່ງມີຮູບແບບ YYYYMMDD-XXX (ປີໄທ-ເດືອນ-ວັນ-ລຳດັບ)',
+    'search.examples': 'ຕົວຢ່າງລະຫັດຄົ້ນຫາ',
+    'search.example1': '13 ກຸມພາ 2025 - ລຳດັບທີ 1',
+    'search.example2': '15 ມີນາ 2025 - ລຳດັບທີ 2',
+    'search.example3': '20 ເມສາ 2025 - ລຳດັບທີ 3',
+    'search.results': 'ຜົນການຄົ້ນຫາ',
+    'search.searchedAt': 'ຄົ້ນຫາເມື່ອ: {time}',
+    'search.searchCode': 'ລະຫັດຄົ້ນຫາ',
+    'search.status': 'ສະຖານະ',
+    'search.section.production': 'ຂໍ້ມູນການຜະລິດ ແລະ ແຫຼ່ງທີ່ມາ',
+    'search.section.harvest': 'ຂໍ້ມູນການເກັບກ່ຽວ ແລະ ການບັນຈຸ',
+    'search.section.transport': 'ຂໍ້ມູນການຂົນສົ່ງ ແລະ ການຈຳໜ່າຍ',
+    'search.section.documents': 'ເອກະສານ ແລະ ການຢັ້ງຢືນ',
+    'search.section.additional': 'ຂໍ້ມູນເພີ່ມເຕີມ',
+    'search.noData': 'ບໍ່ມີ{section}',
+    'search.noDocuments': 'ບໍ່ມີເອກະສານແນບ',
+    'search.document': 'ເອກະສານ',
+    'search.file': 'ໄຟລ໌',
+    'search.uploadedAt': 'ອັບໂຫຼດເມື່ອ: {date}',
+    'search.notFoundText': 'ບໍ່ພົບຂໍ້ມູນສຳລັບລະຫັດຄົ້ນຫາ',
+    'search.checkAgain': 'ກະລຸນາກວດສອບລະຫັດ ແລະ ລອງໃໝ່ອີກຄັ້ງ',
+    'search.searching': 'ກຳລັງຄົ້ນຫາຂໍ້ມູນ...',
+    'search.codeRequired': 'ກະລຸນາໃສ່ລະຫັດຄົ້ນຫາ',
+    'search.codeRequiredText': 'ກະລຸນາໃສ່ລະຫັດຈັດສົ່ງທີ່ຕ້ອງການຄົ້ນຫາ',
+    'search.invalidFormat': 'ຮູບແບບລະຫັດບໍ່ຖືກຕ້ອງ',
+    'search.invalidFormatText': 'ລະຫັດຈັດສົ່ງຕ້ອງມີຮູບແບບ YYYYMMDD-XXX',
+
+    'field.CropType': 'ຊະນິດພືດຜັກ',
+    'field.PlantingMethod': 'ວິທີການປູກ',
+    'field.Fertilizer': 'ຝຸ່ນທີ່ໃຊ້',
+    'field.Pesticide': 'ຢາຂ້າແມງໄມ້ທີ່ໃຊ້',
+    'field.PlantDate': 'ວັນທີເລີ່ມປູກ',
+    'field.HarvestDate': 'ວັນທີເກັບກ່ຽວ',
+    'field.ShipDate': 'ວັນທີຈັດສົ່ງ',
+    'field.HarvestMethod': 'ວິທີການເກັບກ່ຽວ',
+    'field.PackagingCompany': 'ບໍລິສັດບັນຈຸ',
+    'field.Location': 'ສະຖານທີ່',
+    'field.ResponsiblePerson': 'ຜູ້ຮັບຜິດຊອບ',
+    'field.LotCode': 'ລະຫັດລັອດ',
+    'field.Quantity': 'ປະລິມານ',
+    'field.TransportMethod': 'ວິທີການຂົນສົ່ງ',
+    'field.TransportCompany': 'ບໍລິສັດຂົນສົ່ງ',
+    'field.Story': 'ເລື່ອງລາວ',
+    'field.Philosophy': 'ປັດຊະຍາ',
+    'field.Highlights': 'ຈຸດເດັ່ນ',
+
+    'form.required': 'ຕ້ອງປ້ອນຂໍ້ມູນນີ້',
+    'form.email': 'ຮູບແບບອີເມວບໍ່ຖືກຕ້ອງ',
+    'form.phone': 'ຮູບແບບເບີໂທບໍ່ຖືກຕ້ອງ',
+    'form.idCard': 'ເລກບັດປະຈຳຕົວຕ້ອງເປັນຕົວເລກ 13 ຫຼັກ',
+    'form.number': 'ຕ້ອງເປັນຕົວເລກເທົ່ານັ້ນ',
+    'form.positiveNumber': 'ຕ້ອງເປັນຕົວເລກທີ່ຫຼາຍກວ່າ 0',
+    'form.minLength': 'ຄວາມຍາວຕ້ອງບໍ່ໜ້ອຍກວ່າ {min} ຕົວອັກສອນ',
+    'form.maxLength': 'ຄວາມຍາວຕ້ອງບໍ່ເກີນ {max} ຕົວອັກສອນ',
+    'form.url': 'ຮູບແບບ URL ບໍ່ຖືກຕ້ອງ',
+    'form.date': 'ຮູບແບບວັນທີບໍ່ຖືກຕ້ອງ',
+    'form.plotCode': 'ລະຫັດແປງຕ້ອງເປັນຕົວອັກສອນອັງກິດ ແລະ ຕົວເລກ 3-10 ຕົວ',
+    'form.username': 'ຊື່ຜູ້ໃຊ້ຕ້ອງເປັນຕົວອັກສອນອັງກິດ ຕົວເລກ ຫຼື _ ຄວາມຍາວ 3-20 ຕົວ',
+    'form.password': 'ລະຫັດຜ່ານບໍ່ເປັນໄປຕາມນະໂຍບາຍລະຫັດຜ່ານ',
+
+    'logout.manualTitle': 'ອອກຈາກລະບົບສຳເລັດ',
+    'logout.thanks': 'ຂອບໃຈທີ່ໃຊ້ບໍລິການ',
+    'logout.autoTitle': 'ອອກຈາກລະບົບອັດຕະໂນມັດ',
+    'logout.idle': 'ເນື່ອງຈາກບໍ່ມີການນຳໃຊ້',
+    'logout.expired': 'ເຊດຊັນໝົດອາຍຸ',
+    'logout.forceTitle': 'ອອກຈາກລະບົບເພື່ອຄວາມປອດໄພ',
+    'logout.forceText': 'ກວດພົບກິດຈະກຳທີ່ໜ້າສົງໄສ',
+    'logout.unauthorized': 'ການເຂົ້າສູ່ລະບົບໝົດອາຍຸ ຫຼື ຖືກຍົກເລີກ ກະລຸນາເຂົ້າສູ່ລະບົບໃໝ່',
+    'logout.emergencyTitle': 'ອອກຈາກລະບົບສຸກເສີນ',
+    'logout.emergencyText': 'ບັນທຶກຂໍ້ມູນຮຽບຮ້ອຍແລ້ວ',
+    'logout.title': 'ອອກຈາກລະບົບ',
+
+    'api.timeout': 'ການເຊື່ອມຕໍ່ໃຊ້ເວລາດົນເກີນໄປ ກະລຸນາລອງໃໝ່ອີກຄັ້ງ',
+    'api.unauthorized': 'ບໍ່ໄດ້ຮັບອະນຸຍາດ ກະລຸນາເຂົ້າສູ່ລະບົບໃໝ່',
+    'api.connectionError': 'ເກີດຂໍ້ຜິດພາດໃນການເຊື່ອມຕໍ່ ກະລຸນາລອງໃໝ່ອີກຄັ້ງ',
+    'api.cancelled': 'ຍົກເລີກແລ້ວ',
+    'api.fileTooLarge': 'ຂະໜາດໄຟລ໌ເກີນ 10MB ກະລຸນາເລືອກໄຟລ໌ທີ່ນ້ອຍກວ່າ',
+    'api.invalidFileType': 'ປະເພດໄຟລ໌ບໍ່ຖືກຕ້ອງ',
+    'api.chooseFileType': 'ປະເພດໄຟລ໌ບໍ່ຖືກຕ້ອງ ກະລຸນາເລືອກໄຟລ໌ {types}',
+    'api.imageUnreadable': 'ບໍ່ສາມາດອ່ານໄຟລ໌ຮູບພາບໄດ້',
+    'api.invalidQRCode': 'ຮູບແບບ QR Code ບໍ່ຖືກຕ້ອງ',
+    'api.invalidSearchCode': 'ຮູບແບບລະຫັດຄົ້ນຫາບໍ່ຖືກຕ້ອງ',
+    'api.loginRequired': 'ກະລຸນາເຂົ້າສູ່ລະບົບກ່ອນບັນທຶກເຫດການ',
+    'error.title': 'ເກີດຂໍ້ຜິດພາດ',
+    'error.validation': 'ຂໍ້ມູນບໍ່ກົງຮູບແບບ',
+    'error.folder': 'ຂໍ້ຜິດພາດໂຟນເດີ',
+    'error.permission': 'ບໍ່ມີສິດເຂົ້າເຖິງ',
+    'error.network': 'ບັນຫາການເຊື່ອມຕໍ່',
+    'error.session': 'ເຊດຊັນໝົດອາຍຸ',
+    'error.accountLocked': 'ບັນຊີຖືກລັອກຊົ່ວຄາວ',
+    'error.login': 'ຢືນຢັນຕົວຕົນບໍ່ສຳເລັດ',
+    'error.password': 'ລະຫັດຜ່ານບໍ່ຜ່ານນະໂຍບາຍ',
+
+    'auth.challengeExpired': 'ໝົດເວລາຢືນຢັນຕົວຕົນ ກະລຸນາເຂົ້າສູ່ລະບົບໃໝ່',
+    'auth.invalidLogin': 'ຂໍ້ມູນການເຂົ້າສູ່ລະບົບບໍ່ຖືກຕ້ອງ',
+    'auth.lockedUntil': 'ລັອກຈົນຮອດ {time}',
+    'auth.retryAfter': 'ກະລຸນາລໍຖ້າ {seconds} ວິນາທີກ່ອນລອງໃໝ່',
+    'auth.attemptsRemaining': 'ເຫຼືອອີກ {count} ຄັ້ງກ່ອນບັນຊີຖືກລັອກ',
+    'auth.resetRequestFailed': 'ສົ່ງຄຳຂໍບໍ່ສຳເລັດ',
+
+    'outbox.pending': 'ລໍຖ້າສົ່ງ',
+    'outbox.syncing': 'ກຳລັງສົ່ງ',
+    'outbox.done': 'ສົ່ງແລ້ວ',
+    'outbox.failed': 'ສົ່ງບໍ່ສຳເລັດ',
+    'outbox.empty': 'ບໍ່ມີລາຍການລໍຖ້າສົ່ງ',
+    'outbox.retry': 'ລອງໃໝ່',
+    'outbox.remove': 'ລຶບ',
+    'outbox.queued': 'ບັນທຶກໄວ້ໃນເຄື່ອງແລ້ວ ລະບົບຈະສົ່ງຂໍ້ມູນອັດຕະໂນມັດເມື່ອກັບມາອອນລາຍ',
+    'outbox.saveFailed': 'ບໍ່ສາມາດບັນທຶກຂໍ້ມູນໄດ້',
+    'outbox.synced': 'ສົ່ງຂໍ້ມູນທີ່ຄ້າງໄວ້ {count} ລາຍການ',
+    'outbox.syncFailed': 'ສົ່ງບໍ່ສຳເລັດ {count} ລາຍການ',
+    'outbox.sectionLabel': 'ບັນທຶກຂໍ້ມູນພາກທີ {section}',
+    'outbox.documentLabel': 'ອັບໂຫຼດເອກະສານ {name}',
+    'outbox.fileLabel': 'ອັບໂຫຼດໄຟລ໌ {name}'
+});
+
+I18n.register('zh', {
+    'app.name': '乌隆蔬菜溯源系统',
+    'nav.home': '首页',
+    'nav.deepSearch': '详细查询',
+    'nav.login': '登录',
+    'common.loading': '加载中...',
+    'common.pleaseWait': '请稍候...',
+    'common.cancel': '取消',
+    'common.save': '保存',
+    'common.saving': '正在保存...',
+    'common.share': '分享',
+    'common.print': '打印',
+    'common.scanAgain': '重新扫描',
+    'common.searchAgain': '重新查询',
+    'common.verified': '已核验',
+    'common.tryAgain': '请重试',
+    'common.fullName': '姓名',
+    'common.plotNumber': '地块编号',
+    'calendar.buddhist': '佛历',
+    'calendar.gregorian': '公历',
+
+    'result.documentTitle': '产品信息 - 乌隆蔬菜溯源系统',
+    'result.productDocumentTitle': '产品 {code} - 乌隆蔬菜溯源系统',
+    'result.checking': '正在核验信息',
+    'result.title': '产品信息',
+    'result.subtitle': '产品的生产与产地信息',
+    'result.signatureVerified': '正品验证',
+    'result.signatureVerifiedText': '二维码签名有效',
+    'result.shipDate': '发货日期',
+    'result.signatureInvalid': '无法验证签名',
+    'result.signatureInvalidText': '该二维码可能为伪造，请向销售方核实。',
+    'result.offline': '当前离线，显示保存于以下时间的信息：',
+    'result.productCode': '产品编码',
+    'result.gap': 'GAP 认证',
+    'result.chemicalFree': '无化学残留',
+    'result.traceable': '可追溯',
+    'result.groupInfo': '农户合作社',
+    'result.farmerInfo': '农户信息',
+    'result.plotInfo': '种植地块',
+    'result.groupName': '合作社名称',
+    'result.groupCode': '合作社编码',
+    'result.phone': '电话',
+    'result.idCard': '身份证号',
+    'result.hidden': '已隐藏以保护隐私',
+    'result.address': '地块地址',
+    'result.area': '面积（莱）',
+    'result.moreInfo': '需要更多信息？',
+    'result.moreInfoText': '查看详细的生产、采收、运输及认证资料',
+    'result.deepSearch': '详细查询',
+    'result.deepSearchHint': '详细查询需要发货编码',
+    'result.rate': '评分 / 反馈问题',
+    'result.notFound': '未找到信息',
+    'result.notFoundText': '未找到该二维码的信息，请检查后重试。',
+    'result.searchByCode': '按编码查询',
+    'result.noCode': '缺少二维码',
+    'result.noCodeText': '请重新扫描二维码',
+    'result.error': '出现错误',
+    'result.errorText': '无法加载信息，请重试。',
+    'result.shareTitle': '产品 {code}',
+    'result.shareText': '溯源至 {group}，农户：{farmer}',
+
+    'feedback.title': '产品反馈',
+    'feedback.intro': '您的反馈将直接发送给生产该产品的农户合作社',
+    'feedback.rating': '满意度',
+    'feedback.star5': '非常好',
+    'feedback.star4': '好',
+    'feedback.star3': '一般',
+    'feedback.star2': '尚可',
+    'feedback.star1': '待改进',
+    'feedback.category': '类别',
+    'feedback.message': '详情',
+    'feedback.messagePlaceholder': '请描述情况，例如购买日期、商店或遇到的问题',
+    'feedback.photo': '照片（可选）',
+    'feedback.contact': '联系方式（可选）',
+    'feedback.contactPlaceholder': '电话或电子邮箱',
+    'feedback.submit': '提交反馈',
+    'feedback.sending': '正在提交...',
+    'feedback.ratingRequired': '请评分',
+    'feedback.ratingRequiredText': '请选择 1-5 颗星',
+    'feedback.thanks': '感谢您的反馈',
+    'feedback.thanksText': '农户合作社将据此改进',
+    'feedback.failed': '反馈提交失败',
+    'feedback.category.general': '表扬 / 一般建议',
+    'feedback.category.quality': '质量或新鲜度',
+    'feedback.category.labeling': '标签或信息不符',
+    'feedback.category.contamination': '污染物或农药残留',
+    'feedback.category.packaging': '包装破损',
+    'feedback.category.other': '其他',
+
+    'recall.heading': '产品召回公告',
+    'recall.reason': '原因',
+    'recall.instructions': '处理建议',
+    'recall.covers': '范围',
+    'recall.declared': '发布于 {date}（编号 {id}）',
+    'recall.group': '合作社 {name}',
+    'recall.plot': '地块 {plot}（{farmer}）',
+    'recall.shipped': '发货日期 {from} 至 {to}',
+
+    'shipment.title': '采收后流通记录',
+    'shipment.empty': '暂无采收后流通记录',
+    'shipment.add': '添加记录',
+    'shipment.promptTitle': '记录运输事件',
+    'shipment.event': '事件',
+    'shipment.location': '地点',
+    'shipment.locationPlaceholder': '例如：包装厂、农贸市场',
+    'shipment.temperature': '温度（°C，可选）',
+    'shipment.note': '备注',
+    'shipment.notePlaceholder': '例如：车牌号、收货人',
+    'shipment.locationRequired': '请填写地点',
+    'shipment.saveFailed': '事件保存失败',
+    'shipment.type.packing': '包装',
+    'shipment.type.handoff': '交付承运商',
+    'shipment.type.checkpoint': '冷链检查点',
+    'shipment.type.arrival': '到达市场 / 零售商',
+
+    'search.documentTitle': '详细查询 - 乌隆蔬菜溯源系统',
+    'search.heroTitle': '详细查询',
+    'search.heroText': '查询详细的生产、采收、运输及质量认证资料',
+    'search.placeholder': '请输入发货编码，例如 25680213-001',
+    'search.button': '查询',
+    'search.formatHint': '发货编码格式为 YYYYMMDD-XXX（泰历年-月-日-序号）',
+    'search.examples': '编码示例',
+    'search.example1': '2025年2月13日 - 第1批',
+    'search.example2': '2025年3月15日 - 第2批',
+    'search.example3': '2025年4月20日 - 第3批',
+    'search.results': '查询结果',
+    'search.searchedAt': '查询时间：{time}',
+    'search.searchCode': '查询编码',
+    'search.status': '状态',
+    'search.section.production': '生产与产地',
+    'search.section.harvest': '采收与包装',
+    'search.section.transport': '运输与销售',
+    'search.section.documents': '文件与认证',
+    'search.section.additional': '其他信息',
+    'search.noData': '暂无{section}信息',
+    'search.noDocuments': '无附件',
+    'search.document': '文件',
+    'search.file': '文件',
+    'search.uploadedAt': '上传时间：{date}',
+    'search.notFoundText': '未找到以下查询编码的信息：',
+    'search.checkAgain': '请检查编码后重试',
+    'search.searching': '正在查询...',
+    'search.codeRequired': '请输入编码',
+    'search.codeRequiredText': '请输入要查询的发货编码',
+    'search.invalidFormat': '编码格式错误',
+    'search.invalidFormatText': '发货编码格式必须为 YYYYMMDD-XXX',
+
+    'field.CropType': '作物种类',
+    'field.PlantingMethod': '种植方式',
+    'field.Fertilizer': '所用肥料',
+    'field.Pesticide': '所用农药',
+    'field.PlantDate': '种植日期',
+    'field.HarvestDate': '采收日期',
+    'field.ShipDate': '发货日期',
+    'field.HarvestMethod': '采收方式',
+    'field.PackagingCompany': '包装公司',
+    'field.Location': '地点',
+    'field.ResponsiblePerson': '负责人',
+    'field.LotCode': '批次编码',
+    'field.Quantity': '数量',
+    'field.TransportMethod': '运输方式',
+    'field.TransportCompany': '运输公司',
+    'field.Story': '故事',
+    'field.Philosophy': '理念',
+    'field.Highlights': '亮点',
+
+    'form.required': '此项为必填',
+    'form.email': '电子邮箱格式错误',
+    'form.phone': '电话号码格式错误',
+    'form.idCard': '身份证号必须为13位数字',
+    'form.number': '只能输入数字',
+    'form.positiveNumber': '必须为大于0的数字',
+    'form.minLength': '长度不能少于 {min} 个字符',
+    'form.maxLength': '长度不能超过 {max} 个字符',
+    'form.url': 'URL 格式错误',
+    'form.date': '日期格式错误',
+    'form.plotCode': '地块编码须为 3-10 位英文字母或数字',
+    'form.username': '用户名须为 3-20 位英文字母、数字或 _',
+    'form.password': '密码不符合密码策略',
+
+    'logout.manualTitle': '已退出登录',
+    'logout.thanks': '感谢使用本服务',
+    'logout.autoTitle': '已自动退出登录',
+    'logout.idle': '长时间未操作',
+    'logout.expired': '会话已过期',
+    'logout.forceTitle': '为了安全已退出登录',
+    'logout.forceText': '检测到可疑活动',
+    'logout.unauthorized': '登录已过期或已被撤销，请重新登录。',
+    'logout.emergencyTitle': '紧急退出',
+    'logout.emergencyText': '数据已保存',
+    'logout.title': '退出登录',
+
+    'api.timeout': '连接超时，请重试。',
+    'api.unauthorized': '未获授权，请重新登录。',
+    'api.connectionError': '连接出错，请重试。',
+    'api.cancelled': '已取消',
+    'api.fileTooLarge': '文件超过 10MB，请选择较小的文件。',
+    'api.invalidFileType': '文件类型错误',
+    'api.chooseFileType': '文件类型错误，请选择 {types} 文件',
+    'api.imageUnreadable': '无法读取图片文件',
+    'api.invalidQRCode': '二维码格式错误',
+    'api.invalidSearchCode': '查询编码格式错误',
+    'api.loginRequired': '请先登录再记录事件',
+    'error.title': '出现错误',
+    'error.validation': '数据格式不符',
+    'error.folder': '文件夹错误',
+    'error.permission': '无权访问',
+    'error.network': '连接问题',
+    'error.session': '会话已过期',
+    'error.accountLocked': '账户已被暂时锁定',
+    'error.login': '身份验证失败',
+    'error.password': '密码不符合要求',
+
+    'auth.challengeExpired': '验证已超时，请重新登录',
+    'auth.invalidLogin': '登录信息不正确',
+    'auth.lockedUntil': '锁定至 {time}',
+    'auth.retryAfter': '请等待 {seconds} 秒后再试',
+    'auth.attemptsRemaining': '再失败 {count} 次账户将被锁定',
+    'auth.resetRequestFailed': '请求发送失败',
+
+    'outbox.pending': '待发送',
+    'outbox.syncing': '发送中',
+    'outbox.done': '已发送',
+    'outbox.failed': '发送失败',
+    'outbox.empty': '没有待发送的项目',
+    'outbox.retry': '重试',
+    'outbox.remove': '删除',
+    'outbox.queued': '已保存在本设备，恢复联网后将自动发送',
+    'outbox.saveFailed': '无法保存数据',
+    'outbox.synced': '已发送 {count} 条待发送数据',
+    'outbox.syncFailed': '{count} 条发送失败',
+    'outbox.sectionLabel': '保存第 {section} 部分',
+    'outbox.documentLabel': '上传文档 {name}',
+    'outbox.fileLabel': '上传文件 {name}'
+});
+
+// Translate static markup once the page is parsed
+document.addEventListener('DOMContentLoaded', () => I18n.apply());
+
+// Export for global use
+window.I18n = I18n;
@@ -800,9 +800,15 @@ class MobileQRScanner {
     }
 
     /**
-     * Start QR code detection
+     * Start QR code detection (plus EAN-13 / Code128 / DataMatrix via BarcodeDecoder)
      */
     startQRDetection(videoElement) {
+        if (typeof BarcodeDecoder !== 'undefined') {
+            videoElement.barcodeScan = BarcodeDecoder.start(videoElement, (barcode) => {
+                this.handleBarcodeDetected(barcode);
+            });
+        }
+
         if (typeof QrScanner !== 'undefined') {
             const qrScanner = new QrScanner(
                 videoElement,
@@ -844,6 +850,27 @@ class MobileQRScanner {
         }
     }
 
+    /**
+     * Handle 1D/DataMatrix barcode detection
+     * @param {Object} barcode - { format, value } จาก BarcodeDecoder
+     */
+    handleBarcodeDetected(barcode) {
+        const overlay = document.querySelector('.qr-scanner-fullscreen');
+
+        // QR in the same frame already closed the scanner
+        if (!overlay) return;
+
+        if (window.mobileOptimizer) {
+            window.mobileOptimizer.triggerHapticFeedback('heavy');
+        }
+
+        if (typeof processQRCode === 'function') {
+            processQRCode(barcode.value, 'camera', { format: barcode.format });
+        }
+
+        this.closeFullscreenScanner(overlay);
+    }
+
     /**
      * Close fullscreen scanner
      */
@@ -859,6 +886,9 @@ class MobileQRScanner {
         if (video && video.qrScanner) {
             video.qrScanner.destroy();
         }
+        if (video && video.barcodeScan) {
+            video.barcodeScan.stop();
+        }
         
         // Remove overlay
         document.body.removeChild(overlay);
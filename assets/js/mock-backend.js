@@ -0,0 +1,2545 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Mock Backend
+ * =====================================
+ * Backend จำลองสำหรับพัฒนาและทดสอบแบบออฟไลน์ (ไม่แตะ spreadsheet จริง)
+ * ไม่ได้ใส่ไว้ในหน้าใด: เมื่อ CONFIG.DEV_MODE เปิดอยู่ api.js จะโหลดไฟล์นี้ให้เมื่อใช้ ?transport=mock
+ * ข้อมูลเก็บในหน่วยความจำและบันทึกลง IndexedDB เมื่อมีการแก้ไข
+ */
+
+/**
+ * IndexedDB snapshot store สำหรับ mock backend
+ */
+const MockDatabase = {
+    DB_NAME: 'udon_veg_mock',
+    STORE_NAME: 'state',
+    SNAPSHOT_KEY: 'snapshot',
+
+    /**
+     * Open database (resolves null when IndexedDB is unavailable)
+     * @return {Promise<IDBDatabase|null>}
+     */
+    open() {
+        return new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Mock backend: IndexedDB unavailable, using memory only');
+                resolve(null);
+            };
+        });
+    },
+
+    /**
+     * Load saved snapshot
+     * @return {Promise<Object|null>}
+     */
+    async load() {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            const request = db.transaction(this.STORE_NAME, 'readonly')
+                .objectStore(this.STORE_NAME)
+                .get(this.SNAPSHOT_KEY);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    },
+
+    /**
+     * Save snapshot
+     * @param {Object} state - ข้อมูลทั้งหมดของ mock backend
+     */
+    async save(state) {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve) => {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).put(state, this.SNAPSHOT_KEY);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => {
+                console.error('Mock backend: failed to persist state', tx.error);
+                resolve();
+            };
+        });
+    },
+
+    /**
+     * Delete snapshot
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve) => {
+            const tx = db.transaction(this.STORE_NAME, 'readwrite');
+            tx.objectStore(this.STORE_NAME).delete(this.SNAPSHOT_KEY);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => resolve();
+        });
+    }
+};
+
+/**
+ * Mock Backend Class
+ * จำลอง action ทั้งหมดที่ QRAPI, AdminAPI, GroupAPI, FarmerAPI, ReportAPI และ AuthAPI ใช้
+ */
+class MockBackend {
+    constructor() {
+        this.state = null;
+        this.ready = this.initialize();
+    }
+
+    /**
+     * Load state from IndexedDB or seed demo data
+     */
+    async initialize() {
+        const saved = await MockDatabase.load();
+        this.state = saved || this.createSeedData();
+        this.state.idempotency = this.state.idempotency || {};
+        this.state.uploads = this.state.uploads || {};
+        this.state.barcodes = this.state.barcodes || this.createSeedData().barcodes;
+        this.state.scanEvents = this.state.scanEvents || [];
+        this.state.feedback = this.state.feedback || [];
+        this.state.recalls = this.state.recalls || [];
+        this.state.shipmentEvents = this.state.shipmentEvents || [];
+        this.state.refreshTokens = this.state.refreshTokens || {};
+        this.state.loginAttempts = this.state.loginAttempts || { users: {}, clients: {} };
+        this.state.twoFactorChallenges = this.state.twoFactorChallenges || {};
+        this.state.passwordResets = this.state.passwordResets || [];
+        this.state.settings = this.state.settings || { twoFactor: { requiredRoles: [] } };
+        this.state.settings.passwordPolicy = this.state.settings.passwordPolicy || { ...PasswordPolicy.DEFAULTS };
+
+        // Codes signed in an earlier session still verify on this device
+        if (this.state.qrSigningKey && typeof QRSignature !== 'undefined') {
+            QRSignature.useDevelopmentKey(this.state.qrSigningKey.publicKey);
+        }
+
+        if (!saved) {
+            await this.persist();
+        }
+    }
+
+    /**
+     * Persist current state
+     */
+    async persist() {
+        await MockDatabase.save(this.state);
+    }
+
+    /**
+     * Reset to seed data
+     */
+    async reset() {
+        await MockDatabase.clear();
+        this.state = this.createSeedData();
+        await this.persist();
+    }
+
+    /**
+     * สร้างข้อมูลตัวอย่างเริ่มต้น
+     * @return {Object} state
+     */
+    createSeedData() {
+        const now = new Date().toISOString();
+
+        const groups = [
+            {
+                groupId: 'G001',
+                groupCode: '01',
+                groupName: 'กลุ่มผักปลอดภัยบ้านหนองสำโรง',
+                managerName: 'สมชาย ใจดี',
+                managerUsername: 'group01',
+                phone: '0812345678',
+                address: 'ต.หนองสำโรง อ.เมือง จ.อุดรธานี',
+                status: 'active',
+                created: '2024-01-10T09:00:00.000Z'
+            },
+            {
+                groupId: 'G002',
+                groupCode: '02',
+                groupName: 'กลุ่มเกษตรอินทรีย์บ้านเชียง',
+                managerName: 'สมหญิง รักษ์ดิน',
+                managerUsername: 'group02',
+                phone: '0898765432',
+                address: 'ต.บ้านเชียง อ.หนองหาน จ.อุดรธานี',
+                status: 'active',
+                created: '2024-02-05T09:00:00.000Z'
+            }
+        ];
+
+        const farmers = [
+            {
+                id: 'F001',
+                farmerId: 'F001',
+                groupId: 'G001',
+                username: 'farmer01',
+                fullName: 'บุญมี ปลูกผัก',
+                phone: '0861112222',
+                idCard: '1410100000001',
+                address: '12 หมู่ 3 ต.หนองสำโรง อ.เมือง จ.อุดรธานี',
+                plotCode: 'P001',
+                plotNumber: '4102010502568',
+                plotSize: 2.5,
+                status: 'active',
+                createdAt: '2024-01-15T09:00:00.000Z',
+                lastActive: now,
+                sections: {
+                    section1: { CropType: 'ผักบุ้งจีน', PlantingMethod: 'แปลงยกร่อง', completed: true, progress: 100, lastUpdate: now },
+                    section2: { Fertilizer: 'ปุ๋ยหมัก', Pesticide: 'สารชีวภัณฑ์', completed: true, progress: 100, lastUpdate: now }
+                }
+            },
+            {
+                id: 'F002',
+                farmerId: 'F002',
+                groupId: 'G001',
+                username: 'farmer02',
+                fullName: 'คำปุ่น สวนงาม',
+                phone: '0873334444',
+                idCard: '1410100000002',
+                address: '45 หมู่ 5 ต.หนองสำโรง อ.เมือง จ.อุดรธานี',
+                plotCode: 'P002',
+                plotNumber: '4102010502569',
+                plotSize: 1,
+                status: 'active',
+                createdAt: '2024-01-20T09:00:00.000Z',
+                lastActive: now,
+                sections: {}
+            },
+            {
+                id: 'F003',
+                farmerId: 'F003',
+                groupId: 'G002',
+                username: 'farmer03',
+                fullName: 'ทองใบ ดินดี',
+                phone: '0885556666',
+                idCard: '1410100000003',
+                address: '7 หมู่ 1 ต.บ้านเชียง อ.หนองหาน จ.อุดรธานี',
+                plotCode: 'P003',
+                plotNumber: '4113050100001',
+                plotSize: 3,
+                status: 'inactive',
+                createdAt: '2024-02-10T09:00:00.000Z',
+                lastActive: null,
+                sections: {}
+            }
+        ];
+
+        const users = [
+            { username: 'admin', password: 'admin123', role: 'admin', fullName: 'ผู้ดูแลระบบ' },
+            { username: 'group01', password: 'group123', role: 'group', groupId: 'G001', fullName: 'สมชาย ใจดี' },
+            { username: 'group02', password: 'group123', role: 'group', groupId: 'G002', fullName: 'สมหญิง รักษ์ดิน' },
+            { username: 'assistant01', password: 'assist123', role: 'group_assistant', groupId: 'G001', fullName: 'มานี ช่วยงาน' },
+            { username: 'auditor01', password: 'audit123', role: 'auditor', fullName: 'วิไล ตรวจสอบ' },
+            { username: 'farmer01', password: 'farmer123', role: 'farmer', groupId: 'G001', farmerId: 'F001', fullName: 'บุญมี ปลูกผัก', plotCode: 'P001' },
+            { username: 'farmer02', password: 'farmer123', role: 'farmer', groupId: 'G001', farmerId: 'F002', fullName: 'คำปุ่น สวนงาม', plotCode: 'P002' },
+            { username: 'farmer03', password: 'farmer123', role: 'farmer', groupId: 'G002', farmerId: 'F003', fullName: 'ทองใบ ดินดี', plotCode: 'P003' }
+        ];
+
+        const searchCodes = [
+            { searchCode: '20240115-001', farmerId: 'F001', shipDate: '2024-01-15', createdAt: '2024-01-15T06:00:00.000Z' }
+        ];
+
+        // EAN-13 ที่ร้านค้าปลีกพิมพ์บนฉลาก จับคู่กับรหัสผลิตภัณฑ์ของระบบ
+        const barcodes = [
+            { format: 'ean_13', value: '8850123000010', qrCode: '01-4102010502568' },
+            { format: 'ean_13', value: '8850123000027', qrCode: '01-4102010502569' }
+        ];
+
+        return {
+            groups: groups,
+            farmers: farmers,
+            users: users,
+            searchCodes: searchCodes,
+            barcodes: barcodes,
+            scanEvents: [],
+            feedback: [],
+            recalls: [],
+            shipmentEvents: [],
+            documents: [],
+            files: [],
+            activities: [],
+            idempotency: {},
+            sequence: 100
+        };
+    }
+
+    /**
+     * Handle request data (same shape the real backend receives)
+     * @param {Object} requestData - ข้อมูล request ที่มี action
+     * @return {Promise<Object>} ผลลัพธ์
+     */
+    async handle(requestData) {
+        await this.ready;
+
+        const { action, accessToken, ...data } = requestData;
+        const handler = this.handlers[action];
+
+        if (!handler) {
+            return { error: `Mock backend ไม่รองรับ action: ${action}` };
+        }
+
+        // Same rule as the real backend: everything outside the public list needs a valid access token
+        // The token payload (session.sub = ชื่อผู้ใช้) is passed to handlers that act on the caller's own account
+        let session = null;
+        if (!AuthTokens.isPublic(action)) {
+            session = await this.verifyToken(accessToken, 'access');
+            if (!session) {
+                return { success: false, code: 'UNAUTHORIZED', message: 'กรุณาเข้าสู่ระบบใหม่' };
+            }
+        }
+
+        // Replay the stored result for a repeated idempotency key (no duplicate rows)
+        const { idempotencyKey } = data;
+        if (idempotencyKey && this.state.idempotency[idempotencyKey]) {
+            return JSON.parse(JSON.stringify(this.state.idempotency[idempotencyKey]));
+        }
+
+        const result = await handler.call(this, data, session);
+
+        if (idempotencyKey && result.success) {
+            this.state.idempotency[idempotencyKey] = result;
+        }
+
+        if (this.mutatingActions.includes(action) && result.success) {
+            await this.persist();
+        }
+
+        // ส่งสำเนาเพื่อไม่ให้ผู้เรียกแก้ state ตรงๆ
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    // ===== HELPERS =====
+
+    nextId(prefix) {
+        this.state.sequence++;
+        return `${prefix}${String(this.state.sequence).padStart(3, '0')}`;
+    }
+
+    findGroup(groupId) {
+        return this.state.groups.find(g => g.groupId === groupId);
+    }
+
+    findFarmer(farmerId) {
+        return this.state.farmers.find(f => f.farmerId === farmerId);
+    }
+
+    getGroupFarmersList(groupId) {
+        return this.state.farmers.filter(f => f.groupId === groupId);
+    }
+
+    /**
+     * Copy only the editable fields of a request onto a record (ids, codes and the like stay as they are)
+     * @param {Array} fields - ชื่อฟิลด์ที่อนุญาต (MockBackend.EDITABLE_FIELDS)
+     */
+    applyEditableFields(target, data, fields) {
+        fields
+            .filter(field => data[field] !== undefined)
+            .forEach(field => { target[field] = data[field]; });
+    }
+
+    getQRCode(farmer) {
+        const group = this.findGroup(farmer.groupId);
+        return group ? `${group.groupCode}-${farmer.plotNumber}` : null;
+    }
+
+    calculateCompletion(farmer) {
+        let total = 0;
+        for (let i = 1; i <= 6; i++) {
+            total += farmer.sections?.[`section${i}`]?.progress || 0;
+        }
+        return Math.round(total / 6);
+    }
+
+    /**
+     * User profile safe to send to the client (no password hash or 2FA secrets)
+     */
+    serializeUser(user) {
+        const { password, passwordHistory, twoFactor, ...profile } = user;
+        return { ...profile, twoFactorEnabled: !!(twoFactor && twoFactor.enabled) };
+    }
+
+    serializeFarmer(farmer) {
+        const group = this.findGroup(farmer.groupId);
+        return {
+            ...farmer,
+            farmerName: farmer.fullName,
+            groupName: group?.groupName || '-',
+            groupCode: group?.groupCode || '-',
+            qrCode: this.getQRCode(farmer),
+            dataCompletion: this.calculateCompletion(farmer)
+        };
+    }
+
+    getGroupStatistics(groupId) {
+        const farmers = this.getGroupFarmersList(groupId);
+        const activeFarmers = farmers.filter(f => f.status === 'active');
+        const farmerIds = farmers.map(f => f.farmerId);
+        const completion = farmers.length > 0
+            ? Math.round(farmers.reduce((sum, f) => sum + this.calculateCompletion(f), 0) / farmers.length)
+            : 0;
+        const today = new Date().toISOString().slice(0, 10);
+        const activities = this.state.activities.filter(a => a.groupId === groupId);
+
+        return {
+            totalFarmers: farmers.length,
+            activeFarmers: activeFarmers.length,
+            totalQRCodes: farmers.length,
+            totalSearchCodes: this.state.searchCodes.filter(s => farmerIds.includes(s.farmerId)).length,
+            dataCompleteness: completion,
+            todayActivities: activities.filter(a => a.timestamp.startsWith(today)).length,
+            recentActivity: activities.slice(0, 10),
+            activeFarmersList: activeFarmers.map(f => ({
+                fullName: f.fullName,
+                lastActivity: f.lastActive
+            }))
+        };
+    }
+
+    /**
+     * Active recalls covering a product
+     * @param {string} shipDate - YYYY-MM-DD ถ้าไม่ทราบ (QR ที่ไม่มีวันที่) จะรวมประกาศแบบช่วงวันที่ของแปลงนั้นด้วย
+     */
+    findActiveRecalls(farmer, shipDate = null) {
+        return this.state.recalls.filter(r =>
+            r.status === 'active' &&
+            r.groupId === farmer.groupId &&
+            (!r.farmerId || r.farmerId === farmer.farmerId) &&
+            (!r.dateFrom || !shipDate || (shipDate >= r.dateFrom && shipDate <= r.dateTo))
+        );
+    }
+
+    logActivity(groupId, type, description) {
+        this.state.activities.unshift({
+            groupId: groupId,
+            type: type,
+            title: description,
+            description: description,
+            icon: 'fas fa-info-circle',
+            timestamp: new Date().toISOString()
+        });
+        this.state.activities = this.state.activities.slice(0, 200);
+    }
+
+    /**
+     * Development key pair for signed QR payloads, made on first use and kept with the mock state
+     * No private key ships in any file - the real backend signs with its own key
+     */
+    async getQRSigningKey() {
+        if (!this.state.qrSigningKey) {
+            const pair = await crypto.subtle.generateKey({
+                ...QRSignature.ALGORITHM,
+                modulusLength: 2048,
+                publicExponent: new Uint8Array([1, 0, 1])
+            }, true, ['sign', 'verify']);
+
+            this.state.qrSigningKey = {
+                privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+                publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey)
+            };
+            QRSignature.useDevelopmentKey(this.state.qrSigningKey.publicKey);
+        }
+
+        return crypto.subtle.importKey('jwk', this.state.qrSigningKey.privateKey, QRSignature.ALGORITHM, false, ['sign']);
+    }
+
+    /**
+     * Sign group|plot|shipDate and build the signed QR payload
+     * @return {Promise<string|null>} payload หรือ null ถ้าเบราว์เซอร์ไม่มี WebCrypto
+     */
+    async signQRCode(qrCode, shipDate) {
+        if (!qrCode || typeof QRSignature === 'undefined' || !(typeof crypto !== 'undefined' && crypto.subtle)) return null;
+
+        const [groupCode, plotCode] = qrCode.split('-');
+        const key = await this.getQRSigningKey();
+        const message = new TextEncoder().encode(QRSignature.getMessage(groupCode, plotCode, shipDate));
+        const signature = await crypto.subtle.sign(QRSignature.ALGORITHM, key, message);
+
+        return `${qrCode}.${String(shipDate).replace(/-/g, '')}.${QRSignature.base64UrlEncode(signature)}`;
+    }
+
+    /**
+     * Issue a signed access + refresh token pair and remember the refresh token (rotation)
+     * @return {Promise<Object>} { accessToken, refreshToken, expiresIn }
+     */
+    async issueTokens(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const claims = { sub: user.username, role: user.role, iat: now };
+        const refreshId = this.nextId('RT');
+
+        const accessToken = await this.signToken({ ...claims, typ: 'access', jti: this.nextId('AT'), exp: now + MockBackend.ACCESS_TOKEN_TTL });
+        const refreshToken = await this.signToken({ ...claims, typ: 'refresh', jti: refreshId, exp: now + MockBackend.REFRESH_TOKEN_TTL });
+
+        Object.keys(this.state.refreshTokens).forEach(id => {
+            if (this.state.refreshTokens[id].exp <= now) delete this.state.refreshTokens[id];
+        });
+        this.state.refreshTokens[refreshId] = { username: user.username, exp: now + MockBackend.REFRESH_TOKEN_TTL };
+
+        return { accessToken: accessToken, refreshToken: refreshToken, expiresIn: MockBackend.ACCESS_TOKEN_TTL };
+    }
+
+    /**
+     * HMAC-SHA256 signed token: header.payload.signature (base64url, JWT layout)
+     */
+    async signToken(payload) {
+        const encode = value => this.base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+        const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+        const key = await this.getTokenKey();
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+
+        return `${body}.${this.base64UrlEncode(signature)}`;
+    }
+
+    /**
+     * Check signature, type, expiry and that the user still exists
+     * @return {Promise<Object|null>} payload ของ token หรือ null
+     */
+    async verifyToken(token, type) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const key = await this.getTokenKey();
+            const valid = await crypto.subtle.verify('HMAC', key, this.base64UrlDecode(parts[2]),
+                new TextEncoder().encode(`${parts[0]}.${parts[1]}`));
+            if (!valid) return null;
+
+            const payload = JSON.parse(new TextDecoder().decode(this.base64UrlDecode(parts[1])));
+            if (payload.typ !== type || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+            if (!this.state.users.some(u => u.username === payload.sub)) return null;
+
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getTokenKey() {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(MockBackend.TOKEN_SECRET),
+            { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    }
+
+    base64UrlEncode(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    /**
+     * Failed-login counter for a username or client (created on first use)
+     * @param {string} scope - users | clients
+     */
+    getLoginCounter(scope, key) {
+        const counters = this.state.loginAttempts[scope];
+        counters[key] = counters[key] || { failedAttempts: 0, lastFailedAt: 0, nextAttemptAt: 0, lockedUntil: 0 };
+        return counters[key];
+    }
+
+    /**
+     * Forget counters that are unlocked and quiet for a whole lock window
+     */
+    pruneLoginCounters(now) {
+        const quietPeriod = MockBackend.LOGIN_THROTTLE.lockMinutes * 60000;
+
+        ['users', 'clients'].forEach(scope => {
+            const counters = this.state.loginAttempts[scope];
+            Object.keys(counters).forEach(key => {
+                const counter = counters[key];
+                if (counter.lockedUntil <= now && counter.lastFailedAt < now - quietPeriod) {
+                    delete counters[key];
+                }
+            });
+        });
+    }
+
+    /**
+     * Throttle fields of the login response (the client only displays them)
+     * @return {Object} { failedAttempts, attemptsRemaining, retryAfter (วินาที), lockedUntil (ISO|null) }
+     */
+    describeLoginThrottle(userCounter, clientCounter, now) {
+        const policy = MockBackend.LOGIN_THROTTLE;
+        const lockedUntil = Math.max(userCounter.lockedUntil, clientCounter.lockedUntil);
+        const nextAttemptAt = Math.max(userCounter.nextAttemptAt, clientCounter.nextAttemptAt);
+
+        return {
+            failedAttempts: userCounter.failedAttempts,
+            attemptsRemaining: Math.max(0, Math.min(
+                policy.userLockAfter - userCounter.failedAttempts,
+                policy.clientLockAfter - clientCounter.failedAttempts
+            )),
+            retryAfter: Math.max(0, Math.ceil((nextAttemptAt - now) / 1000)),
+            lockedUntil: lockedUntil > now ? new Date(lockedUntil).toISOString() : null
+        };
+    }
+
+    /**
+     * Failure response while a counter is locked or inside its progressive delay
+     * @return {Object|null} null = ลองเข้าสู่ระบบได้
+     */
+    checkLoginBlocked(userCounter, clientCounter, now) {
+        if (Math.max(userCounter.lockedUntil, clientCounter.lockedUntil) > now) {
+            return {
+                success: false,
+                code: 'ACCOUNT_LOCKED',
+                message: 'บัญชีถูกล็อกชั่วคราวเนื่องจากเข้าสู่ระบบผิดหลายครั้ง',
+                throttle: this.describeLoginThrottle(userCounter, clientCounter, now)
+            };
+        }
+        if (Math.max(userCounter.nextAttemptAt, clientCounter.nextAttemptAt) > now) {
+            return {
+                success: false,
+                code: 'LOGIN_THROTTLED',
+                message: 'พยายามเข้าสู่ระบบถี่เกินไป',
+                throttle: this.describeLoginThrottle(userCounter, clientCounter, now)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Count a failed login on both counters: progressive delay first, then a timed lock
+     */
+    recordLoginFailure(counters, now) {
+        const policy = MockBackend.LOGIN_THROTTLE;
+
+        counters.forEach(({ counter, lockAfter }) => {
+            counter.failedAttempts++;
+            counter.lastFailedAt = now;
+
+            if (counter.failedAttempts >= lockAfter) {
+                counter.lockedUntil = now + policy.lockMinutes * 60000;
+                counter.nextAttemptAt = counter.lockedUntil;
+            } else if (counter.failedAttempts > policy.freeAttempts) {
+                const delay = policy.baseDelaySeconds * Math.pow(2, counter.failedAttempts - policy.freeAttempts - 1);
+                counter.nextAttemptAt = now + Math.min(delay, policy.maxDelaySeconds) * 1000;
+            }
+        });
+    }
+
+    /**
+     * Count a wrong password or code against the account and the device it came from
+     * The device counter keeps the usernames it failed on, so unlocking an account clears it as well
+     */
+    recordCredentialFailure(username, userCounter, clientCounter, now) {
+        clientCounter.usernames = clientCounter.usernames || [];
+        if (!clientCounter.usernames.includes(username)) {
+            clientCounter.usernames.push(username);
+        }
+
+        this.recordLoginFailure([
+            { counter: userCounter, lockAfter: MockBackend.LOGIN_THROTTLE.userLockAfter },
+            { counter: clientCounter, lockAfter: MockBackend.LOGIN_THROTTLE.clientLockAfter }
+        ], now);
+    }
+
+    isTwoFactorRequired(role) {
+        return this.state.settings.twoFactor.requiredRoles.includes(role);
+    }
+
+    /**
+     * Short-lived token for the second login step
+     * When the role requires 2FA but the user hasn't enrolled, a new secret is attached so enrolment happens during login
+     * @return {Promise<Object>} { challengeToken, enrollmentRequired, secret?, otpauthUrl? }
+     */
+    async issueTwoFactorChallenge(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const challengeId = this.nextId('CH');
+        const enrolled = !!(user.twoFactor && user.twoFactor.enabled);
+        const challenge = { username: user.username, exp: now + MockBackend.TWO_FACTOR.challengeSeconds, attempts: 0 };
+
+        Object.keys(this.state.twoFactorChallenges).forEach(id => {
+            if (this.state.twoFactorChallenges[id].exp <= now) delete this.state.twoFactorChallenges[id];
+        });
+
+        const response = {
+            challengeToken: await this.signToken({ sub: user.username, typ: 'challenge', jti: challengeId, iat: now, exp: challenge.exp }),
+            enrollmentRequired: !enrolled
+        };
+
+        if (!enrolled) {
+            challenge.secret = this.generateTotpSecret();
+            response.secret = challenge.secret;
+            response.otpauthUrl = this.buildOtpauthUrl(user.username, challenge.secret);
+        }
+
+        this.state.twoFactorChallenges[challengeId] = challenge;
+        return response;
+    }
+
+    /**
+     * Random 160-bit base32 secret for an authenticator app
+     */
+    generateTotpSecret() {
+        return this.base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+    }
+
+    buildOtpauthUrl(username, secret) {
+        const issuer = MockBackend.TWO_FACTOR.issuer;
+        const label = encodeURIComponent(`${issuer}:${username}`);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+    }
+
+    /**
+     * TOTP code for one 30-second step (RFC 6238: HMAC-SHA1, 6 หลัก)
+     */
+    async totpCode(secret, step) {
+        const key = await crypto.subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const counter = new ArrayBuffer(8);
+        new DataView(counter).setUint32(4, step);
+
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+        return String(binary % 1000000).padStart(6, '0');
+    }
+
+    /**
+     * Match a code against the previous, current and next step (phone clock drift)
+     * @param {number} lastStep - step ที่ใช้ไปแล้ว (รหัสเดิมใช้ซ้ำไม่ได้)
+     * @return {Promise<number|null>} step ที่ตรง หรือ null
+     */
+    async matchTotp(secret, code, lastStep = -1) {
+        const step = Math.floor(Date.now() / 30000);
+
+        for (const candidate of [step - 1, step, step + 1]) {
+            if (candidate > lastStep && await this.totpCode(secret, candidate) === code) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Ten single-use backup codes (xxxx-xxxx); only their hashes are stored
+     * @return {Promise<Object>} { codes (แสดงผู้ใช้ครั้งเดียว), hashes }
+     */
+    async generateBackupCodes() {
+        const codes = Array.from({ length: 10 }, () => this.generateOneTimeCode());
+        const hashes = await Promise.all(codes.map(code => this.hashOneTimeCode(code)));
+
+        return { codes: codes, hashes: hashes };
+    }
+
+    /**
+     * Random 8-digit code shown as xxxx-xxxx (backup codes, password reset codes)
+     */
+    generateOneTimeCode() {
+        const value = crypto.getRandomValues(new Uint32Array(1))[0];
+        return String(value % 100000000).padStart(8, '0').replace(/^(\d{4})(\d{4})$/, '$1-$2');
+    }
+
+    /**
+     * Approved reset codes that were never used stop working after PASSWORD_RESET.codeHours
+     */
+    expirePasswordResets(now = Date.now()) {
+        this.state.passwordResets.forEach(request => {
+            if (request.status === 'approved' && new Date(request.codeExpiresAt).getTime() <= now) {
+                request.status = 'expired';
+                delete request.codeHash;
+            }
+        });
+    }
+
+    serializePasswordReset(request) {
+        const { codeHash, ...rest } = request;
+        return rest;
+    }
+
+    /**
+     * Whether newPassword is the current password or one of the previous (historySize - 1) ones
+     */
+    async isPasswordReused(user, newPassword, historySize) {
+        if (historySize <= 0) return false;
+        if (newPassword === user.password) return true;
+
+        const hash = await this.hashPasswordHistory(user.username, newPassword);
+        return (user.passwordHistory || []).slice(0, historySize - 1).includes(hash);
+    }
+
+    /**
+     * Replaced passwords are kept only as hashes (newest first, up to the largest historySize allowed)
+     */
+    async rememberPassword(user) {
+        const hash = await this.hashPasswordHistory(user.username, user.password);
+        user.passwordHistory = [hash, ...(user.passwordHistory || [])].slice(0, PasswordPolicy.LIMITS.historySize.max);
+    }
+
+    async hashPasswordHistory(username, password) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${username}:${password}`));
+        return this.base64UrlEncode(digest);
+    }
+
+    async hashOneTimeCode(code) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code.replace(/\D/g, '')));
+        return this.base64UrlEncode(digest);
+    }
+
+    /**
+     * Accept a TOTP code (6 หลัก) or an unused backup code (8 หลัก) for an enrolled user
+     * @return {Promise<string|null>} 'totp' | 'backup' | null
+     */
+    async verifySecondFactor(twoFactor, code) {
+        const cleaned = String(code || '').replace(/[\s-]/g, '');
+
+        if (/^\d{6}$/.test(cleaned)) {
+            const step = await this.matchTotp(twoFactor.secret, cleaned, twoFactor.lastStep);
+            if (step === null) return null;
+
+            twoFactor.lastStep = step;
+            return 'totp';
+        }
+
+        if (/^\d{8}$/.test(cleaned)) {
+            const index = twoFactor.backupCodes.indexOf(await this.hashOneTimeCode(cleaned));
+            if (index === -1) return null;
+
+            twoFactor.backupCodes.splice(index, 1);
+            return 'backup';
+        }
+
+        return null;
+    }
+
+    base32Encode(bytes) {
+        const alphabet = MockBackend.BASE32_ALPHABET;
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        bytes.forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+
+        if (bits > 0) {
+            output += alphabet[(value << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    base32Decode(text) {
+        const alphabet = MockBackend.BASE32_ALPHABET;
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        text.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+            value = (value << 5) | alphabet.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        });
+
+        return new Uint8Array(bytes);
+    }
+
+    storeFile(data, extra = {}) {
+        const fileId = this.nextId('FILE');
+        const file = {
+            fileId: fileId,
+            fileName: data.fileName,
+            mimeType: data.mimeType,
+            fileUrl: data.fileContent ? `data:${data.mimeType};base64,${data.fileContent}` : null,
+            uploadDate: new Date().toISOString(),
+            ...extra
+        };
+        this.state.files.push(file);
+        return file;
+    }
+}
+
+/**
+ * Demo secret สำหรับลงนาม access/refresh token (backend จริงเก็บไว้ใน script properties)
+ */
+MockBackend.TOKEN_SECRET = 'udon-veg-mock-token-secret';
+MockBackend.ACCESS_TOKEN_TTL = 15 * 60;
+MockBackend.REFRESH_TOKEN_TTL = 8 * 60 * 60;
+
+/**
+ * นโยบายจำกัดการเข้าสู่ระบบ (ตัวนับเก็บที่ backend ไม่ใช่ localStorage)
+ * ผิดเกิน freeAttempts ครั้งต้องรอนานขึ้นเป็นเท่าตัว ผิดครบ lockAfter ครั้งถูกล็อก lockMinutes นาที
+ * ตัวนับรายเครื่อง (clientId) กันการไล่เดารหัสผ่านหลายบัญชีจากเครื่องเดียว
+ */
+MockBackend.LOGIN_THROTTLE = {
+    freeAttempts: 2,
+    baseDelaySeconds: 5,
+    maxDelaySeconds: 60,
+    userLockAfter: 5,
+    clientLockAfter: 15,
+    lockMinutes: 15
+};
+
+/**
+ * การยืนยันตัวตนสองขั้นตอน (TOTP) ของบัญชีผู้ดูแลและกลุ่ม
+ * รหัสจากแอป Authenticator ผิดนับรวมกับตัวนับ LOGIN_THROTTLE ของบัญชี
+ */
+MockBackend.TWO_FACTOR = {
+    issuer: 'ผักอุดร',
+    challengeSeconds: 5 * 60,
+    maxAttempts: 5
+};
+MockBackend.PASSWORD_RESET = {
+    codeHours: 24
+};
+MockBackend.BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * ฟิลด์ที่แก้ไขได้จากหน้าโปรไฟล์กลุ่มและฟอร์มแก้ไขสมาชิก
+ * groupId, groupCode, สถานะกลุ่ม, username และรหัสแปลงของระบบเปลี่ยนจากคำขอเหล่านี้ไม่ได้
+ */
+MockBackend.EDITABLE_FIELDS = {
+    groupProfile: [
+        'groupName', 'managerName', 'managerPhone', 'managerEmail', 'phone', 'groupType',
+        'address', 'district', 'province', 'zipCode', 'website', 'description'
+    ],
+    farmer: ['fullName', 'phone', 'idCard', 'email', 'address', 'plotCode', 'plotSize', 'plotLocation', 'status']
+};
+MockBackend.FARMER_STATUSES = ['active', 'inactive', 'pending'];
+
+/**
+ * รูปประกอบความคิดเห็นของผู้บริโภค (อัปโหลดได้โดยไม่ต้องเข้าสู่ระบบ จึงรับเฉพาะรูปขนาดเล็ก)
+ */
+MockBackend.FEEDBACK_PHOTO = {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxBytes: 2 * 1024 * 1024
+};
+
+/**
+ * Actions ที่แก้ไขข้อมูล (ต้อง persist หลังทำงานสำเร็จ)
+ */
+MockBackend.prototype.mutatingActions = [
+    'login', 'refreshToken', 'revokeToken', 'changePassword', 'createGroup', 'updateGroup', 'deleteGroup', 'updateGroupProfile',
+    'saveGroupDocument', 'uploadFile', 'uploadFeedbackPhoto', 'uploadFileToFarmerFolder', 'addFarmer', 'updateFarmer',
+    'deleteFarmer', 'saveFarmerSection', 'saveFarmerDocument', 'generateSearchCode',
+    'startChunkedUpload', 'uploadChunk', 'finishChunkedUpload', 'cancelChunkedUpload', 'logScan',
+    'submitFeedback', 'updateFeedbackStatus', 'createRecall', 'closeRecall',
+    'addShipmentEvent', 'assignUserRole', 'unlockAccount', 'verifyTwoFactor', 'startTwoFactorEnrollment',
+    'confirmTwoFactorEnrollment', 'disableTwoFactor', 'regenerateBackupCodes', 'updateSystemSettings',
+    'requestPasswordReset', 'redeemPasswordReset', 'approvePasswordReset', 'rejectPasswordReset'
+];
+
+/**
+ * Action handlers (this = MockBackend instance)
+ */
+MockBackend.prototype.handlers = {
+
+    // ===== AUTH =====
+
+    async login(data) {
+        const now = Date.now();
+        this.pruneLoginCounters(now);
+
+        const userCounter = this.getLoginCounter('users', data.username);
+        const clientCounter = this.getLoginCounter('clients', data.clientId || 'unknown');
+
+        // Locked or still waiting out the delay: the password isn't even checked
+        const blocked = this.checkLoginBlocked(userCounter, clientCounter, now);
+        if (blocked) return blocked;
+
+        const user = this.state.users.find(u => u.username === data.username);
+        if (!user || user.password !== data.password) {
+            this.recordCredentialFailure(data.username, userCounter, clientCounter, now);
+            // Failed attempts must survive a reload, so persist even though the result is a failure
+            await this.persist();
+
+            const throttle = this.describeLoginThrottle(userCounter, clientCounter, now);
+            return {
+                success: false,
+                code: throttle.lockedUntil ? 'ACCOUNT_LOCKED' : 'INVALID_CREDENTIALS',
+                message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง',
+                throttle: throttle
+            };
+        }
+
+        // Password is right but the account needs a second step: counters stay until the code is verified
+        if ((user.twoFactor && user.twoFactor.enabled) || this.isTwoFactorRequired(user.role)) {
+            return { success: true, twoFactor: await this.issueTwoFactorChallenge(user) };
+        }
+
+        delete this.state.loginAttempts.users[data.username];
+        delete this.state.loginAttempts.clients[data.clientId || 'unknown'];
+
+        return {
+            success: true,
+            user: this.serializeUser(user),
+            ...(await this.issueTokens(user))
+        };
+    },
+
+    /**
+     * Second login step: TOTP or backup code (or the first TOTP code when enrolling during login)
+     */
+    async verifyTwoFactor(data) {
+        const now = Date.now();
+        const payload = await this.verifyToken(data.challengeToken, 'challenge');
+        const challenge = payload && this.state.twoFactorChallenges[payload.jti];
+        const user = challenge && this.state.users.find(u => u.username === challenge.username);
+        if (!user) {
+            return { success: false, code: 'CHALLENGE_EXPIRED', message: 'หมดเวลายืนยันตัวตน กรุณาเข้าสู่ระบบใหม่' };
+        }
+
+        const userCounter = this.getLoginCounter('users', user.username);
+        const clientCounter = this.getLoginCounter('clients', data.clientId || 'unknown');
+        const blocked = this.checkLoginBlocked(userCounter, clientCounter, now);
+        if (blocked) return blocked;
+
+        let enrolledStep = null;
+        let verified;
+        if (challenge.secret) {
+            enrolledStep = await this.matchTotp(challenge.secret, String(data.code).replace(/\s/g, ''));
+            verified = enrolledStep !== null;
+        } else {
+            verified = !!(await this.verifySecondFactor(user.twoFactor, data.code));
+        }
+
+        if (!verified) {
+            challenge.attempts++;
+            if (challenge.attempts >= MockBackend.TWO_FACTOR.maxAttempts) {
+                delete this.state.twoFactorChallenges[payload.jti];
+            }
+
+            this.recordCredentialFailure(user.username, userCounter, clientCounter, now);
+            await this.persist();
+
+            const throttle = this.describeLoginThrottle(userCounter, clientCounter, now);
+            return {
+                success: false,
+                code: throttle.lockedUntil ? 'ACCOUNT_LOCKED' : 'INVALID_TWO_FACTOR_CODE',
+                message: 'รหัสยืนยันไม่ถูกต้อง',
+                throttle: throttle
+            };
+        }
+
+        const result = { success: true };
+        if (challenge.secret) {
+            const backup = await this.generateBackupCodes();
+            user.twoFactor = { enabled: true, secret: challenge.secret, backupCodes: backup.hashes, lastStep: enrolledStep, enabledAt: new Date().toISOString() };
+            result.backupCodes = backup.codes;
+        }
+
+        delete this.state.twoFactorChallenges[payload.jti];
+        delete this.state.loginAttempts.users[user.username];
+        delete this.state.loginAttempts.clients[data.clientId || 'unknown'];
+
+        return {
+            ...result,
+            user: this.serializeUser(user),
+            ...(await this.issueTokens(user))
+        };
+    },
+
+    getTwoFactorStatus(data, session) {
+        const user = this.state.users.find(u => u.username === session.sub);
+        const twoFactor = user.twoFactor || {};
+
+        return {
+            success: true,
+            enabled: !!twoFactor.enabled,
+            required: this.isTwoFactorRequired(user.role),
+            backupCodesRemaining: twoFactor.enabled ? twoFactor.backupCodes.length : 0,
+            enabledAt: twoFactor.enabledAt || null
+        };
+    },
+
+    startTwoFactorEnrollment(data, session) {
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('enroll', 'two_factor', user)) {
+            return { success: false, message: 'บัญชีประเภทนี้ไม่รองรับการยืนยันตัวตนสองขั้นตอน' };
+        }
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return { success: false, message: 'เปิดใช้การยืนยันตัวตนสองขั้นตอนอยู่แล้ว' };
+        }
+
+        const secret = this.generateTotpSecret();
+        user.twoFactor = { enabled: false, pendingSecret: secret };
+
+        return { success: true, secret: secret, otpauthUrl: this.buildOtpauthUrl(user.username, secret) };
+    },
+
+    async confirmTwoFactorEnrollment(data, session) {
+        const user = this.state.users.find(u => u.username === session.sub);
+        const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+        if (!pendingSecret) {
+            return { success: false, message: 'กรุณาเริ่มตั้งค่าใหม่อีกครั้ง' };
+        }
+
+        const step = await this.matchTotp(pendingSecret, String(data.code).replace(/\s/g, ''));
+        if (step === null) {
+            return { success: false, message: 'รหัสยืนยันไม่ถูกต้อง ตรวจสอบเวลาในโทรศัพท์แล้วลองใหม่' };
+        }
+
+        const backup = await this.generateBackupCodes();
+        user.twoFactor = { enabled: true, secret: pendingSecret, backupCodes: backup.hashes, lastStep: step, enabledAt: new Date().toISOString() };
+
+        return { success: true, backupCodes: backup.codes, message: 'เปิดใช้การยืนยันตัวตนสองขั้นตอนแล้ว' };
+    },
+
+    async disableTwoFactor(data, session) {
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return { success: false, message: 'ยังไม่ได้เปิดใช้การยืนยันตัวตนสองขั้นตอน' };
+        }
+        if (this.isTwoFactorRequired(user.role)) {
+            return { success: false, message: 'บทบาทของคุณถูกกำหนดให้ต้องใช้การยืนยันตัวตนสองขั้นตอน' };
+        }
+        if (!(await this.verifySecondFactor(user.twoFactor, data.code))) {
+            return { success: false, message: 'รหัสยืนยันไม่ถูกต้อง' };
+        }
+
+        delete user.twoFactor;
+        return { success: true, message: 'ปิดการยืนยันตัวตนสองขั้นตอนแล้ว' };
+    },
+
+    async regenerateBackupCodes(data, session) {
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return { success: false, message: 'ยังไม่ได้เปิดใช้การยืนยันตัวตนสองขั้นตอน' };
+        }
+        if (!(await this.verifySecondFactor(user.twoFactor, data.code))) {
+            return { success: false, message: 'รหัสยืนยันไม่ถูกต้อง' };
+        }
+
+        const backup = await this.generateBackupCodes();
+        user.twoFactor.backupCodes = backup.hashes;
+
+        return { success: true, backupCodes: backup.codes, message: 'สร้างรหัสสำรองชุดใหม่แล้ว รหัสชุดเดิมใช้ไม่ได้อีก' };
+    },
+
+    async refreshToken(data) {
+        const payload = await this.verifyToken(data.refreshToken, 'refresh');
+        const stored = payload && this.state.refreshTokens[payload.jti];
+        if (!stored) {
+            return { success: false, code: 'UNAUTHORIZED', message: 'เซสชันหมดอายุ กรุณาเข้าสู่ระบบใหม่' };
+        }
+
+        // Rotation: each refresh token works once
+        delete this.state.refreshTokens[payload.jti];
+        const user = this.state.users.find(u => u.username === payload.sub);
+        return { success: true, ...(await this.issueTokens(user)) };
+    },
+
+    async revokeToken(data) {
+        const payload = await this.verifyToken(data.refreshToken, 'refresh');
+        if (payload) {
+            delete this.state.refreshTokens[payload.jti];
+        }
+        return { success: true };
+    },
+
+    /**
+     * Change the signed-in user's password
+     * A wrong old password counts against the login throttle, so a stolen session can't be used to guess it
+     */
+    async changePassword(data, session) {
+        const now = Date.now();
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!user) {
+            return { success: false, code: 'UNAUTHORIZED', message: 'เซสชันหมดอายุ กรุณาเข้าสู่ระบบใหม่' };
+        }
+
+        const userCounter = this.getLoginCounter('users', user.username);
+        const clientCounter = this.getLoginCounter('clients', data.clientId || 'unknown');
+        const blocked = this.checkLoginBlocked(userCounter, clientCounter, now);
+        if (blocked) return blocked;
+
+        if (user.password !== data.oldPassword) {
+            this.recordCredentialFailure(user.username, userCounter, clientCounter, now);
+            await this.persist();
+
+            const throttle = this.describeLoginThrottle(userCounter, clientCounter, now);
+            return {
+                success: false,
+                code: throttle.lockedUntil ? 'ACCOUNT_LOCKED' : 'INVALID_CREDENTIALS',
+                message: 'รหัสผ่านเดิมไม่ถูกต้อง',
+                throttle: throttle
+            };
+        }
+
+        const policy = this.state.settings.passwordPolicy;
+        const check = PasswordPolicy.check(data.newPassword, { username: user.username }, policy);
+        if (!check.valid) {
+            return { success: false, code: 'PASSWORD_POLICY', message: check.errors.join(' ') };
+        }
+        if (await this.isPasswordReused(user, data.newPassword, policy.historySize)) {
+            return { success: false, code: 'PASSWORD_REUSED', message: `ห้ามใช้รหัสผ่านซ้ำกับ ${policy.historySize} ครั้งล่าสุด` };
+        }
+
+        await this.rememberPassword(user);
+        user.password = data.newPassword;
+        user.mustChangePassword = false;
+        return { success: true, message: 'เปลี่ยนรหัสผ่านสำเร็จ' };
+    },
+
+    /**
+     * Forgot password: a farmer asks the group manager for a reset code
+     * The answer is the same whether or not the account exists, so the form can't be used to find usernames
+     */
+    requestPasswordReset(data) {
+        const response = {
+            success: true,
+            message: 'ส่งคำขอแล้ว หากเป็นบัญชีเกษตรกร ผู้จัดการกลุ่มจะติดต่อกลับพร้อมรหัสรีเซ็ต'
+        };
+
+        const user = this.state.users.find(u => u.username === data.username);
+        if (!user || user.role !== 'farmer') return response;
+
+        const pending = this.state.passwordResets.find(r => r.username === user.username && r.status === 'pending');
+        if (pending) return response;
+
+        this.state.passwordResets.unshift({
+            requestId: this.nextId('PR'),
+            username: user.username,
+            farmerId: user.farmerId,
+            groupId: user.groupId,
+            fullName: user.fullName,
+            status: 'pending',
+            requestedAt: new Date().toISOString()
+        });
+        this.logActivity(user.groupId, 'password_reset_requested', `${user.fullName} ขอรีเซ็ตรหัสผ่าน`);
+
+        return response;
+    },
+
+    /**
+     * Sign in with an approved reset code; the code becomes a temporary password that must be
+     * replaced right away (mustChangePassword → change-password.html)
+     * Failures count against the same throttle as login, so codes can't be guessed
+     */
+    async redeemPasswordReset(data) {
+        const now = Date.now();
+        const userCounter = this.getLoginCounter('users', data.username);
+        const clientCounter = this.getLoginCounter('clients', data.clientId || 'unknown');
+        const blocked = this.checkLoginBlocked(userCounter, clientCounter, now);
+        if (blocked) return blocked;
+
+        this.expirePasswordResets(now);
+        const user = this.state.users.find(u => u.username === data.username);
+        const request = user && this.state.passwordResets.find(r => r.username === user.username && r.status === 'approved');
+        const digits = String(data.code || '').replace(/\D/g, '');
+
+        if (!request || digits.length !== 8 || request.codeHash !== await this.hashOneTimeCode(digits)) {
+            this.recordCredentialFailure(data.username, userCounter, clientCounter, now);
+            await this.persist();
+
+            const throttle = this.describeLoginThrottle(userCounter, clientCounter, now);
+            return {
+                success: false,
+                code: throttle.lockedUntil ? 'ACCOUNT_LOCKED' : 'INVALID_RESET_CODE',
+                message: 'รหัสรีเซ็ตไม่ถูกต้องหรือหมดอายุแล้ว',
+                throttle: throttle
+            };
+        }
+
+        await this.rememberPassword(user);
+        user.password = digits.replace(/^(\d{4})(\d{4})$/, '$1-$2');
+        user.mustChangePassword = true;
+
+        request.status = 'used';
+        request.usedAt = new Date(now).toISOString();
+        delete request.codeHash;
+        delete this.state.loginAttempts.users[user.username];
+        delete this.state.loginAttempts.clients[data.clientId || 'unknown'];
+        this.logActivity(user.groupId, 'password_reset_used', `${user.fullName} ตั้งรหัสผ่านใหม่ด้วยรหัสรีเซ็ต`);
+
+        return {
+            success: true,
+            user: this.serializeUser(user),
+            ...(await this.issueTokens(user))
+        };
+    },
+
+    // ===== QR / SEARCH =====
+
+    searchQRCode(data) {
+        const group = this.state.groups.find(g => g.groupCode === data.groupCode);
+        const farmer = group && this.state.farmers.find(f =>
+            f.groupId === group.groupId && f.plotNumber === data.plotNumber
+        );
+
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลสำหรับ QR Code นี้' };
+        }
+
+        return {
+            success: true,
+            data: {
+                qrCode: data.qrCode,
+                groupName: group.groupName,
+                groupCode: group.groupCode,
+                farmerName: farmer.fullName,
+                phone: farmer.phone,
+                plotNumber: farmer.plotNumber,
+                address: farmer.address,
+                area: farmer.plotSize,
+                hasDeepSearch: this.state.searchCodes.some(s => s.farmerId === farmer.farmerId)
+            }
+        };
+    },
+
+    resolveBarcode(data) {
+        const entry = this.state.barcodes.find(b => b.format === data.format && b.value === data.value);
+
+        if (!entry) {
+            return { success: false, message: 'ไม่พบรหัสผลิตภัณฑ์ที่ตรงกับบาร์โค้ดนี้' };
+        }
+
+        return { success: true, qrCode: entry.qrCode };
+    },
+
+    searchDeepCode(data) {
+        const entry = this.state.searchCodes.find(s => s.searchCode === data.searchCode);
+        const farmer = entry && this.findFarmer(entry.farmerId);
+
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลสำหรับรหัสค้นหานี้' };
+        }
+
+        const sections = farmer.sections || {};
+        const strip = (section) => {
+            if (!section) return {};
+            const { completed, progress, lastUpdate, ...fields } = section;
+            return fields;
+        };
+
+        return {
+            success: true,
+            data: {
+                searchCode: entry.searchCode,
+                farmer: {
+                    name: farmer.fullName,
+                    plotNumber: farmer.plotNumber
+                },
+                sections: {
+                    productionData: { ...strip(sections.section1), ...strip(sections.section2), ...strip(sections.section3), ...strip(sections.section4) },
+                    harvestData: { ...strip(sections.section5), ShipDate: entry.shipDate },
+                    transportData: strip(sections.section6),
+                    documents: this.state.documents.filter(d => d.farmerId === farmer.farmerId),
+                    additionalInfo: {}
+                }
+            }
+        };
+    },
+
+    generateQRCode(data) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+        return { success: true, qrCode: this.getQRCode(farmer) };
+    },
+
+    // ===== ADMIN =====
+
+    getAllGroups() {
+        const groups = this.state.groups.map(group => ({
+            ...group,
+            statistics: {
+                totalFarmers: this.getGroupFarmersList(group.groupId).length,
+                totalQRCodes: this.getGroupFarmersList(group.groupId).length
+            }
+        }));
+
+        return {
+            success: true,
+            groups: groups,
+            totalGroups: groups.length
+        };
+    },
+
+    createGroup(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('create', 'groups', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์สร้างกลุ่ม' };
+        }
+
+        if (this.state.users.some(u => u.username === data.managerUsername)) {
+            return { success: false, message: 'ชื่อผู้ใช้นี้มีอยู่แล้ว' };
+        }
+
+        const codes = this.state.groups.map(g => parseInt(g.groupCode, 10));
+        const groupCode = String(Math.max(0, ...codes) + 1).padStart(2, '0');
+        const group = {
+            groupId: this.nextId('G'),
+            groupCode: groupCode,
+            groupName: `กลุ่ม ${groupCode}`,
+            managerName: data.managerUsername,
+            managerUsername: data.managerUsername,
+            status: 'active',
+            created: new Date().toISOString()
+        };
+
+        this.state.groups.push(group);
+        this.state.users.push({
+            username: data.managerUsername,
+            password: data.managerPassword,
+            role: 'group',
+            groupId: group.groupId,
+            fullName: data.managerUsername,
+            mustChangePassword: true
+        });
+
+        return { success: true, group: group, message: 'สร้างกลุ่มสำเร็จ' };
+    },
+
+    updateGroup(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'groups', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์แก้ไขกลุ่ม' };
+        }
+
+        const group = this.findGroup(data.groupId);
+        if (!group) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const { groupId, timestamp, ...updates } = data;
+        Object.assign(group, updates);
+        return { success: true, group: group, message: 'อัปเดตกลุ่มสำเร็จ' };
+    },
+
+    deleteGroup(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('delete', 'groups', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ลบกลุ่ม' };
+        }
+
+        const index = this.state.groups.findIndex(g => g.groupId === data.groupId);
+        if (index < 0) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        this.state.groups.splice(index, 1);
+        this.state.farmers = this.state.farmers.filter(f => f.groupId !== data.groupId);
+        this.state.users = this.state.users.filter(u => u.groupId !== data.groupId);
+        return { success: true, message: 'ลบกลุ่มสำเร็จ' };
+    },
+
+    getSystemStats() {
+        return {
+            success: true,
+            statistics: {
+                totalGroups: this.state.groups.length,
+                activeGroups: this.state.groups.filter(g => g.status === 'active').length,
+                totalFarmers: this.state.farmers.length,
+                activeFarmers: this.state.farmers.filter(f => f.status === 'active').length,
+                totalQRCodes: this.state.farmers.length,
+                totalSearchCodes: this.state.searchCodes.length
+            }
+        };
+    },
+
+    generateSystemReport(data) {
+        return {
+            success: true,
+            report: {
+                reportType: data.reportType,
+                dateFrom: data.dateFrom,
+                dateTo: data.dateTo,
+                generatedAt: new Date().toISOString(),
+                ...this.handlers.getSystemStats.call(this).statistics
+            }
+        };
+    },
+
+    testDriveAccess() {
+        return { success: true, message: 'Mock backend: ไม่ได้เชื่อมต่อ Google Drive จริง' };
+    },
+
+    getUsers(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('view', 'roles', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูรายชื่อผู้ใช้' };
+        }
+
+        const users = this.state.users.map(user => ({
+            ...this.serializeUser(user),
+            groupName: user.groupId ? (this.findGroup(user.groupId) || {}).groupName || '' : ''
+        }));
+
+        return { success: true, data: users };
+    },
+
+    getSystemSettings(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('view', 'settings', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูการตั้งค่าระบบ' };
+        }
+
+        return { success: true, settings: this.state.settings };
+    },
+
+    // Every signed-in user needs the policy to choose a new password
+    getPasswordPolicy() {
+        return { success: true, policy: this.state.settings.passwordPolicy };
+    },
+
+    updateSystemSettings(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'settings', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์แก้ไขการตั้งค่าระบบ' };
+        }
+
+        // Validate every section first so a bad section doesn't leave the others half-saved
+        const { twoFactor, passwordPolicy } = data.settings;
+        const requiredRoles = twoFactor ? twoFactor.requiredRoles || [] : null;
+        if (requiredRoles) {
+            const invalid = requiredRoles.filter(role => !Permissions.can('enroll', 'two_factor', { role: role }));
+            if (invalid.length > 0) {
+                return { success: false, message: `บทบาท ${invalid.map(role => Permissions.getRoleLabel(role)).join(', ')} ไม่รองรับการยืนยันตัวตนสองขั้นตอน` };
+            }
+        }
+        if (passwordPolicy) {
+            const errors = PasswordPolicy.validatePolicy(passwordPolicy);
+            if (errors.length > 0) {
+                return { success: false, message: `นโยบายรหัสผ่านไม่ถูกต้อง: ${errors.join(', ')}` };
+            }
+        }
+
+        if (requiredRoles) {
+            this.state.settings.twoFactor = { requiredRoles: requiredRoles };
+        }
+        if (passwordPolicy) {
+            this.state.settings.passwordPolicy = PasswordPolicy.normalize(passwordPolicy);
+        }
+
+        return { success: true, settings: this.state.settings, message: 'บันทึกการตั้งค่าเรียบร้อยแล้ว' };
+    },
+
+    getLoginLocks(data, session) {
+        const viewer = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('view', 'accounts', viewer)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูบัญชีที่ถูกล็อก' };
+        }
+
+        const now = Date.now();
+        this.pruneLoginCounters(now);
+
+        const accounts = Object.keys(this.state.loginAttempts.users)
+            .map(username => ({ user: this.state.users.find(u => u.username === username), counter: this.state.loginAttempts.users[username] }))
+            .filter(({ user, counter }) => user && counter.failedAttempts > 0)
+            .map(({ user, counter }) => ({
+                username: user.username,
+                role: user.role,
+                groupName: user.groupId ? (this.findGroup(user.groupId) || {}).groupName || '' : '',
+                failedAttempts: counter.failedAttempts,
+                lastFailedAt: new Date(counter.lastFailedAt).toISOString(),
+                lockedUntil: counter.lockedUntil > now ? new Date(counter.lockedUntil).toISOString() : null
+            }));
+
+        return { success: true, data: accounts };
+    },
+
+    unlockAccount(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('unlock', 'accounts', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ปลดล็อกบัญชี' };
+        }
+
+        const { users, clients } = this.state.loginAttempts;
+        const clientIds = Object.keys(clients).filter(clientId => (clients[clientId].usernames || []).includes(data.username));
+        if (!users[data.username] && clientIds.length === 0) {
+            return { success: false, message: 'บัญชีนี้ไม่ได้ถูกล็อก' };
+        }
+
+        // Clear the devices the failures came from too, otherwise their lock keeps the user out
+        delete users[data.username];
+        clientIds.forEach(clientId => delete clients[clientId]);
+        return { success: true, message: `ปลดล็อกบัญชี ${data.username} เรียบร้อยแล้ว` };
+    },
+
+    assignUserRole(data, session) {
+        const admin = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('assign', 'roles', admin)) {
+            return { success: false, message: 'ไม่มีสิทธิ์กำหนดบทบาทผู้ใช้' };
+        }
+
+        const user = this.state.users.find(u => u.username === data.username);
+        if (!user) {
+            return { success: false, message: 'ไม่พบผู้ใช้' };
+        }
+
+        if (user.username === admin.username) {
+            return { success: false, message: 'ไม่สามารถเปลี่ยนบทบาทของตัวเองได้' };
+        }
+
+        if (!Permissions.MATRIX[data.role]) {
+            return { success: false, message: 'บทบาทไม่ถูกต้อง' };
+        }
+
+        // A farmer account is tied to its plot record, so the role can't be moved on or off it
+        if ((data.role === 'farmer') !== !!user.farmerId) {
+            return { success: false, message: 'บทบาทเกษตรกรใช้ได้เฉพาะบัญชีที่ผูกกับแปลงปลูก' };
+        }
+
+        if (Permissions.isGroupRole(data.role)) {
+            if (!this.findGroup(data.groupId)) {
+                return { success: false, message: 'กรุณาเลือกกลุ่มของผู้ใช้' };
+            }
+            user.groupId = data.groupId;
+        } else if (Permissions.ROLE_SCOPES[data.role] === 'all') {
+            delete user.groupId;
+        }
+
+        user.role = data.role;
+        if (user.groupId) {
+            this.logActivity(user.groupId, 'role', `กำหนดบทบาท ${user.username} เป็น${Permissions.getRoleLabel(data.role)}`);
+        }
+
+        return { success: true, user: this.serializeUser(user), message: 'บันทึกบทบาทเรียบร้อย' };
+    },
+
+    // ===== GROUP =====
+
+    getGroupData(data) {
+        const group = this.findGroup(data.groupId);
+        if (!group) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const statistics = this.getGroupStatistics(group.groupId);
+        const documents = this.state.documents.filter(d => d.groupId === group.groupId);
+
+        return {
+            success: true,
+            group: { ...group, totalFarmers: statistics.totalFarmers },
+            statistics: { ...statistics, activeFarmers: statistics.activeFarmersList },
+            // Flat profile view used by group/profile.html and GroupDataManager
+            data: {
+                ...group,
+                createdDate: group.created,
+                totalFarmers: statistics.totalFarmers,
+                activeFarmers: statistics.activeFarmers,
+                totalPlots: statistics.totalFarmers,
+                totalDocuments: documents.length,
+                documents: documents
+            }
+        };
+    },
+
+    updateGroupProfile(data, session) {
+        const group = this.findGroup(data.groupId);
+        if (!group) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'group_profile', user) || !Permissions.inScope(user, group.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์แก้ไขข้อมูลกลุ่ม' };
+        }
+
+        this.applyEditableFields(group, data, MockBackend.EDITABLE_FIELDS.groupProfile);
+        return { success: true, group: group, message: 'บันทึกข้อมูลกลุ่มสำเร็จ' };
+    },
+
+    saveGroupDocument(data, session) {
+        if (!this.findGroup(data.groupId)) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'group_profile', user) || !Permissions.inScope(user, data.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์แก้ไขเอกสารของกลุ่ม' };
+        }
+
+        const document = { ...data, uploadDate: new Date().toISOString() };
+        delete document.timestamp;
+        this.state.documents.push(document);
+        return { success: true, document: document };
+    },
+
+    uploadFile(data) {
+        const file = this.storeFile(data, { folder: data.folder });
+        return { success: true, fileId: file.fileId, fileUrl: file.fileUrl };
+    },
+
+    // Public: only the consumer feedback photo, always into the same folder
+    uploadFeedbackPhoto(data) {
+        const policy = MockBackend.FEEDBACK_PHOTO;
+        if (!policy.mimeTypes.includes(data.mimeType)) {
+            return { success: false, message: 'รองรับเฉพาะรูปภาพ JPEG, PNG หรือ WebP' };
+        }
+
+        const base64 = String(data.fileContent || '');
+        const bytes = Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length);
+        if (bytes === 0 || bytes > policy.maxBytes) {
+            return { success: false, message: `รูปภาพต้องมีขนาดไม่เกิน ${policy.maxBytes / (1024 * 1024)} MB` };
+        }
+
+        const file = this.storeFile(data, { folder: 'consumer-feedback' });
+        return { success: true, fileId: file.fileId, fileUrl: file.fileUrl };
+    },
+
+    uploadFileToFarmerFolder(data) {
+        const file = this.storeFile(data, {
+            farmerId: data.farmerID,
+            fileType: data.fileType,
+            folderName: data.folderName,
+            photoMetadata: data.photoMetadata ? JSON.parse(data.photoMetadata) : null
+        });
+        return { success: true, fileId: file.fileId, fileUrl: file.fileUrl };
+    },
+
+    // Chunked uploads: chunks stay in state.uploads until finish/cancel
+
+    startChunkedUpload(data) {
+        const uploadId = this.nextId('UPL');
+        this.state.uploads[uploadId] = {
+            fileName: data.fileName,
+            mimeType: data.mimeType,
+            fileSize: data.fileSize,
+            totalChunks: data.totalChunks,
+            farmerID: data.farmerID,
+            fileType: data.fileType,
+            folderName: data.folderName,
+            photoMetadata: data.photoMetadata ? JSON.parse(data.photoMetadata) : null,
+            chunks: {}
+        };
+        return { success: true, uploadId: uploadId };
+    },
+
+    uploadChunk(data) {
+        const upload = this.state.uploads[data.uploadId];
+        if (!upload) {
+            return { success: false, message: 'ไม่พบรายการอัปโหลด' };
+        }
+        if (data.chunkIndex < 0 || data.chunkIndex >= upload.totalChunks) {
+            return { success: false, message: 'ลำดับส่วนของไฟล์ไม่ถูกต้อง' };
+        }
+
+        upload.chunks[data.chunkIndex] = data.chunkContent;
+        return { success: true, receivedChunks: Object.keys(upload.chunks).length };
+    },
+
+    getUploadStatus(data) {
+        const upload = this.state.uploads[data.uploadId];
+        if (!upload) {
+            return { success: false, message: 'ไม่พบรายการอัปโหลด' };
+        }
+
+        return {
+            success: true,
+            receivedChunks: Object.keys(upload.chunks).map(Number),
+            totalChunks: upload.totalChunks
+        };
+    },
+
+    finishChunkedUpload(data) {
+        const upload = this.state.uploads[data.uploadId];
+        if (!upload) {
+            return { success: false, message: 'ไม่พบรายการอัปโหลด' };
+        }
+
+        let binary = '';
+        for (let i = 0; i < upload.totalChunks; i++) {
+            if (upload.chunks[i] === undefined) {
+                return { success: false, message: `ไฟล์ยังไม่ครบ (ขาดส่วนที่ ${i + 1})` };
+            }
+            binary += atob(upload.chunks[i]);
+        }
+
+        const file = this.storeFile({
+            fileName: upload.fileName,
+            mimeType: upload.mimeType,
+            fileContent: btoa(binary)
+        }, {
+            farmerId: upload.farmerID,
+            fileType: upload.fileType,
+            folderName: upload.folderName,
+            photoMetadata: upload.photoMetadata
+        });
+
+        delete this.state.uploads[data.uploadId];
+        return { success: true, fileId: file.fileId, fileUrl: file.fileUrl };
+    },
+
+    cancelChunkedUpload(data) {
+        delete this.state.uploads[data.uploadId];
+        return { success: true, message: 'ยกเลิกการอัปโหลดแล้ว' };
+    },
+
+    getGroupFarmers(data, session) {
+        // Group staff see their own group; admin reports list the farmers of any group
+        const user = this.state.users.find(u => u.username === session.sub);
+        const canView = Permissions.can('view', 'farmers', user) || Permissions.can('view', 'groups', user);
+        if (!canView || !Permissions.inScope(user, data.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูรายชื่อสมาชิกของกลุ่มนี้' };
+        }
+
+        return {
+            success: true,
+            data: this.getGroupFarmersList(data.groupId).map(f => this.serializeFarmer(f))
+        };
+    },
+
+    addFarmer(data, session) {
+        const group = this.findGroup(data.groupId);
+        if (!group) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('create', 'farmers', user) || !Permissions.inScope(user, group.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์เพิ่มสมาชิก' };
+        }
+
+        const farmerId = this.nextId('F');
+        const plotSeq = String(this.state.farmers.length + 1).padStart(5, '0');
+        const farmer = {
+            id: farmerId,
+            farmerId: farmerId,
+            groupId: data.groupId,
+            username: farmerId.toLowerCase(),
+            fullName: data.fullName,
+            phone: data.phone,
+            idCard: data.idCard,
+            address: data.address,
+            plotCode: 'P' + plotSeq.slice(-3),
+            plotNumber: '41000000' + plotSeq,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            lastActive: null,
+            sections: {}
+        };
+        const password = Math.random().toString(36).substr(2, 8);
+
+        this.state.farmers.push(farmer);
+        this.state.users.push({
+            username: farmer.username,
+            password: password,
+            role: 'farmer',
+            groupId: farmer.groupId,
+            farmerId: farmerId,
+            fullName: farmer.fullName,
+            plotCode: farmer.plotCode,
+            mustChangePassword: true
+        });
+        this.logActivity(group.groupId, 'farmer_added', `เพิ่มสมาชิก ${farmer.fullName}`);
+
+        return {
+            success: true,
+            farmer: this.serializeFarmer(farmer),
+            username: farmer.username,
+            password: password,
+            message: 'เพิ่มสมาชิกสำเร็จ'
+        };
+    },
+
+    updateFarmer(data, session) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'farmers', user) || !Permissions.inScope(user, farmer.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์แก้ไขข้อมูลสมาชิก' };
+        }
+
+        if (data.status !== undefined && !MockBackend.FARMER_STATUSES.includes(data.status)) {
+            return { success: false, message: 'สถานะไม่ถูกต้อง' };
+        }
+
+        this.applyEditableFields(farmer, data, MockBackend.EDITABLE_FIELDS.farmer);
+        return { success: true, farmer: this.serializeFarmer(farmer), message: 'อัปเดตข้อมูลสำเร็จ' };
+    },
+
+    deleteFarmer(data, session) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('delete', 'farmers', user) || !Permissions.inScope(user, farmer.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ลบสมาชิก' };
+        }
+
+        this.state.farmers = this.state.farmers.filter(f => f.farmerId !== data.farmerId);
+        this.state.users = this.state.users.filter(u => u.farmerId !== data.farmerId);
+        this.logActivity(farmer.groupId, 'farmer_deleted', `ลบสมาชิก ${farmer.fullName}`);
+        return { success: true, message: 'ลบสมาชิกสำเร็จ' };
+    },
+
+    getGroupStats(data) {
+        if (!this.findGroup(data.groupId)) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+        return { success: true, statistics: this.getGroupStatistics(data.groupId) };
+    },
+
+    getPasswordResetRequests(data, session) {
+        const manager = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('reset_password', 'farmers', manager) || !Permissions.inScope(manager, data.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูคำขอรีเซ็ตรหัสผ่าน' };
+        }
+
+        this.expirePasswordResets();
+        const requests = this.state.passwordResets
+            .filter(r => r.groupId === data.groupId)
+            .map(r => this.serializePasswordReset(r));
+
+        return { success: true, data: requests };
+    },
+
+    /**
+     * Approve after checking who is asking (e.g. calling the farmer back on the phone number on file)
+     * The code is returned only here, for the manager to pass on; the backend keeps just its hash
+     */
+    async approvePasswordReset(data, session) {
+        const manager = this.state.users.find(u => u.username === session.sub);
+        const request = this.state.passwordResets.find(r => r.requestId === data.requestId);
+        if (!request) {
+            return { success: false, message: 'ไม่พบคำขอ' };
+        }
+        if (!Permissions.can('reset_password', 'farmers', manager) || !Permissions.inScope(manager, request.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์อนุมัติคำขอนี้' };
+        }
+        if (request.status !== 'pending') {
+            return { success: false, message: 'คำขอนี้ดำเนินการไปแล้ว' };
+        }
+
+        // Only the newest approved code for an account works
+        this.state.passwordResets
+            .filter(r => r.username === request.username && r.status === 'approved')
+            .forEach(r => {
+                r.status = 'expired';
+                delete r.codeHash;
+            });
+
+        const code = this.generateOneTimeCode();
+        const expiresAt = new Date(Date.now() + MockBackend.PASSWORD_RESET.codeHours * 3600 * 1000).toISOString();
+        Object.assign(request, {
+            status: 'approved',
+            codeHash: await this.hashOneTimeCode(code),
+            codeExpiresAt: expiresAt,
+            decidedBy: manager.username,
+            decidedAt: new Date().toISOString()
+        });
+        this.logActivity(request.groupId, 'password_reset_approved', `อนุมัติรีเซ็ตรหัสผ่านของ ${request.fullName}`);
+
+        return { success: true, code: code, expiresAt: expiresAt, message: 'อนุมัติคำขอแล้ว' };
+    },
+
+    rejectPasswordReset(data, session) {
+        const manager = this.state.users.find(u => u.username === session.sub);
+        const request = this.state.passwordResets.find(r => r.requestId === data.requestId);
+        if (!request) {
+            return { success: false, message: 'ไม่พบคำขอ' };
+        }
+        if (!Permissions.can('reset_password', 'farmers', manager) || !Permissions.inScope(manager, request.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ปฏิเสธคำขอนี้' };
+        }
+        if (request.status !== 'pending') {
+            return { success: false, message: 'คำขอนี้ดำเนินการไปแล้ว' };
+        }
+
+        Object.assign(request, {
+            status: 'rejected',
+            decidedBy: manager.username,
+            decidedAt: new Date().toISOString()
+        });
+
+        return { success: true, message: 'ปฏิเสธคำขอแล้ว' };
+    },
+
+    // ===== CONSUMER FEEDBACK =====
+
+    submitFeedback(data) {
+        const match = CONFIG.QR_CODE_PATTERN.exec(data.qrCode || '');
+        const group = match && this.state.groups.find(g => g.groupCode === match[1]);
+        const farmer = group && this.state.farmers.find(f =>
+            f.groupId === group.groupId && f.plotNumber === match[2]
+        );
+
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบผลิตภัณฑ์สำหรับ QR Code นี้' };
+        }
+
+        const rating = parseInt(data.rating, 10);
+        if (!(rating >= 1 && rating <= 5)) {
+            return { success: false, message: 'กรุณาให้คะแนน 1-5 ดาว' };
+        }
+
+        if (!CONFIG.FEEDBACK_CATEGORIES[data.category]) {
+            return { success: false, message: 'ประเภทความคิดเห็นไม่ถูกต้อง' };
+        }
+
+        const now = new Date().toISOString();
+        const feedback = {
+            feedbackId: this.nextId('FB'),
+            qrCode: data.qrCode,
+            groupId: group.groupId,
+            farmerId: farmer.farmerId,
+            rating: rating,
+            category: data.category,
+            message: data.message || '',
+            contact: data.contact || '',
+            photoUrl: data.photoUrl || '',
+            photoId: data.photoId || '',
+            status: 'new',
+            resolutionNote: '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.state.feedback.unshift(feedback);
+        this.logActivity(group.groupId, 'consumer_feedback',
+            `ความคิดเห็นจากผู้บริโภค (${rating} ดาว): ${CONFIG.FEEDBACK_CATEGORIES[data.category]}`);
+
+        return { success: true, feedbackId: feedback.feedbackId, message: 'ส่งความคิดเห็นเรียบร้อย ขอบคุณครับ' };
+    },
+
+    getGroupFeedback(data, session) {
+        if (!this.findGroup(data.groupId)) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('view', 'feedback', user) || !Permissions.inScope(user, data.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูความคิดเห็นของกลุ่มนี้' };
+        }
+
+        const all = this.state.feedback.filter(f => f.groupId === data.groupId);
+        const summary = { new: 0, in_progress: 0, resolved: 0, averageRating: 0 };
+        all.forEach(f => summary[f.status]++);
+        if (all.length > 0) {
+            summary.averageRating = Math.round(all.reduce((sum, f) => sum + f.rating, 0) / all.length * 10) / 10;
+        }
+
+        const items = all
+            .filter(f => !data.status || f.status === data.status)
+            .map(f => {
+                const farmer = this.findFarmer(f.farmerId);
+                return { ...f, farmerName: farmer ? farmer.fullName : '-' };
+            });
+
+        return { success: true, data: items, summary: summary };
+    },
+
+    updateFeedbackStatus(data, session) {
+        const feedback = this.state.feedback.find(f => f.feedbackId === data.feedbackId);
+        if (!feedback) {
+            return { success: false, message: 'ไม่พบความคิดเห็นนี้' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('update', 'feedback', user) || !Permissions.inScope(user, feedback.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์อัปเดตความคิดเห็นนี้' };
+        }
+
+        if (!CONFIG.FEEDBACK_STATUSES[data.status]) {
+            return { success: false, message: 'สถานะไม่ถูกต้อง' };
+        }
+
+        feedback.status = data.status;
+        if (data.resolutionNote !== undefined) {
+            feedback.resolutionNote = data.resolutionNote;
+        }
+        feedback.updatedAt = new Date().toISOString();
+
+        return { success: true, feedback: feedback, message: 'อัปเดตสถานะเรียบร้อย' };
+    },
+
+    // ===== RECALLS =====
+
+    createRecall(data, session) {
+        const group = this.findGroup(data.groupId);
+        if (!group) {
+            return { success: false, message: 'ไม่พบกลุ่ม' };
+        }
+
+        // Admins declare for any group, group managers for their own
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('create', 'recalls', user) || !Permissions.inScope(user, group.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ประกาศเรียกคืนสินค้าของกลุ่มนี้' };
+        }
+
+        if (!['group', 'plot', 'lot'].includes(data.scope)) {
+            return { success: false, message: 'ขอบเขตการเรียกคืนไม่ถูกต้อง' };
+        }
+
+        if (!data.reason || !data.instructions) {
+            return { success: false, message: 'กรุณาระบุเหตุผลและคำแนะนำ' };
+        }
+
+        const farmer = data.scope === 'plot' ? this.findFarmer(data.farmerId) : null;
+        if (data.scope === 'plot' && (!farmer || farmer.groupId !== group.groupId)) {
+            return { success: false, message: 'ไม่พบแปลงปลูกในกลุ่มนี้' };
+        }
+
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        if (data.scope === 'lot' && !(isDate(data.dateFrom) && isDate(data.dateTo) && data.dateFrom <= data.dateTo)) {
+            return { success: false, message: 'ช่วงวันที่จัดส่งไม่ถูกต้อง' };
+        }
+
+        const recall = {
+            recallId: this.nextId('RC'),
+            scope: data.scope,
+            groupId: group.groupId,
+            groupCode: group.groupCode,
+            groupName: group.groupName,
+            farmerId: farmer ? farmer.farmerId : null,
+            farmerName: farmer ? farmer.fullName : null,
+            plotNumber: farmer ? farmer.plotNumber : null,
+            dateFrom: data.scope === 'lot' ? data.dateFrom : null,
+            dateTo: data.scope === 'lot' ? data.dateTo : null,
+            reason: data.reason,
+            instructions: data.instructions,
+            status: 'active',
+            declaredBy: user.username,
+            createdAt: new Date().toISOString(),
+            closedBy: null,
+            closedAt: null,
+            closeNote: ''
+        };
+
+        this.state.recalls.unshift(recall);
+        this.logActivity(group.groupId, 'recall', `ประกาศเรียกคืนสินค้า: ${recall.reason}`);
+
+        return { success: true, recall: recall, message: 'ประกาศเรียกคืนสินค้าเรียบร้อย' };
+    },
+
+    getRecalls(data) {
+        const recalls = this.state.recalls.filter(r =>
+            (!data.status || r.status === data.status) &&
+            (!data.groupId || r.groupId === data.groupId)
+        );
+
+        return { success: true, data: recalls };
+    },
+
+    closeRecall(data, session) {
+        const recall = this.state.recalls.find(r => r.recallId === data.recallId);
+        if (!recall) {
+            return { success: false, message: 'ไม่พบประกาศเรียกคืนนี้' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        if (!Permissions.can('close', 'recalls', user) || !Permissions.inScope(user, recall.groupId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ปิดประกาศเรียกคืนนี้' };
+        }
+
+        recall.status = 'closed';
+        recall.closedBy = user.username;
+        recall.closedAt = new Date().toISOString();
+        recall.closeNote = data.note || '';
+        this.logActivity(recall.groupId, 'recall', `ปิดประกาศเรียกคืน ${recall.recallId}`);
+
+        return { success: true, recall: recall, message: 'ปิดประกาศเรียกคืนเรียบร้อย' };
+    },
+
+    checkRecall(data) {
+        let farmer = null;
+        let shipDate = null;
+
+        if (data.searchCode) {
+            const entry = this.state.searchCodes.find(s => s.searchCode === data.searchCode);
+            farmer = entry && this.findFarmer(entry.farmerId);
+            shipDate = entry ? entry.shipDate : null;
+        } else {
+            const match = CONFIG.QR_CODE_PATTERN.exec(data.qrCode || '');
+            const group = match && this.state.groups.find(g => g.groupCode === match[1]);
+            farmer = group && this.state.farmers.find(f =>
+                f.groupId === group.groupId && f.plotNumber === match[2]
+            );
+            shipDate = data.shipDate || null;
+        }
+
+        return { success: true, recalls: farmer ? this.findActiveRecalls(farmer, shipDate) : [] };
+    },
+
+    // ===== SHIPMENT EVENTS =====
+
+    addShipmentEvent(data, session) {
+        const entry = this.state.searchCodes.find(s => s.searchCode === data.searchCode);
+        const farmer = entry && this.findFarmer(entry.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบรหัสจัดส่งนี้' };
+        }
+
+        // Admins record any shipment, group staff their members', farmers their own
+        const user = this.state.users.find(u => u.username === session.sub);
+        const allowed = Permissions.can('create', 'shipment_events', user) &&
+            Permissions.inScope(user, farmer.groupId, farmer.farmerId);
+        if (!allowed) {
+            return { success: false, message: 'ไม่มีสิทธิ์บันทึกเหตุการณ์ของรหัสจัดส่งนี้' };
+        }
+
+        if (!CONFIG.SHIPMENT_EVENT_TYPES[data.type]) {
+            return { success: false, message: 'ประเภทเหตุการณ์ไม่ถูกต้อง' };
+        }
+
+        if (!data.location) {
+            return { success: false, message: 'กรุณาระบุสถานที่' };
+        }
+
+        const temperature = data.temperature === undefined || data.temperature === '' ? null : Number(data.temperature);
+        if (temperature !== null && !Number.isFinite(temperature)) {
+            return { success: false, message: 'อุณหภูมิไม่ถูกต้อง' };
+        }
+
+        const event = {
+            eventId: this.nextId('SE'),
+            searchCode: entry.searchCode,
+            type: data.type,
+            location: data.location,
+            temperature: temperature,
+            note: data.note || '',
+            recordedBy: user.username,
+            role: user.role,
+            timestamp: data.occurredAt || new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        };
+
+        this.state.shipmentEvents.push(event);
+        this.logActivity(farmer.groupId, 'shipment_event',
+            `${entry.searchCode}: ${CONFIG.SHIPMENT_EVENT_TYPES[data.type]} (${data.location})`);
+
+        return { success: true, event: event, message: 'บันทึกเหตุการณ์เรียบร้อย' };
+    },
+
+    getShipmentEvents(data) {
+        let searchCodes = [];
+
+        if (data.searchCode) {
+            searchCodes = [data.searchCode];
+        } else {
+            // A product QR only identifies the shipment when it carries a ship date (signed QR)
+            const match = CONFIG.QR_CODE_PATTERN.exec(data.qrCode || '');
+            const group = match && this.state.groups.find(g => g.groupCode === match[1]);
+            const farmer = group && this.state.farmers.find(f =>
+                f.groupId === group.groupId && f.plotNumber === match[2]
+            );
+            searchCodes = this.state.searchCodes
+                .filter(s => farmer && data.shipDate && s.farmerId === farmer.farmerId && s.shipDate === data.shipDate)
+                .map(s => s.searchCode);
+        }
+
+        const events = this.state.shipmentEvents
+            .filter(e => searchCodes.includes(e.searchCode))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        return { success: true, data: events };
+    },
+
+    // ===== FARMER =====
+
+    getFarmerData(data, session) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const user = this.state.users.find(u => u.username === session.sub);
+        const canView = Permissions.can('view', 'farm_data', user) || Permissions.can('view', 'farmers', user);
+        if (!canView || !Permissions.inScope(user, farmer.groupId, farmer.farmerId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์ดูข้อมูลของเกษตรกรรายนี้' };
+        }
+
+        const updates = Object.values(farmer.sections || {})
+            .map(s => s.lastUpdate)
+            .filter(Boolean)
+            .sort();
+
+        return {
+            success: true,
+            data: {
+                ...this.serializeFarmer(farmer),
+                lastUpdate: updates[updates.length - 1] || null,
+                documents: this.state.documents.filter(d => d.farmerId === farmer.farmerId)
+            }
+        };
+    },
+
+    saveFarmerSection(data, session) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        // The farmer for their own plot, group staff for farmers of their group
+        const user = this.state.users.find(u => u.username === session.sub);
+        const canUpdate = Permissions.can('update', 'farm_data', user) || Permissions.can('update', 'farmers', user);
+        if (!canUpdate || !Permissions.inScope(user, farmer.groupId, farmer.farmerId)) {
+            return { success: false, message: 'ไม่มีสิทธิ์บันทึกข้อมูลของเกษตรกรรายนี้' };
+        }
+
+        let sectionData;
+        try {
+            sectionData = typeof data.sectionData === 'string' ? JSON.parse(data.sectionData) : data.sectionData;
+        } catch (error) {
+            return { success: false, message: 'ข้อมูลส่วนไม่ถูกต้อง' };
+        }
+
+        farmer.sections = farmer.sections || {};
+        farmer.sections[`section${data.sectionNumber}`] = {
+            progress: 100,
+            completed: true,
+            ...sectionData,
+            lastUpdate: new Date().toISOString()
+        };
+        farmer.lastActive = new Date().toISOString();
+        this.logActivity(farmer.groupId, 'data_update', `${farmer.fullName} บันทึกข้อมูลส่วนที่ ${data.sectionNumber}`);
+
+        return { success: true, message: 'บันทึกข้อมูลสำเร็จ' };
+    },
+
+    saveFarmerDocument(data) {
+        const document = { ...data, uploadDate: new Date().toISOString() };
+        delete document.timestamp;
+        this.state.documents.push(document);
+        return { success: true, document: document };
+    },
+
+    getFarmerQRCode(data) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const qrCode = this.getQRCode(farmer);
+        let qrCodeUrl = null;
+        if (typeof QRious !== 'undefined') {
+            qrCodeUrl = new QRious({ value: qrCode, size: 300 }).toDataURL();
+        }
+
+        return { success: true, qrCode: qrCode, qrCodeUrl: qrCodeUrl };
+    },
+
+    async generateSearchCode(data) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const dateCode = String(data.shipDate || new Date().toISOString().slice(0, 10)).replace(/-/g, '').slice(0, 8);
+        const sameDay = this.state.searchCodes.filter(s => s.searchCode.startsWith(dateCode));
+        const searchCode = `${dateCode}-${String(sameDay.length + 1).padStart(3, '0')}`;
+
+        // Reserve the number before awaiting so parallel calls don't collide
+        this.state.searchCodes.push({
+            searchCode: searchCode,
+            farmerId: farmer.farmerId,
+            shipDate: data.shipDate,
+            createdAt: new Date().toISOString()
+        });
+
+        const signedQRCode = await this.signQRCode(this.getQRCode(farmer), dateCode);
+
+        const result = { success: true, searchCode: searchCode };
+        if (signedQRCode) {
+            result.signedQRCode = signedQRCode;
+        }
+        return result;
+    },
+
+    // ===== REPORTS =====
+
+    generateFarmerReport(data) {
+        const farmer = this.findFarmer(data.farmerId);
+        if (!farmer) {
+            return { success: false, message: 'ไม่พบข้อมูลเกษตรกร' };
+        }
+
+        const report = JSON.stringify(this.serializeFarmer(farmer), null, 2);
+        return {
+            success: true,
+            reportUrl: 'data:application/json;charset=utf-8,' + encodeURIComponent(report)
+        };
+    },
+
+    generateGroupReport(data) {
+        return {
+            success: true,
+            report: {
+                groupId: data.groupId,
+                dateFrom: data.dateFrom,
+                dateTo: data.dateTo,
+                statistics: this.getGroupStatistics(data.groupId)
+            }
+        };
+    },
+
+    logScan(data) {
+        let events;
+        try {
+            events = JSON.parse(data.events);
+        } catch (error) {
+            return { success: false, message: 'รูปแบบข้อมูลการสแกนไม่ถูกต้อง' };
+        }
+
+        if (!Array.isArray(events)) {
+            return { success: false, message: 'รูปแบบข้อมูลการสแกนไม่ถูกต้อง' };
+        }
+
+        const known = new Set(this.state.scanEvents.map(e => e.eventId));
+        const receivedAt = new Date().toISOString();
+        let accepted = 0;
+
+        events.forEach(event => {
+            if (!event || !event.eventId || known.has(event.eventId)) return;
+
+            const match = CONFIG.QR_CODE_PATTERN.exec(event.code || '');
+            this.state.scanEvents.push({
+                eventId: event.eventId,
+                timestamp: event.timestamp || receivedAt,
+                code: event.code || '',
+                groupCode: match ? match[1] : null,
+                source: event.source || 'unknown',
+                status: event.status || 'unknown',
+                format: event.format || 'qr_code',
+                device: event.device || null,
+                location: event.location || null,
+                receivedAt: receivedAt
+            });
+            known.add(event.eventId);
+            accepted++;
+        });
+
+        // Keep the mock database small
+        if (this.state.scanEvents.length > 5000) {
+            this.state.scanEvents.splice(0, this.state.scanEvents.length - 5000);
+        }
+
+        return { success: true, accepted: accepted };
+    },
+
+    getScanAnalytics(data) {
+        // Buckets follow Thai local time
+        const local = (iso) => new Date(new Date(iso).getTime() + 7 * 3600000);
+        const day = (iso) => local(iso).toISOString().slice(0, 10);
+
+        const events = this.state.scanEvents.filter(e =>
+            (!data.dateFrom || day(e.timestamp) >= data.dateFrom) &&
+            (!data.dateTo || day(e.timestamp) <= data.dateTo) &&
+            (!data.groupCode || e.groupCode === data.groupCode)
+        );
+
+        const countBy = (key) => events.reduce((counts, e) => {
+            counts[e[key]] = (counts[e[key]] || 0) + 1;
+            return counts;
+        }, {});
+
+        // Last 6 months up to dateTo (or now)
+        const end = data.dateTo ? new Date(data.dateTo + 'T00:00:00Z') : local(new Date().toISOString());
+        const byMonth = [];
+        for (let i = 5; i >= 0; i--) {
+            const month = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - i, 1)).toISOString().slice(0, 7);
+            byMonth.push({ month: month, count: events.filter(e => day(e.timestamp).startsWith(month)).length });
+        }
+
+        const byHour = new Array(24).fill(0);
+        events.forEach(e => byHour[local(e.timestamp).getUTCHours()]++);
+
+        const byGroup = Object.entries(countBy('groupCode'))
+            .filter(([groupCode]) => groupCode !== 'null')
+            .map(([groupCode, count]) => {
+                const group = this.state.groups.find(g => g.groupCode === groupCode);
+                return { groupCode: groupCode, groupName: group ? group.groupName : '-', count: count };
+            })
+            .sort((a, b) => b.count - a.count);
+
+        const locations = {};
+        events.filter(e => e.location).forEach(e => {
+            const key = `${e.location.latitude},${e.location.longitude}`;
+            locations[key] = locations[key] || { ...e.location, count: 0 };
+            locations[key].count++;
+        });
+
+        return {
+            success: true,
+            analytics: {
+                total: events.length,
+                byStatus: countBy('status'),
+                bySource: countBy('source'),
+                byMonth: byMonth,
+                byHour: byHour,
+                byGroup: byGroup,
+                locations: Object.values(locations)
+            }
+        };
+    },
+
+    exportToExcel(data) {
+        const rows = this.state.farmers.map(f => [f.farmerId, f.fullName, f.phone, f.plotCode, f.status].join(','));
+        const csv = ['farmerId,fullName,phone,plotCode,status', ...rows].join('\n');
+        return {
+            success: true,
+            fileUrl: 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv)
+        };
+    }
+};
+
+/**
+ * Mock Transport
+ * ต่อ APIHandler เข้ากับ MockBackend พร้อมหน่วงเวลาเหมือนเครือข่ายจริง
+ */
+class MockTransport {
+    constructor(backend = MockTransport.sharedBackend()) {
+        this.name = 'mock';
+        this.backend = backend;
+        this.latency = CONFIG.MOCK_LATENCY || 0;
+    }
+
+    /**
+     * Shared backend instance (one per page)
+     * @return {MockBackend}
+     */
+    static sharedBackend() {
+        if (!MockTransport.backend) {
+            MockTransport.backend = new MockBackend();
+        }
+        return MockTransport.backend;
+    }
+
+    /**
+     * Send request data to the mock backend
+     * @param {Object} requestData - ข้อมูลที่มี action อยู่แล้ว
+     * @param {Object} options - { method, signal }
+     * @return {Promise<Object>} ผลลัพธ์
+     */
+    async send(requestData, options = {}) {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, this.latency);
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    const error = new Error('Aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                });
+            }
+        });
+
+        return await this.backend.handle(requestData);
+    }
+}
+
+// Register with APIHandler
+APIHandler.registerTransport('mock', MockTransport);
+
+// Export for global use
+window.MockDatabase = MockDatabase;
+window.MockBackend = MockBackend;
+window.MockTransport = MockTransport;
@@ -0,0 +1,361 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Offline Outbox
+ * =====================================
+ * คิวงานเขียนข้อมูลของเกษตรกรที่เก็บใน IndexedDB
+ * ใช้เมื่อไม่มีสัญญาณ แล้วส่งตามลำดับเมื่อกลับมาออนไลน์
+ * แต่ละรายการผูกกับผู้ใช้ที่บันทึก ส่งซ้ำเฉพาะของผู้ที่เข้าสู่ระบบอยู่ (เครื่องเดียวใช้หลายคนได้)
+ */
+
+const OfflineOutbox = {
+    DB_NAME: 'udon_veg_outbox',
+    STORE_NAME: 'items',
+
+    STATUS: {
+        PENDING: 'pending',
+        SYNCING: 'syncing',
+        DONE: 'done',
+        FAILED: 'failed'
+    },
+
+    db: null,
+    replaying: false,
+
+    /**
+     * วิธีส่งงานแต่ละประเภท (เรียก API ตรง ไม่ผ่าน outbox ซ้ำ)
+     */
+    executors: {
+        saveFarmerSection(payload, idempotencyKey) {
+            return API.makeRequest('saveFarmerSection', payload, 'POST', { idempotencyKey: idempotencyKey });
+        },
+
+        uploadFarmerFile(payload, idempotencyKey, options = {}) {
+            return API.uploadFileToSpecificFolder(payload.file, payload.farmerId, payload.fileType, options.onProgress, options);
+        },
+
+        async uploadFarmerDocument(payload) {
+            const uploadResult = await API.uploadFile(payload.file, 'farmer-documents');
+
+            return await API.makeRequest('saveFarmerDocument', {
+                farmerId: payload.farmerId,
+                documentType: payload.documentType,
+                fileName: payload.file.name,
+                fileUrl: uploadResult.fileUrl,
+                fileId: uploadResult.fileId
+            });
+        }
+    },
+
+    /**
+     * Open IndexedDB
+     * @return {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                // autoIncrement id = ลำดับการบันทึก ใช้เรียงตอนส่งซ้ำ
+                request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - 'readonly' หรือ 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, mode);
+            const request = operation(tx.objectStore(this.STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Get all items ordered by id
+     * @return {Promise<Array>}
+     */
+    async getAll() {
+        return await this.withStore('readonly', store => store.getAll());
+    },
+
+    /**
+     * Username of the signed-in user (owner of newly queued items)
+     * @return {string|null}
+     */
+    getUsername() {
+        const user = Storage.get(CONFIG.STORAGE_KEYS.USER_DATA);
+        return user ? user.username : null;
+    },
+
+    /**
+     * Items queued by the signed-in user; other users' work on this device is left alone
+     * @return {Promise<Array>}
+     */
+    async getOwnItems() {
+        const username = this.getUsername();
+        if (!username) return [];
+
+        return (await this.getAll()).filter(item => item.username === username);
+    },
+
+    /**
+     * Check whether the signed-in user has unsent work
+     * @return {Promise<boolean>}
+     */
+    async hasPending() {
+        const items = await this.getOwnItems();
+        return items.some(item => item.status === this.STATUS.PENDING || item.status === this.STATUS.SYNCING);
+    },
+
+    /**
+     * Add item to the outbox
+     * @param {string} type - ชื่อ executor
+     * @param {Object} payload - ข้อมูลที่จะส่ง (เก็บ File/Blob ได้)
+     * @param {string} label - ข้อความที่แสดงให้เกษตรกรเห็น
+     * @param {string} idempotencyKey - key เดิมจากการส่งครั้งแรก
+     * @return {Promise<number>} id ของรายการ
+     */
+    async enqueue(type, payload, label, idempotencyKey = null) {
+        const now = new Date().toISOString();
+        const id = await this.withStore('readwrite', store => store.add({
+            username: this.getUsername(),
+            type: type,
+            payload: payload,
+            label: label,
+            idempotencyKey: idempotencyKey,
+            status: this.STATUS.PENDING,
+            attempts: 0,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        }));
+
+        await this.notifyChange();
+        return id;
+    },
+
+    /**
+     * Update item fields
+     */
+    async update(item, changes) {
+        Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+        await this.withStore('readwrite', store => store.put(item));
+        await this.notifyChange();
+    },
+
+    /**
+     * Send now, or queue when offline / the network fails
+     * @param {string} type - ชื่อ executor
+     * @param {Object} payload - ข้อมูลที่จะส่ง
+     * @param {string} label - ข้อความที่แสดงในรายการรอส่ง
+     * @param {Object} options - ตัวเลือกของการส่งครั้งนี้ เช่น { onProgress, signal } (ไม่เก็บลงคิว)
+     * @return {Promise<Object>} ผลลัพธ์จาก API หรือ { success, queued, message }
+     */
+    async send(type, payload, label, options = {}) {
+        const idempotencyKey = API.generateIdempotencyKey(type);
+
+        // Queue behind earlier unsent work so newer data is never overwritten by older
+        if (!navigator.onLine || await this.hasPending()) {
+            return await this.queueResult(type, payload, label, idempotencyKey);
+        }
+
+        try {
+            return await this.executors[type](payload, idempotencyKey, options);
+        } catch (error) {
+            if (error.transient) {
+                return await this.queueResult(type, payload, label, idempotencyKey);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Queue and build the result returned to the caller
+     */
+    async queueResult(type, payload, label, idempotencyKey) {
+        const id = await this.enqueue(type, payload, label, idempotencyKey);
+
+        if (navigator.onLine) {
+            this.replay();
+        }
+
+        return {
+            success: true,
+            queued: true,
+            outboxId: id,
+            message: I18n.t('outbox.queued')
+        };
+    },
+
+    /**
+     * Replay the signed-in user's pending items in order
+     * Stops at the first network failure so later items stay behind it
+     * @return {Promise<Object>} { sent, failed, remaining }
+     */
+    async replay() {
+        const summary = { sent: 0, failed: 0, remaining: 0 };
+
+        if (this.replaying || !navigator.onLine) {
+            return summary;
+        }
+
+        this.replaying = true;
+
+        try {
+            const items = (await this.getOwnItems()).filter(item =>
+                item.status === this.STATUS.PENDING || item.status === this.STATUS.SYNCING
+            );
+
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                await this.update(item, { status: this.STATUS.SYNCING, attempts: item.attempts + 1 });
+
+                try {
+                    const result = await this.executors[item.type](item.payload, item.idempotencyKey);
+
+                    if (result && result.success === false) {
+                        throw new Error(result.message || I18n.t('outbox.saveFailed'));
+                    }
+
+                    await this.update(item, { status: this.STATUS.DONE, lastError: null });
+                    summary.sent++;
+
+                } catch (error) {
+                    if (error.transient) {
+                        await this.update(item, { status: this.STATUS.PENDING, lastError: error.message });
+                        summary.remaining = items.length - i;
+                        break;
+                    }
+
+                    await this.update(item, { status: this.STATUS.FAILED, lastError: error.message });
+                    summary.failed++;
+                }
+            }
+        } catch (error) {
+            console.error('Outbox replay failed:', error);
+        } finally {
+            this.replaying = false;
+        }
+
+        return summary;
+    },
+
+    /**
+     * Put a failed item back in the queue and replay
+     * @param {number} id - id ของรายการ
+     */
+    async retry(id) {
+        const item = await this.withStore('readonly', store => store.get(id));
+        if (!item || item.username !== this.getUsername()) return;
+
+        await this.update(item, { status: this.STATUS.PENDING, lastError: null });
+        return await this.replay();
+    },
+
+    /**
+     * Remove a single item
+     * @param {number} id - id ของรายการ
+     */
+    async remove(id) {
+        const item = await this.withStore('readonly', store => store.get(id));
+        if (!item || item.username !== this.getUsername()) return;
+
+        await this.withStore('readwrite', store => store.delete(id));
+        await this.notifyChange();
+    },
+
+    /**
+     * Remove items that were sent successfully
+     */
+    async clearCompleted() {
+        const items = await this.getOwnItems();
+        const done = items.filter(item => item.status === this.STATUS.DONE);
+        if (done.length === 0) return;
+
+        await this.withStore('readwrite', store => {
+            done.forEach(item => store.delete(item.id));
+            return store.count();
+        });
+
+        await this.notifyChange();
+    },
+
+    /**
+     * Broadcast the signed-in user's item list ('outboxchange' on window)
+     */
+    async notifyChange() {
+        const items = await this.getOwnItems();
+        window.dispatchEvent(new CustomEvent('outboxchange', { detail: { items: items } }));
+    },
+
+    /**
+     * Render per-item status list
+     * @param {HTMLElement} container - element ที่จะแสดงรายการ
+     * @param {Array} items - รายการใน outbox
+     */
+    renderStatusList(container, items) {
+        if (!container) return;
+
+        if (!items || items.length === 0) {
+            container.innerHTML = `<div class="text-muted small text-center py-2">${I18n.t('outbox.empty')}</div>`;
+            return;
+        }
+
+        const badges = {
+            pending: `<span class="badge bg-warning text-dark">${I18n.t('outbox.pending')}</span>`,
+            syncing: `<span class="badge bg-info">${I18n.t('outbox.syncing')}</span>`,
+            done: `<span class="badge bg-success">${I18n.t('outbox.done')}</span>`,
+            failed: `<span class="badge bg-danger">${I18n.t('outbox.failed')}</span>`
+        };
+
+        container.innerHTML = `
+            <ul class="list-group list-group-flush small">
+                ${items.map(item => `
+                    <li class="list-group-item px-0">
+                        <div class="d-flex justify-content-between align-items-start">
+                            <div class="me-2">
+                                <div class="fw-medium">${Utils.escapeHtml(item.label)}</div>
+                                <div class="text-muted">${Utils.getTimeAgo(item.createdAt)}</div>
+                                ${item.lastError ? `<div class="text-danger">${Utils.escapeHtml(item.lastError)}</div>` : ''}
+                            </div>
+                            <div class="text-end">
+                                ${badges[item.status] || ''}
+                                ${item.status === this.STATUS.FAILED ? `
+                                    <div class="mt-1">
+                                        <button type="button" class="btn btn-link btn-sm p-0" onclick="OfflineOutbox.retry(${item.id})">${I18n.t('outbox.retry')}</button>
+                                        <button type="button" class="btn btn-link btn-sm p-0 text-danger ms-1" onclick="OfflineOutbox.remove(${item.id})">${I18n.t('outbox.remove')}</button>
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+};
+
+// Send anything left over from a previous visit
+document.addEventListener('DOMContentLoaded', function() {
+    if (typeof indexedDB === 'undefined') return;
+
+    OfflineOutbox.notifyChange()
+        .then(() => OfflineOutbox.replay())
+        .catch(error => console.error('Outbox init failed:', error));
+});
+
+// Export for global use
+window.OfflineOutbox = OfflineOutbox;
@@ -0,0 +1,195 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Password Policy
+ * =====================================
+ * นโยบายรหัสผ่านที่ผู้ดูแลระบบตั้งค่าได้ (ความยาว ชนิดตัวอักษร ห้ามใช้ซ้ำ ห้ามใช้รหัสที่คาดเดาง่าย)
+ * ใช้ชุดกฎเดียวกันทั้งมาตรวัดความแข็งแรง FormHandler และ mock backend
+ * การห้ามใช้รหัสผ่านซ้ำตรวจที่ backend เท่านั้น (ฝั่ง client ไม่มีประวัติรหัสผ่าน)
+ */
+
+const PasswordPolicy = {
+    DEFAULTS: {
+        minLength: 8,
+        requireUppercase: false,
+        requireLowercase: true,
+        requireDigit: true,
+        requireSymbol: false,
+        historySize: 3,
+        blockCommon: true
+    },
+
+    // Bounds admins may choose from (system settings)
+    LIMITS: {
+        minLength: { min: 6, max: 64, label: 'ความยาวขั้นต่ำ' },
+        historySize: { min: 0, max: 10, label: 'จำนวนรหัสผ่านเดิมที่ห้ามใช้ซ้ำ' }
+    },
+
+    CHARACTER_CLASSES: {
+        requireUppercase: { pattern: /[A-Z]/, label: 'มีตัวพิมพ์ใหญ่ (A-Z)' },
+        requireLowercase: { pattern: /[a-z]/, label: 'มีตัวพิมพ์เล็ก (a-z)' },
+        requireDigit: { pattern: /[0-9]/, label: 'มีตัวเลข (0-9)' },
+        requireSymbol: { pattern: /[^A-Za-z0-9]/, label: 'มีอักขระพิเศษ (เช่น ! @ # -)' }
+    },
+
+    // Passwords that show up first in guessing attacks, plus this system's own default passwords
+    COMMON_PASSWORDS: [
+        '123456', '1234567', '12345678', '123456789', '1234567890', '0123456789', '987654321', '654321',
+        '111111', '11111111', '000000', '00000000', '121212', '123123', '112233', '666666', '888888', '999999',
+        '123321', '147258', '159753', '789456', '456789', '1q2w3e', '1q2w3e4r', '1qaz2wsx', 'q1w2e3r4',
+        'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'pass1234', 'password1', 'qwerty', 'qwerty123',
+        'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm', 'abc123', 'abcd1234', 'abcdef', 'aa123456',
+        'iloveyou', 'loveyou', 'letmein', 'welcome', 'welcome1', 'admin', 'admin123', 'administrator',
+        'root', 'toor', 'guest', 'user', 'user1234', 'test', 'test1234', 'login', 'secret', 'changeme',
+        'default', 'master', 'monkey', 'dragon', 'sunshine', 'princess', 'football', 'baseball', 'superman',
+        'batman', 'shadow', 'michael', 'charlie', 'freedom', 'whatever', 'trustno1', 'starwars', 'hello',
+        'hello123', 'computer', 'internet', 'samsung', 'google', 'thailand', 'bangkok', 'udonthani', 'udon',
+        'kaset', 'farmer', 'farmer123', 'group', 'group123', 'assist123', 'audit123', 'manager', 'manager123',
+        'vegetable', 'veggie', 'organic'
+    ],
+
+    STRENGTH_LEVELS: [
+        { label: 'อ่อนมาก', color: 'danger' },
+        { label: 'อ่อน', color: 'warning' },
+        { label: 'ปานกลาง', color: 'info' },
+        { label: 'แข็งแรง', color: 'success' },
+        { label: 'แข็งแรงมาก', color: 'success' }
+    ],
+
+    // Policy in effect on this page (DEFAULTS until load() gets the admin's settings)
+    current: null,
+
+    /**
+     * Fetch the policy set by the admin
+     * @return {Promise<Object>} นโยบายที่ใช้ (ถ้าโหลดไม่ได้จะใช้ค่าเริ่มต้น)
+     */
+    async load() {
+        try {
+            const result = await API.makeRequest('getPasswordPolicy');
+            if (result.success) {
+                this.current = this.normalize(result.policy);
+            }
+        } catch (error) {
+            console.warn('Password policy load failed, using defaults:', error.message);
+        }
+        return this.getPolicy();
+    },
+
+    getPolicy() {
+        return this.current || this.DEFAULTS;
+    },
+
+    /**
+     * Fill missing keys from DEFAULTS and coerce types (input from settings forms)
+     */
+    normalize(policy = {}) {
+        const normalized = { ...this.DEFAULTS };
+        Object.keys(this.DEFAULTS).forEach(key => {
+            if (policy[key] === undefined || policy[key] === null) return;
+            normalized[key] = typeof this.DEFAULTS[key] === 'number' ? Number(policy[key]) : !!policy[key];
+        });
+        return normalized;
+    },
+
+    /**
+     * Check a policy an admin wants to save
+     * @return {Array} ข้อความข้อผิดพลาด (ว่าง = ใช้ได้)
+     */
+    validatePolicy(policy) {
+        const errors = [];
+        Object.keys(this.LIMITS).forEach(key => {
+            const { min, max, label } = this.LIMITS[key];
+            const value = Number(policy[key]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                errors.push(`${label}ต้องเป็นจำนวนเต็มระหว่าง ${min}-${max}`);
+            }
+        });
+        return errors;
+    },
+
+    /**
+     * Whether a password is on (or a thin variation of) the common-password list
+     * e.g. "Password2024!" → "password"
+     */
+    isCommon(password) {
+        const lower = String(password).toLowerCase();
+        const stem = lower.replace(/[^a-z]+$/, '');
+        return this.COMMON_PASSWORDS.includes(lower) || (stem.length >= 4 && this.COMMON_PASSWORDS.includes(stem));
+    },
+
+    /**
+     * Rules of a policy as a checklist (for the requirements box on change-password.html)
+     * serverOnly = ตรวจที่ backend ตอนบันทึก
+     */
+    describe(policy = this.getPolicy()) {
+        const rules = [{ key: 'minLength', label: `มีอย่างน้อย ${policy.minLength} ตัวอักษร` }];
+
+        Object.keys(this.CHARACTER_CLASSES).forEach(key => {
+            if (policy[key]) {
+                rules.push({ key: key, label: this.CHARACTER_CLASSES[key].label });
+            }
+        });
+        if (policy.blockCommon) {
+            rules.push({ key: 'blockCommon', label: 'ไม่ใช่รหัสผ่านที่คาดเดาง่าย' });
+        }
+        rules.push({ key: 'username', label: 'ไม่มีชื่อผู้ใช้อยู่ในรหัสผ่าน' });
+        if (policy.historySize > 0) {
+            rules.push({ key: 'historySize', label: `ไม่ซ้ำกับรหัสผ่าน ${policy.historySize} ครั้งล่าสุด`, serverOnly: true });
+        }
+
+        return rules;
+    },
+
+    /**
+     * Check a password against the policy
+     * @param {string} password - รหัสผ่านที่จะตรวจ
+     * @param {Object} context - { username } (ไม่ระบุ = ผู้ใช้ที่เข้าสู่ระบบอยู่)
+     * @param {Object} policy - นโยบาย (ไม่ระบุ = นโยบายที่ใช้อยู่)
+     * @return {Object} { valid, errors, rules: [{ key, label, passed, serverOnly? }] }
+     */
+    check(password, context = { username: (Storage.get(CONFIG.STORAGE_KEYS.USER_DATA) || {}).username }, policy = this.getPolicy()) {
+        const value = String(password || '');
+        const username = String(context.username || '').toLowerCase();
+
+        const tests = {
+            minLength: () => value.length >= policy.minLength,
+            blockCommon: () => !this.isCommon(value),
+            username: () => username.length < 3 || !value.toLowerCase().includes(username)
+        };
+        Object.keys(this.CHARACTER_CLASSES).forEach(key => {
+            tests[key] = () => this.CHARACTER_CLASSES[key].pattern.test(value);
+        });
+
+        const rules = this.describe(policy).map(rule => ({
+            ...rule,
+            passed: rule.serverOnly ? null : tests[rule.key]()
+        }));
+        const errors = rules.filter(rule => rule.passed === false).map(rule => `รหัสผ่านต้อง${rule.label}`);
+
+        return { valid: errors.length === 0, errors: errors, rules: rules };
+    },
+
+    /**
+     * Strength for the meter: length and character variety, capped when the policy isn't met
+     * @return {Object} { score (0-4), label, color }
+     */
+    strength(password, context, policy = this.getPolicy()) {
+        const value = String(password || '');
+        const classes = Object.values(this.CHARACTER_CLASSES).filter(({ pattern }) => pattern.test(value)).length;
+
+        let score = 0;
+        if (value.length >= 8) score++;
+        if (value.length >= 12) score++;
+        if (classes >= 2) score++;
+        if (classes >= 3) score++;
+
+        if (this.isCommon(value)) {
+            score = 0;
+        } else if (!this.check(value, context, policy).valid) {
+            score = Math.min(score, 1);
+        }
+
+        return { score: score, ...this.STRENGTH_LEVELS[score] };
+    }
+};
+
+// Export for global use
+window.PasswordPolicy = PasswordPolicy;
@@ -0,0 +1,188 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Permissions
+ * =====================================
+ * ตารางสิทธิ์ (บทบาท → ทรัพยากร → การกระทำ) ใช้ร่วมกันทั้งเมนู ปุ่ม การป้องกันหน้า และ mock backend
+ * ขอบเขตข้อมูล (ทุกกลุ่ม / กลุ่มตัวเอง / ของตัวเอง) แยกจากตารางสิทธิ์ ตรวจด้วย canAccessGroup
+ */
+
+const Permissions = {
+    ROLE_LABELS: {
+        admin: 'ผู้ดูแลระบบ',
+        auditor: 'ผู้ตรวจสอบ',
+        group: 'ผู้จัดการกลุ่ม',
+        group_assistant: 'ผู้ช่วยกลุ่ม',
+        farmer: 'เกษตรกร'
+    },
+
+    // all = ทุกกลุ่ม, group = เฉพาะกลุ่มของตัวเอง, own = เฉพาะข้อมูลของตัวเอง
+    ROLE_SCOPES: {
+        admin: 'all',
+        auditor: 'all',
+        group: 'group',
+        group_assistant: 'group',
+        farmer: 'own'
+    },
+
+    ROLE_HOME: {
+        admin: 'admin/dashboard.html',
+        auditor: 'admin/dashboard.html',
+        group: 'group/dashboard.html',
+        group_assistant: 'group/dashboard.html',
+        farmer: 'farmer/dashboard.html'
+    },
+
+    MATRIX: {
+        admin: {
+            system_dashboard: ['view'],
+            groups: ['view', 'create', 'update', 'delete'],
+            system_reports: ['view', 'export'],
+            qr_codes: ['view', 'create'],
+            recalls: ['view', 'create', 'close'],
+            feedback: ['view', 'update'],
+            shipment_events: ['create'],
+            roles: ['view', 'assign'],
+            accounts: ['view', 'unlock'],
+            settings: ['view', 'update'],
+            two_factor: ['enroll']
+        },
+        auditor: {
+            system_dashboard: ['view'],
+            groups: ['view'],
+            system_reports: ['view', 'export'],
+            qr_codes: ['view'],
+            recalls: ['view'],
+            feedback: ['view'],
+            accounts: ['view'],
+            settings: ['view'],
+            two_factor: ['enroll']
+        },
+        group: {
+            group_workspace: ['view'],
+            group_profile: ['view', 'update'],
+            group_reports: ['view', 'export'],
+            farmers: ['view', 'create', 'update', 'delete', 'reset_password'],
+            qr_codes: ['view', 'create'],
+            recalls: ['view', 'create'],
+            feedback: ['view', 'update'],
+            shipment_events: ['create'],
+            two_factor: ['enroll']
+        },
+        group_assistant: {
+            group_workspace: ['view'],
+            group_profile: ['view'],
+            group_reports: ['view'],
+            farmers: ['view', 'create', 'update'],
+            qr_codes: ['view'],
+            recalls: ['view'],
+            feedback: ['view', 'update'],
+            shipment_events: ['create'],
+            two_factor: ['enroll']
+        },
+        farmer: {
+            farm_data: ['view', 'update'],
+            qr_codes: ['view'],
+            shipment_events: ['create']
+        }
+    },
+
+    // หน้า → [action, resource] ที่ต้องมีเพื่อเปิดหน้า
+    PAGE_RULES: {
+        'admin/dashboard.html': ['view', 'system_dashboard'],
+        'admin/manage-groups.html': ['view', 'groups'],
+        'admin/reports.html': ['view', 'system_reports'],
+        'admin/users.html': ['view', 'roles'],
+        'two-factor.html': ['enroll', 'two_factor'],
+        'group/dashboard.html': ['view', 'group_workspace'],
+        'group/manage-farmers.html': ['view', 'farmers'],
+        'group/profile.html': ['view', 'group_profile'],
+        'group/reports.html': ['view', 'group_reports'],
+        'farmer/dashboard.html': ['view', 'farm_data'],
+        'farmer/data-entry.html': ['update', 'farm_data'],
+        'farmer/view-data.html': ['view', 'farm_data']
+    },
+
+    // เมนูนำทาง (แสดงเฉพาะรายการที่ผู้ใช้มีสิทธิ์เปิดหน้า)
+    MENU: [
+        { url: 'admin/manage-groups.html', text: 'จัดการกลุ่ม', icon: 'fas fa-users-cog' },
+        { url: 'admin/users.html', text: 'สิทธิ์ผู้ใช้', icon: 'fas fa-user-shield' },
+        { url: 'admin/reports.html', text: 'รายงาน', icon: 'fas fa-chart-line' },
+        { url: 'group/manage-farmers.html', text: 'จัดการเกษตรกร', icon: 'fas fa-user-plus' },
+        { url: 'group/reports.html', text: 'รายงานกลุ่ม', icon: 'fas fa-file-alt' },
+        { url: 'farmer/data-entry.html', text: 'บันทึกข้อมูล', icon: 'fas fa-edit' },
+        { url: 'farmer/view-data.html', text: 'ดูข้อมูล', icon: 'fas fa-eye' }
+    ],
+
+    /**
+     * Check whether a user may perform an action on a resource
+     * @param {string} action - เช่น view, create, update, delete
+     * @param {string} resource - ชื่อทรัพยากรใน MATRIX
+     * @param {Object} user - ผู้ใช้ (ไม่ระบุ = ผู้ใช้ที่เข้าสู่ระบบอยู่)
+     * @return {boolean}
+     */
+    can(action, resource, user = Storage.get(CONFIG.STORAGE_KEYS.USER_DATA)) {
+        if (!user || !this.MATRIX[user.role]) return false;
+
+        const actions = this.MATRIX[user.role][resource] || [];
+        return actions.includes(action);
+    },
+
+    /**
+     * Check whether a user's data scope covers a group (and farmer)
+     * @param {Object} user - ผู้ใช้
+     * @param {string} groupId - กลุ่มของข้อมูล
+     * @param {string} farmerId - เกษตรกรเจ้าของข้อมูล (ถ้ามี)
+     */
+    inScope(user, groupId, farmerId = null) {
+        if (!user) return false;
+
+        switch (this.ROLE_SCOPES[user.role]) {
+            case 'all':
+                return true;
+            case 'group':
+                return user.groupId === groupId;
+            case 'own':
+                return user.groupId === groupId && (!farmerId || user.farmerId === farmerId);
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Rule for a page path, e.g. /app/group/reports.html → ['view', 'group_reports']
+     * @return {Array|null} null = หน้านี้ไม่ต้องตรวจสิทธิ์
+     */
+    getPageRule(path) {
+        const page = Object.keys(this.PAGE_RULES).find(key => path.endsWith('/' + key) || path === key);
+        return page ? this.PAGE_RULES[page] : null;
+    },
+
+    canOpenPage(page, user) {
+        const rule = this.PAGE_RULES[page];
+        return !rule || this.can(rule[0], rule[1], user);
+    },
+
+    getRoleLabel(role) {
+        return this.ROLE_LABELS[role] || role;
+    },
+
+    /**
+     * Roles that belong to a group (need groupId when assigned)
+     */
+    isGroupRole(role) {
+        return this.ROLE_SCOPES[role] === 'group';
+    },
+
+    /**
+     * Show or hide elements marked with data-can="action:resource"
+     * @param {HTMLElement|Document} root - ขอบเขตที่จะตรวจ
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-can]').forEach(element => {
+            const [action, resource] = element.dataset.can.split(':');
+            element.style.display = this.can(action, resource) ? '' : 'none';
+        });
+    }
+};
+
+// Export for global use
+window.Permissions = Permissions;
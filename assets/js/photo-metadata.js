@@ -0,0 +1,241 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Photo Metadata
+ * =====================================
+ * อ่านพิกัด GPS และเวลาถ่ายจาก EXIF ของรูป JPEG ก่อนบีบอัด
+ * (การวาดลง canvas ใน APIHandler.compressImage ลบ metadata อื่นทั้งหมด เช่น รุ่นกล้อง, serial, thumbnail)
+ */
+
+const PhotoMetadata = {
+    // EXIF อยู่ใน APP1 ช่วงต้นไฟล์ ไม่ต้องอ่านทั้งไฟล์
+    SCAN_BYTES: 256 * 1024,
+
+    // กล้อง/มือถือบันทึกเวลาท้องถิ่นโดยไม่มี timezone
+    DEFAULT_OFFSET: '+07:00',
+
+    TAGS: {
+        DATE_TIME: 0x0132,
+        EXIF_POINTER: 0x8769,
+        GPS_POINTER: 0x8825,
+        DATE_TIME_ORIGINAL: 0x9003,
+        DATE_TIME_DIGITIZED: 0x9004,
+        OFFSET_TIME_ORIGINAL: 0x9011,
+        GPS_LATITUDE_REF: 0x0001,
+        GPS_LATITUDE: 0x0002,
+        GPS_LONGITUDE_REF: 0x0003,
+        GPS_LONGITUDE: 0x0004,
+        GPS_ALTITUDE_REF: 0x0005,
+        GPS_ALTITUDE: 0x0006
+    },
+
+    /**
+     * Read capture time and GPS from a photo
+     * @param {File|Blob} file - รูปภาพต้นฉบับ (ก่อนบีบอัด)
+     * @return {Promise<Object|null>} { capturedAt, gps: { latitude, longitude, altitude } } หรือ null ถ้าไม่มีข้อมูล
+     */
+    async read(file) {
+        if (!file || file.type !== 'image/jpeg') return null;
+
+        try {
+            const buffer = await file.slice(0, this.SCAN_BYTES).arrayBuffer();
+            const exif = this.parseJPEG(new DataView(buffer));
+            return exif ? this.toMetadata(exif) : null;
+
+        } catch (error) {
+            // A broken EXIF block must never block the upload itself
+            console.warn('EXIF read failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Find the Exif APP1 segment
+     * @param {DataView} view - ข้อมูลต้นไฟล์
+     * @return {Object|null} { ifd0, exif, gps }
+     */
+    parseJPEG(view) {
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+            const size = view.getUint16(offset + 2);
+
+            // "Exif\0\0" followed by the TIFF header
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                return this.parseTIFF(view, offset + 10);
+            }
+
+            offset += 2 + size;
+        }
+
+        return null;
+    },
+
+    /**
+     * Read IFD0 plus the Exif and GPS sub-IFDs
+     * @param {DataView} view - ข้อมูลต้นไฟล์
+     * @param {number} start - ตำแหน่ง TIFF header
+     */
+    parseTIFF(view, start) {
+        const byteOrder = view.getUint16(start);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+
+        const little = byteOrder === 0x4949;
+        if (view.getUint16(start + 2, little) !== 42) return null;
+
+        const ifd0 = this.readIFD(view, start, start + view.getUint32(start + 4, little), little);
+        const exif = ifd0[this.TAGS.EXIF_POINTER]
+            ? this.readIFD(view, start, start + ifd0[this.TAGS.EXIF_POINTER], little)
+            : {};
+        const gps = ifd0[this.TAGS.GPS_POINTER]
+            ? this.readIFD(view, start, start + ifd0[this.TAGS.GPS_POINTER], little)
+            : {};
+
+        return { ifd0: ifd0, exif: exif, gps: gps };
+    },
+
+    /**
+     * Read all entries of one IFD
+     * @return {Object} tag => value
+     */
+    readIFD(view, start, offset, little) {
+        const tags = {};
+        if (offset + 2 > view.byteLength) return tags;
+
+        const count = view.getUint16(offset, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+
+            const value = this.readValue(view, start, entry, little);
+            if (value !== undefined) {
+                tags[view.getUint16(entry, little)] = value;
+            }
+        }
+
+        return tags;
+    },
+
+    /**
+     * Read an entry value (ASCII, SHORT, LONG, RATIONAL, SLONG, SRATIONAL)
+     */
+    readValue(view, start, entry, little) {
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+        if (!sizes[type]) return undefined;
+
+        const length = sizes[type] * count;
+        const dataOffset = length > 4 ? start + view.getUint32(entry + 8, little) : entry + 8;
+        if (dataOffset + length > view.byteLength) return undefined;
+
+        if (type === 2) {
+            let text = '';
+            for (let i = 0; i < count; i++) {
+                const code = view.getUint8(dataOffset + i);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            return text.trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const at = dataOffset + i * sizes[type];
+
+            switch (type) {
+                case 1:
+                case 7:
+                    values.push(view.getUint8(at));
+                    break;
+                case 3:
+                    values.push(view.getUint16(at, little));
+                    break;
+                case 4:
+                    values.push(view.getUint32(at, little));
+                    break;
+                case 9:
+                    values.push(view.getInt32(at, little));
+                    break;
+                case 5:
+                    values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1));
+                    break;
+                case 10:
+                    values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1));
+                    break;
+            }
+        }
+
+        return count === 1 ? values[0] : values;
+    },
+
+    /**
+     * Keep only the traceability fields
+     * @param {Object} tags - { ifd0, exif, gps }
+     * @return {Object|null}
+     */
+    toMetadata(tags) {
+        const T = this.TAGS;
+        const dateText = tags.exif[T.DATE_TIME_ORIGINAL] || tags.exif[T.DATE_TIME_DIGITIZED] || tags.ifd0[T.DATE_TIME];
+
+        const capturedAt = this.parseDateTime(dateText, tags.exif[T.OFFSET_TIME_ORIGINAL]);
+        const gps = this.parseGPS(tags.gps);
+
+        if (!capturedAt && !gps) return null;
+
+        return {
+            capturedAt: capturedAt,
+            gps: gps
+        };
+    },
+
+    /**
+     * "2024:01:15 08:30:00" => "2024-01-15T08:30:00+07:00"
+     */
+    parseDateTime(text, offset) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+        if (!match || match[1] === '0000') return null;
+
+        const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : this.DEFAULT_OFFSET;
+        return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`;
+    },
+
+    /**
+     * GPS IFD => decimal degrees
+     */
+    parseGPS(gps) {
+        const T = this.TAGS;
+        const toDegrees = (dms) => Array.isArray(dms) && dms.length === 3
+            ? dms[0] + dms[1] / 60 + dms[2] / 3600
+            : null;
+
+        let latitude = toDegrees(gps[T.GPS_LATITUDE]);
+        let longitude = toDegrees(gps[T.GPS_LONGITUDE]);
+
+        // 0,0 means the device had no fix
+        if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) return null;
+        if (latitude > 90 || longitude > 180) return null;
+
+        if (gps[T.GPS_LATITUDE_REF] === 'S') latitude = -latitude;
+        if (gps[T.GPS_LONGITUDE_REF] === 'W') longitude = -longitude;
+
+        const result = {
+            latitude: Number(latitude.toFixed(6)),
+            longitude: Number(longitude.toFixed(6))
+        };
+
+        if (typeof gps[T.GPS_ALTITUDE] === 'number') {
+            const altitude = gps[T.GPS_ALTITUDE_REF] === 1 ? -gps[T.GPS_ALTITUDE] : gps[T.GPS_ALTITUDE];
+            result.altitude = Number(altitude.toFixed(1));
+        }
+
+        return result;
+    }
+};
+
+// Export for global use
+window.PhotoMetadata = PhotoMetadata;
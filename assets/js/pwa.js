@@ -0,0 +1,64 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - PWA
+ * =====================================
+ * ลงทะเบียน service worker (sw.js ที่ root ของเว็บ) และปุ่มติดตั้งแอป
+ */
+
+const PWA = {
+    // sw.js lives two levels above this script (assets/js/pwa.js)
+    serviceWorkerURL: new URL('../../sw.js', document.currentScript.src).href,
+    installPrompt: null,
+
+    /**
+     * Register service worker
+     */
+    async register() {
+        if (!('serviceWorker' in navigator)) return null;
+
+        try {
+            const registration = await navigator.serviceWorker.register(this.serviceWorkerURL);
+            console.log('Service worker registered:', registration.scope);
+            return registration;
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Keep the browser install prompt for [data-pwa-install] buttons
+     */
+    initInstallPrompt() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+
+            document.querySelectorAll('[data-pwa-install]').forEach(button => {
+                button.classList.remove('d-none');
+                button.addEventListener('click', () => this.install(), { once: true });
+            });
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            document.querySelectorAll('[data-pwa-install]').forEach(button => button.classList.add('d-none'));
+        });
+    },
+
+    /**
+     * Show install prompt
+     */
+    async install() {
+        if (!this.installPrompt) return;
+
+        this.installPrompt.prompt();
+        await this.installPrompt.userChoice;
+        this.installPrompt = null;
+    }
+};
+
+PWA.initInstallPrompt();
+window.addEventListener('load', () => PWA.register());
+
+// Export for global use
+window.PWA = PWA;
@@ -0,0 +1,238 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - QR Label Sheet
+ * =====================================
+ * สร้างแผ่นสติกเกอร์ QR ของเกษตรกรหลายคนพร้อมกัน (สร้าง QR ในเครื่องด้วย QRious)
+ * แล้วส่งออกเป็น PDF สำหรับพิมพ์ (jsPDF)
+ */
+
+const QRLabelSheet = {
+    // ขนาดเป็นมิลลิเมตร ตามแผ่นสติกเกอร์ A4 ที่มีขายทั่วไป
+    LAYOUTS: {
+        a4_3x8: { name: 'A4 3×8 ดวง (70×37 มม.)', columns: 3, rows: 8, labelWidth: 70, labelHeight: 37, gapX: 0, gapY: 0 },
+        a4_2x7: { name: 'A4 2×7 ดวง (99.1×38.1 มม.)', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, gapX: 2.5, gapY: 0 },
+        a4_4x10: { name: 'A4 4×10 ดวง (48.5×25.4 มม.)', columns: 4, rows: 10, labelWidth: 48.5, labelHeight: 25.4, gapX: 0, gapY: 0 }
+    },
+
+    DEFAULT_LAYOUT: 'a4_3x8',
+
+    PAGE: { width: 210, height: 297 },
+
+    // ~300 dpi so QR modules stay sharp when printed
+    PX_PER_MM: 12,
+
+    /**
+     * Prepare label data: one search code per farmer for the ship date
+     * @param {Array} farmers - เกษตรกรที่เลือก (จาก FarmerCardsRenderer.getSelectedFarmers หรือรายการในหน้า)
+     * @param {string} shipDate - วันที่จัดส่ง (YYYY-MM-DD)
+     * @param {Function} onProgress - (done, total)
+     * @return {Promise<Array>} [{ fullName, plotCode, qrCode, searchCode, qrValue }]
+     */
+    async buildLabels(farmers, shipDate, onProgress = null) {
+        const labels = [];
+
+        // Sequential - search codes are numbered per day on the backend
+        for (const farmer of farmers) {
+            const farmerId = farmer.farmerId || farmer.id;
+            const result = await FarmerAPI.generateSearchCode(farmerId, shipDate);
+
+            if (!result.success) {
+                throw new Error(`${farmer.fullName}: ${result.message || 'ไม่สามารถสร้างรหัสค้นหาได้'}`);
+            }
+
+            // Signed payload when the backend provides one, plain product code otherwise
+            const qrValue = result.signedQRCode || farmer.qrCode;
+            if (!qrValue) {
+                throw new Error(`${farmer.fullName}: ไม่พบรหัส QR Code`);
+            }
+
+            labels.push({
+                fullName: farmer.fullName,
+                plotCode: farmer.plotCode,
+                qrCode: farmer.qrCode,
+                searchCode: result.searchCode,
+                qrValue: qrValue
+            });
+
+            if (onProgress) {
+                onProgress(labels.length, farmers.length);
+            }
+        }
+
+        return labels;
+    },
+
+    /**
+     * Get layout by key
+     */
+    getLayout(layoutKey) {
+        return this.LAYOUTS[layoutKey] || this.LAYOUTS[this.DEFAULT_LAYOUT];
+    },
+
+    /**
+     * Position of every label slot on a page (mm), centred on A4
+     * @param {Object} layout - จาก LAYOUTS
+     * @return {Array} [{ x, y }]
+     */
+    getSlots(layout) {
+        const usedWidth = layout.columns * layout.labelWidth + (layout.columns - 1) * layout.gapX;
+        const usedHeight = layout.rows * layout.labelHeight + (layout.rows - 1) * layout.gapY;
+        const left = (this.PAGE.width - usedWidth) / 2;
+        const top = (this.PAGE.height - usedHeight) / 2;
+
+        const slots = [];
+        for (let row = 0; row < layout.rows; row++) {
+            for (let col = 0; col < layout.columns; col++) {
+                slots.push({
+                    x: left + col * (layout.labelWidth + layout.gapX),
+                    y: top + row * (layout.labelHeight + layout.gapY)
+                });
+            }
+        }
+        return slots;
+    },
+
+    /**
+     * Draw one label: QR on the left, name / plot / search code on the right
+     * Drawn on canvas so Thai text uses the browser's fonts
+     * @param {Object} label - จาก buildLabels
+     * @param {Object} layout - จาก LAYOUTS
+     * @return {HTMLCanvasElement}
+     */
+    renderLabel(label, layout) {
+        const scale = this.PX_PER_MM;
+        const width = Math.round(layout.labelWidth * scale);
+        const height = Math.round(layout.labelHeight * scale);
+        const padding = Math.round(2 * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+
+        const qrSize = height - padding * 2;
+        const qr = new QRious({
+            value: label.qrValue,
+            size: qrSize,
+            level: 'M',
+            background: 'white',
+            foreground: 'black'
+        });
+        ctx.drawImage(qr.canvas, padding, padding, qrSize, qrSize);
+
+        const textX = padding * 2 + qrSize;
+        const textWidth = width - textX - padding;
+        const lineHeight = (height - padding * 2) / 4;
+
+        const lines = [
+            { text: label.fullName, bold: true },
+            { text: `แปลง: ${label.plotCode || '-'}` },
+            { text: `รหัสค้นหา: ${label.searchCode}` },
+            { text: label.qrCode || '', small: true }
+        ];
+
+        ctx.fillStyle = '#000000';
+        ctx.textBaseline = 'middle';
+
+        lines.forEach((line, index) => {
+            const fontSize = Math.round(lineHeight * (line.small ? 0.55 : 0.7));
+            ctx.font = `${line.bold ? 'bold ' : ''}${fontSize}px "Sarabun", "Noto Sans Thai", sans-serif`;
+            ctx.fillText(this.fitText(ctx, line.text, textWidth), textX, padding + lineHeight * (index + 0.5));
+        });
+
+        return canvas;
+    },
+
+    /**
+     * Truncate text with an ellipsis to fit the width
+     */
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(fitted + '…').width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return fitted + '…';
+    },
+
+    /**
+     * Split labels into pages
+     * @return {Array<Array>} รายการฉลากของแต่ละหน้า
+     */
+    paginate(labels, layout) {
+        const perPage = layout.columns * layout.rows;
+        const pages = [];
+        for (let i = 0; i < labels.length; i += perPage) {
+            pages.push(labels.slice(i, i + perPage));
+        }
+        return pages;
+    },
+
+    /**
+     * Render a scaled preview of every page
+     * @param {Array} labels - จาก buildLabels
+     * @param {string} layoutKey - key ใน LAYOUTS
+     * @param {HTMLElement} container - element ที่จะแสดงตัวอย่าง
+     */
+    renderPreview(labels, layoutKey, container) {
+        if (!container) return;
+
+        const layout = this.getLayout(layoutKey);
+        const slots = this.getSlots(layout);
+        const pages = this.paginate(labels, layout);
+        const percent = (value, total) => `${(value / total) * 100}%`;
+
+        container.innerHTML = pages.map((pageLabels, pageIndex) => `
+            <div class="mb-3">
+                <div class="small text-muted mb-1">หน้า ${pageIndex + 1} / ${pages.length}</div>
+                <div class="label-sheet-page border bg-white shadow-sm position-relative mx-auto"
+                     style="width: 100%; max-width: 420px; aspect-ratio: ${this.PAGE.width} / ${this.PAGE.height};">
+                    ${slots.map((slot, slotIndex) => `
+                        <div class="position-absolute border border-light" style="
+                            left: ${percent(slot.x, this.PAGE.width)};
+                            top: ${percent(slot.y, this.PAGE.height)};
+                            width: ${percent(layout.labelWidth, this.PAGE.width)};
+                            height: ${percent(layout.labelHeight, this.PAGE.height)};">
+                            ${pageLabels[slotIndex] ? `<img src="${this.renderLabel(pageLabels[slotIndex], layout).toDataURL('image/png')}" alt="" class="w-100 h-100">` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Export print-ready PDF (1:1 scale - print at "actual size")
+     * @param {Array} labels - จาก buildLabels
+     * @param {string} layoutKey - key ใน LAYOUTS
+     * @param {string} fileName - ชื่อไฟล์
+     */
+    exportPDF(labels, layoutKey, fileName) {
+        if (typeof window.jspdf === 'undefined') {
+            throw new Error('ไม่พบไลบรารี jsPDF');
+        }
+
+        const { jsPDF } = window.jspdf;
+        const layout = this.getLayout(layoutKey);
+        const slots = this.getSlots(layout);
+        const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+
+        this.paginate(labels, layout).forEach((pageLabels, pageIndex) => {
+            if (pageIndex > 0) doc.addPage();
+
+            pageLabels.forEach((label, index) => {
+                const slot = slots[index];
+                const canvas = this.renderLabel(label, layout);
+                doc.addImage(canvas, 'PNG', slot.x, slot.y, layout.labelWidth, layout.labelHeight);
+            });
+        });
+
+        doc.save(fileName);
+    }
+};
+
+// Export for global use
+window.QRLabelSheet = QRLabelSheet;
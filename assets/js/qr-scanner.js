@@ -15,6 +15,8 @@ class QRScanner {
         this.startButton = null;
         this.stopButton = null;
         this.demoSection = null;
+        this.batchMode = false;
+        this.batchSession = null;
         
         this.init();
     }
@@ -54,6 +56,37 @@ class QRScanner {
         if (manualSearchForm) {
             manualSearchForm.addEventListener('submit', (e) => this.handleManualSearch(e));
         }
+
+        // Scan from image: file picker and pasted screenshots
+        const scanImageButton = document.getElementById('scanImageBtn');
+        const scanImageInput = document.getElementById('scanImageInput');
+        if (scanImageButton && scanImageInput) {
+            scanImageButton.addEventListener('click', () => scanImageInput.click());
+            scanImageInput.addEventListener('change', () => {
+                const file = scanImageInput.files[0];
+                scanImageInput.value = '';
+                if (file) this.scanImageFile(file);
+            });
+
+            document.addEventListener('paste', (e) => this.handlePaste(e));
+        }
+
+        // Batch mode: keep the camera open and collect codes
+        const batchModeToggle = document.getElementById('batchModeToggle');
+        if (batchModeToggle) {
+            batchModeToggle.addEventListener('change', () => this.setBatchMode(batchModeToggle.checked));
+        }
+
+        const batchActions = {
+            batchExportCsvBtn: () => this.exportBatch('csv'),
+            batchExportPdfBtn: () => this.exportBatch('pdf'),
+            batchRetryBtn: () => this.batchSession && this.batchSession.retryFailed(),
+            batchClearBtn: () => this.clearBatch()
+        };
+        Object.entries(batchActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', action);
+        });
     }
 
     /**
@@ -101,6 +134,11 @@ class QRScanner {
             await this.scanner.start();
             this.isScanning = true;
 
+            // EAN-13 / Code128 / DataMatrix on the same video stream
+            if (typeof BarcodeDecoder !== 'undefined') {
+                this.barcodeScan = BarcodeDecoder.start(this.videoElement, barcode => this.onBarcodeDetected(barcode));
+            }
+
             // Update UI
             if (this.startButton) {
                 this.startButton.style.display = 'none';
@@ -122,6 +160,11 @@ class QRScanner {
      */
     stopScanning() {
         try {
+            if (this.barcodeScan) {
+                this.barcodeScan.stop();
+                this.barcodeScan = null;
+            }
+
             if (this.scanner && this.isScanning) {
                 this.scanner.stop();
                 this.scanner.destroy();
@@ -150,6 +193,11 @@ class QRScanner {
     onScanSuccess(qrData) {
         try {
             console.log('QR Code detected:', qrData);
+
+            if (this.batchMode) {
+                this.addBatchCode(qrData, 'qr_code');
+                return;
+            }
             
             // Stop scanning
             this.stopScanning();
@@ -168,6 +216,322 @@ class QRScanner {
         }
     }
 
+    /**
+     * Handle barcode found by BarcodeDecoder
+     * @param {Object} barcode - { format, value }
+     */
+    onBarcodeDetected(barcode) {
+        // QR may have been read from the same frame first
+        if (!this.isScanning) return;
+
+        console.log('Barcode detected:', barcode.format, barcode.value);
+
+        if (this.batchMode) {
+            this.addBatchCode(barcode.value, barcode.format);
+
+            // BarcodeDecoder stops after each hit - keep reading the next label
+            this.barcodeScan = BarcodeDecoder.start(this.videoElement, next => this.onBarcodeDetected(next));
+            return;
+        }
+
+        this.stopScanning();
+
+        if (navigator.vibrate) {
+            navigator.vibrate(200);
+        }
+
+        this.processQRCode(barcode.value, 'camera', { format: barcode.format });
+    }
+
+    /**
+     * Turn batch mode on or off
+     * @param {boolean} enabled
+     */
+    setBatchMode(enabled) {
+        this.batchMode = enabled;
+
+        if (enabled && !this.batchSession) {
+            this.batchSession = new BatchScanSession({ onChange: () => this.renderBatch() });
+        }
+
+        this.renderBatch();
+    }
+
+    /**
+     * Add a camera read to the batch session and log its outcome
+     * @param {string} value - ค่าที่อ่านได้
+     * @param {string} format - ชนิดของบาร์โค้ด
+     */
+    async addBatchCode(value, format) {
+        const result = await this.batchSession.add(value, format);
+        if (!result) return;
+
+        if (navigator.vibrate) {
+            // Double buzz warns about a duplicate or unknown code
+            navigator.vibrate(result.duplicate || result.item.status !== 'found' ? [100, 80, 100] : 100);
+        }
+
+        const item = result.item;
+        const mapping = item.rule ? { format: item.format, value: item.raw, code: item.code, rule: item.rule } : null;
+        const status = result.duplicate ? 'duplicate' : (item.status === 'found' ? 'success' : item.status);
+        this.logQRCodeScan(item.code || item.raw, 'batch', status, item.error, mapping);
+    }
+
+    /**
+     * Show the batch panel while a session has items or batch mode is on
+     */
+    renderBatch() {
+        const panel = document.getElementById('batchPanel');
+        if (!panel) return;
+
+        const visible = this.batchMode || (this.batchSession && this.batchSession.items.length > 0);
+        panel.style.display = visible ? 'block' : 'none';
+
+        if (this.batchSession) {
+            this.batchSession.render(document.getElementById('batchSummary'), document.getElementById('batchList'));
+
+            const summary = this.batchSession.getSummary();
+            const retryButton = document.getElementById('batchRetryBtn');
+            if (retryButton) retryButton.style.display = summary.errors > 0 ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Export the batch session
+     * @param {string} type - csv | pdf
+     */
+    exportBatch(type) {
+        if (!this.batchSession || this.batchSession.items.length === 0) {
+            Utils.showWarning('ยังไม่มีรายการ', 'สแกน QR Code อย่างน้อย 1 รายการก่อนส่งออก');
+            return;
+        }
+
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+        const fileName = `ตรวจสินค้า_${stamp}.${type}`;
+
+        try {
+            if (type === 'pdf') {
+                this.batchSession.exportPDF(fileName);
+            } else {
+                this.batchSession.exportCSV(fileName);
+            }
+        } catch (error) {
+            console.error('Batch export error:', error);
+            Utils.showError('ส่งออกไม่สำเร็จ', error.message);
+        }
+    }
+
+    /**
+     * Start a new batch session
+     */
+    async clearBatch() {
+        if (!this.batchSession || this.batchSession.items.length === 0) return;
+
+        const result = await Swal.fire({
+            icon: 'question',
+            title: 'เริ่มรอบตรวจใหม่?',
+            text: `ล้างรายการที่สแกนแล้ว ${this.batchSession.items.length} รายการ (ส่งออกไฟล์ก่อนหากต้องการเก็บไว้)`,
+            showCancelButton: true,
+            confirmButtonText: 'ล้างรายการ',
+            cancelButtonText: 'ยกเลิก',
+            confirmButtonColor: '#dc3545',
+            cancelButtonColor: '#6c757d'
+        });
+
+        if (result.isConfirmed) {
+            this.batchSession.clear();
+        }
+    }
+
+    /**
+     * Scan QR codes and barcodes in an image (selected file or pasted screenshot)
+     * @param {File|Blob} file - รูปภาพ
+     */
+    async scanImageFile(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            Utils.showWarning('ไฟล์ไม่ถูกต้อง', 'กรุณาเลือกไฟล์รูปภาพ');
+            return;
+        }
+
+        if (this.isScanning) {
+            this.stopScanning();
+        }
+
+        Utils.showLoading('กำลังอ่าน QR Code จากรูปภาพ...');
+
+        let codes = [];
+        try {
+            codes = await this.decodeImage(file);
+        } catch (error) {
+            console.error('Error decoding image:', error);
+        } finally {
+            Utils.hideLoading();
+        }
+
+        if (codes.length === 0) {
+            this.logQRCodeScan(null, 'image', 'not_detected');
+            Utils.showWarning('ไม่พบ QR Code', 'ไม่พบ QR Code หรือบาร์โค้ดในรูปภาพนี้ ลองใช้รูปที่ชัดขึ้นหรือครอปให้เห็นรหัสชัดเจน');
+            return;
+        }
+
+        const code = codes.length === 1 ? codes[0] : await this.chooseImageCode(codes);
+        if (code) {
+            await this.processQRCode(code.value, 'image', { format: code.format });
+        }
+    }
+
+    /**
+     * Find every code in an image
+     * @param {File|Blob} file - รูปภาพ
+     * @return {Promise<Array>} [{ format, value }] ไม่ซ้ำกัน
+     */
+    async decodeImage(file) {
+        const canvas = await this.loadImageCanvas(file);
+        const codes = [];
+        const add = (format, value) => {
+            if (value && !codes.some(code => code.value === value)) {
+                codes.push({ format: format, value: value });
+            }
+        };
+
+        // Native detector returns every code in one pass
+        if ('BarcodeDetector' in window) {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            if (supported.includes('qr_code')) {
+                const formats = ['qr_code'].concat(typeof BarcodeDecoder !== 'undefined' ? BarcodeDecoder.FORMATS : [])
+                    .filter(format => supported.includes(format));
+                const detected = await new window.BarcodeDetector({ formats: formats }).detect(canvas);
+                detected.forEach(code => add(code.format, code.rawValue));
+                return codes;
+            }
+        }
+
+        // qr-scanner finds one code per call: blank it out and scan again
+        if (typeof QrScanner !== 'undefined') {
+            const ctx = canvas.getContext('2d');
+
+            for (let i = 0; i < QRScanner.MAX_IMAGE_CODES; i++) {
+                let result;
+                try {
+                    result = await QrScanner.scanImage(canvas, { returnDetailedScanResult: true });
+                } catch (error) {
+                    break; // No more QR codes
+                }
+
+                add('qr_code', result.data);
+                this.maskRegion(ctx, result.cornerPoints);
+            }
+        }
+
+        if (typeof BarcodeDecoder !== 'undefined') {
+            (await BarcodeDecoder.detect(canvas)).forEach(code => add(code.format, code.value));
+        }
+
+        return codes;
+    }
+
+    /**
+     * Draw image onto a canvas (downscaled so large photos decode quickly)
+     * @param {File|Blob} file - รูปภาพ
+     * @return {Promise<HTMLCanvasElement>}
+     */
+    async loadImageCanvas(file) {
+        const url = URL.createObjectURL(file);
+
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('ไม่สามารถเปิดรูปภาพได้'));
+                img.src = url;
+            });
+
+            const scale = Math.min(1, QRScanner.MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Paint over a found code (with its quiet zone) so the next scan finds another one
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array} points - cornerPoints จาก QrScanner
+     */
+    maskRegion(ctx, points) {
+        if (!points || points.length === 0) return;
+
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const centerY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const x = centerX + (point.x - centerX) * 1.3;
+            const y = centerY + (point.y - centerY) * 1.3;
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Let the user pick one code when the image contains several
+     * @param {Array} codes - [{ format, value }]
+     * @return {Promise<Object|null>} รหัสที่เลือก
+     */
+    async chooseImageCode(codes) {
+        const inputOptions = {};
+        codes.forEach((code, index) => {
+            const formatName = typeof BarcodeDecoder !== 'undefined' ? BarcodeDecoder.getFormatName(code.format) : 'QR Code';
+            const value = code.value.length > 60 ? code.value.substring(0, 60) + '...' : code.value;
+            inputOptions[index] = `<span class="badge bg-secondary me-1">${Utils.escapeHtml(formatName)}</span><code>${Utils.escapeHtml(value)}</code>`;
+        });
+
+        const result = await Swal.fire({
+            title: `พบ ${codes.length} รหัสในรูปภาพ`,
+            text: 'เลือกรหัสที่ต้องการตรวจสอบ',
+            input: 'radio',
+            inputOptions: inputOptions,
+            inputValue: '0',
+            customClass: { input: 'd-flex flex-column align-items-start text-start' },
+            showCancelButton: true,
+            confirmButtonText: '<i class="fas fa-search me-1"></i>ตรวจสอบ',
+            cancelButtonText: 'ยกเลิก',
+            confirmButtonColor: '#198754',
+            cancelButtonColor: '#6c757d'
+        });
+
+        return result.isConfirmed ? codes[Number(result.value)] : null;
+    }
+
+    /**
+     * Scan an image pasted from the clipboard (e.g. a screenshot from LINE)
+     * @param {ClipboardEvent} event
+     */
+    handlePaste(event) {
+        const items = event.clipboardData ? Array.from(event.clipboardData.items) : [];
+        const imageItem = items.find(item => item.kind === 'file' && item.type.startsWith('image/'));
+        if (!imageItem) return;
+
+        event.preventDefault();
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('manualSearchModal'));
+        if (modal) modal.hide();
+
+        this.scanImageFile(imageItem.getAsFile());
+    }
+
     /**
      * Handle scan error
      */
@@ -258,17 +622,40 @@ class QRScanner {
     /**
      * Process QR Code data (enhanced version)
      * @param {string} qrData - QR code data
-     * @param {string} source - Source of QR code (camera|url|manual)
+     * @param {string} source - Source of QR code (camera|image|url|manual)
+     * @param {Object} options - { format } ชนิดของบาร์โค้ดที่อ่านได้ (ค่าเริ่มต้น qr_code, manual = text)
      */
-    async processQRCode(qrData, source = 'camera') {
+    async processQRCode(qrData, source = 'camera', options = {}) {
         try {
             console.log('Processing QR Code:', qrData, 'Source:', source);
 
-            // Validate system QR Code format first
+            // Signed payload: verify offline first, then look up the plain code
+            let signedPayload = null;
+            let mapping = null;
+            if (typeof QRSignature !== 'undefined' && QRSignature.isSigned(qrData)) {
+                const verification = await QRSignature.verify(qrData);
+
+                if (!verification.valid) {
+                    this.logQRCodeScan(verification.qrCode, source, 'invalid_signature');
+                    if (!await this.confirmUnverifiedCode(verification.qrCode)) return;
+                }
+
+                signedPayload = qrData.trim();
+                qrData = verification.qrCode;
+            }
+
+            // Barcodes and other non-system values are mapped to a product code first
             if (!this.validateSystemQRCode(qrData)) {
-                // Handle non-system QR codes
-                this.handleNonSystemQRCode(qrData, source);
-                return;
+                const format = options.format || (source === 'manual' ? 'text' : 'qr_code');
+                mapping = await this.resolveProductCode(qrData, format);
+
+                if (!mapping.code) {
+                    this.logQRCodeScan(qrData, source, 'unmapped', null, mapping);
+                    this.handleNonSystemQRCode(qrData, source, format);
+                    return;
+                }
+
+                qrData = mapping.code;
             }
 
             // Show loading
@@ -284,7 +671,7 @@ class QRScanner {
                 }
                 
                 // Log successful scan
-                this.logQRCodeScan(qrData, source, 'success');
+                this.logQRCodeScan(qrData, source, 'success', null, mapping);
 
                 // Navigate to result page
                 const params = new URLSearchParams({
@@ -292,12 +679,17 @@ class QRScanner {
                     type: source,
                     timestamp: Date.now()
                 });
+
+                // qr-result.html verifies the signature again and shows the badge
+                if (signedPayload) {
+                    params.set('payload', signedPayload);
+                }
                 
                 window.location.href = `public/qr-result.html?${params.toString()}`;
             } else {
                 Utils.hideLoading();
                 this.showNotFoundMessage(qrData, source);
-                this.logQRCodeScan(qrData, source, 'not_found');
+                this.logQRCodeScan(qrData, source, 'not_found', null, mapping);
             }
 
         } catch (error) {
@@ -308,6 +700,56 @@ class QRScanner {
         }
     }
 
+    /**
+     * Map a scanned value to a system product code via BarcodeDecoder.resolve
+     * @param {string} value - ค่าที่อ่านได้
+     * @param {string} format - ชนิดของบาร์โค้ด
+     * @return {Promise<Object>} { format, value, code, rule } (code = null ถ้าแปลงไม่ได้)
+     */
+    async resolveProductCode(value, format) {
+        const mapping = { format: format, value: value, code: null, rule: null };
+        if (typeof BarcodeDecoder === 'undefined') return mapping;
+
+        Utils.showLoading('กำลังตรวจสอบรหัส...');
+        try {
+            const resolved = await BarcodeDecoder.resolve(value, format);
+            if (resolved) {
+                mapping.code = resolved.code;
+                mapping.rule = resolved.rule;
+            }
+        } finally {
+            Utils.hideLoading();
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Warn about a signed QR whose signature does not match
+     * @param {string} qrCode - รหัสผลิตภัณฑ์ใน QR
+     * @return {Promise<boolean>} ผู้ใช้ต้องการดูข้อมูลต่อหรือไม่
+     */
+    async confirmUnverifiedCode(qrCode) {
+        const result = await Swal.fire({
+            icon: 'warning',
+            title: 'ยืนยันลายเซ็นไม่ได้',
+            html: `
+                <p class="mb-3">QR Code <code>${Utils.escapeHtml(qrCode)}</code> มีลายเซ็นที่ไม่ถูกต้อง</p>
+                <div class="alert alert-warning small">
+                    <i class="fas fa-exclamation-triangle me-1"></i>
+                    ผลิตภัณฑ์นี้อาจถูกปลอมแปลง กรุณาตรวจสอบกับผู้จำหน่าย
+                </div>
+            `,
+            showCancelButton: true,
+            confirmButtonText: 'ดูข้อมูลต่อ',
+            cancelButtonText: 'ปิด',
+            confirmButtonColor: '#ffc107',
+            cancelButtonColor: '#6c757d'
+        });
+
+        return result.isConfirmed;
+    }
+
     /**
      * Validate system QR code format (XX-XXXXXXXXXXXXX)
      * @param {string} code - QR code to validate
@@ -325,15 +767,18 @@ class QRScanner {
      * Handle non-system QR codes
      * @param {string} qrData - QR code data
      * @param {string} source - Source of scan
+     * @param {string} format - ชนิดของบาร์โค้ด
      */
-    handleNonSystemQRCode(qrData, source) {
-        console.log('Non-system QR code detected:', qrData);
+    handleNonSystemQRCode(qrData, source, format = 'qr_code') {
+        console.log('Non-system code detected:', format, qrData);
+
+        const formatName = typeof BarcodeDecoder !== 'undefined' ? BarcodeDecoder.getFormatName(format) : 'QR Code';
         
         Swal.fire({
             icon: 'info',
-            title: 'QR Code ไม่ใช่ของระบบ',
+            title: `${formatName} ไม่ใช่ของระบบ`,
             html: `
-                <p class="mb-3">QR Code นี้ไม่ใช่รหัสผลิตภัณฑ์ในระบบสอบย้อนกลับผักอุดร</p>
+                <p class="mb-3">${formatName} นี้ไม่ตรงกับรหัสผลิตภัณฑ์ในระบบสอบย้อนกลับผักอุดร</p>
                 <div class="alert alert-info small text-start">
                     <strong>ข้อมูลที่สแกนได้:</strong><br>
                     <code>${Utils.escapeHtml(qrData.substring(0, 100))}${qrData.length > 100 ? '...' : ''}</code>
@@ -523,8 +968,9 @@ class QRScanner {
      * @param {string} source - Source of scan
      * @param {string} status - Scan status
      * @param {string} error - Error message (optional)
+     * @param {Object} mapping - { format, value, code, rule } เมื่อแปลงจากบาร์โค้ด/ค่าอื่น (optional)
      */
-    logQRCodeScan(code, source, status, error = null) {
+    logQRCodeScan(code, source, status, error = null, mapping = null) {
         try {
             const logData = {
                 timestamp: new Date().toISOString(),
@@ -532,6 +978,7 @@ class QRScanner {
                 source: source,
                 status: status,
                 error: error,
+                mapping: mapping,
                 userAgent: navigator.userAgent,
                 url: window.location.href
             };
@@ -546,6 +993,11 @@ class QRScanner {
             }
             
             localStorage.setItem('qr_scan_logs', JSON.stringify(logs));
+
+            // Local logs only cover this browser - queue the event for server-side analytics too
+            if (typeof ScanAnalytics !== 'undefined') {
+                ScanAnalytics.track(logData);
+            }
             
             console.log('QR scan logged:', logData);
         } catch (error) {
@@ -611,11 +1063,21 @@ class QRScanner {
             successful: logs.filter(log => log.status === 'success').length,
             failed: logs.filter(log => log.status === 'error').length,
             notFound: logs.filter(log => log.status === 'not_found').length,
+            duplicate: logs.filter(log => log.status === 'duplicate').length,
+            unmapped: logs.filter(log => log.status === 'unmapped').length,
+            mapped: logs.filter(log => log.mapping && log.mapping.code).length,
+            byFormat: logs.reduce((counts, log) => {
+                const format = log.mapping ? log.mapping.format : 'qr_code';
+                counts[format] = (counts[format] || 0) + 1;
+                return counts;
+            }, {}),
             bySource: {
                 camera: logs.filter(log => log.source === 'camera').length,
                 url: logs.filter(log => log.source === 'url').length,
                 manual: logs.filter(log => log.source === 'manual').length,
-                share: logs.filter(log => log.source === 'share').length
+                share: logs.filter(log => log.source === 'share').length,
+                image: logs.filter(log => log.source === 'image').length,
+                batch: logs.filter(log => log.source === 'batch').length
             },
             recent: logs.slice(-10) // Last 10 scans
         };
@@ -712,18 +1174,23 @@ class QRScanner {
     }
 }
 
+// Large photos are downscaled before decoding; at most this many codes per image
+QRScanner.MAX_IMAGE_SIZE = 2000;
+QRScanner.MAX_IMAGE_CODES = 10;
+
 /**
  * Global function to process QR Code (enhanced)
  * @param {string} qrData - QR code data
  * @param {string} source - Source of QR code
+ * @param {Object} options - { format }
  */
-async function processQRCode(qrData, source = 'external') {
+async function processQRCode(qrData, source = 'external', options = {}) {
     if (window.qrScannerInstance) {
-        await window.qrScannerInstance.processQRCode(qrData, source);
+        await window.qrScannerInstance.processQRCode(qrData, source, options);
     } else {
         // Create temporary instance
         const tempScanner = new QRScanner();
-        await tempScanner.processQRCode(qrData, source);
+        await tempScanner.processQRCode(qrData, source, options);
     }
 }
 
@@ -0,0 +1,130 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - QR Signature
+ * =====================================
+ * ตรวจลายเซ็นของ QR แบบลงนาม (รหัสแปลง + วันที่จัดส่ง + ลายเซ็น) ด้วย public key ของ backend (CONFIG.QR_SIGNING_PUBLIC_KEY)
+ * ทำงานได้แบบออฟไลน์ ใช้ WebCrypto อย่างเดียว
+ *
+ * รูปแบบ: GG-PPPPPPPPPPPPP.YYYYMMDD.<signature base64url>
+ * ข้อความที่ลงนาม: "GG|PPPPPPPPPPPPP|YYYYMMDD" (กลุ่ม|แปลง|วันที่จัดส่ง)
+ */
+
+const QRSignature = {
+    PATTERN: /^(\d{2})-(\d{13})\.(\d{8})\.([A-Za-z0-9_-]+)$/,
+
+    // RSA-SHA256 because the Apps Script backend signs with Utilities.computeRsaSha256Signature
+    ALGORITHM: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+
+    // Key made by mock-backend.js (DEV_MODE only, see useDevelopmentKey)
+    developmentKey: null,
+
+    keyPromise: null,
+
+    /**
+     * Check whether data looks like a signed payload
+     * @param {string} data - ข้อมูลจาก QR
+     * @return {boolean}
+     */
+    isSigned(data) {
+        return typeof data === 'string' && this.PATTERN.test(data.trim());
+    },
+
+    /**
+     * Split a signed payload
+     * @param {string} data - ข้อมูลจาก QR
+     * @return {Object|null} { qrCode, groupCode, plotCode, shipDate, signature }
+     */
+    parse(data) {
+        const match = typeof data === 'string' ? data.trim().match(this.PATTERN) : null;
+        if (!match) return null;
+
+        return {
+            qrCode: `${match[1]}-${match[2]}`,
+            groupCode: match[1],
+            plotCode: match[2],
+            shipDate: `${match[3].slice(0, 4)}-${match[3].slice(4, 6)}-${match[3].slice(6, 8)}`,
+            signature: match[4]
+        };
+    },
+
+    /**
+     * Build the signed message
+     */
+    getMessage(groupCode, plotCode, shipDate) {
+        return `${groupCode}|${plotCode}|${String(shipDate).replace(/-/g, '')}`;
+    },
+
+    /**
+     * Verify a signed payload against the backend's public key
+     * @param {string} data - ข้อมูลจาก QR
+     * @return {Promise<Object>} { signed, valid, qrCode, shipDate }
+     */
+    async verify(data) {
+        const parsed = this.parse(data);
+        if (!parsed) {
+            return { signed: false, valid: false, qrCode: data ? data.trim() : data };
+        }
+
+        let valid = false;
+        try {
+            const key = await this.getPublicKey();
+            const message = new TextEncoder().encode(this.getMessage(parsed.groupCode, parsed.plotCode, parsed.shipDate));
+            valid = await crypto.subtle.verify(this.ALGORITHM, key, this.base64UrlDecode(parsed.signature), message);
+        } catch (error) {
+            console.error('QR signature verification error:', error);
+        }
+
+        return {
+            signed: true,
+            valid: valid,
+            qrCode: parsed.qrCode,
+            shipDate: parsed.shipDate
+        };
+    },
+
+    /**
+     * Trust the mock backend's own key pair while developing
+     * Ignored outside DEV_MODE, so a production page only ever trusts CONFIG.QR_SIGNING_PUBLIC_KEY
+     */
+    useDevelopmentKey(jwk) {
+        if (!CONFIG.DEV_MODE) {
+            console.warn('QR development key ignored outside DEV_MODE');
+            return;
+        }
+        this.developmentKey = jwk;
+        this.keyPromise = null;
+    },
+
+    /**
+     * Import the public key once
+     * Rejects when no key is configured, so verify() fails closed
+     */
+    getPublicKey() {
+        if (!this.keyPromise) {
+            const jwk = (CONFIG.DEV_MODE && this.developmentKey) || CONFIG.QR_SIGNING_PUBLIC_KEY;
+            this.keyPromise = jwk
+                ? crypto.subtle.importKey('jwk', jwk, this.ALGORITHM, false, ['verify'])
+                : Promise.reject(new Error('QR signing public key is not configured (CONFIG.QR_SIGNING_PUBLIC_KEY)'));
+        }
+        return this.keyPromise;
+    },
+
+    /**
+     * base64url => Uint8Array
+     */
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    },
+
+    /**
+     * Uint8Array/ArrayBuffer => base64url
+     */
+    base64UrlEncode(bytes) {
+        const binary = String.fromCharCode(...new Uint8Array(bytes));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+};
+
+// Export for global use
+window.QRSignature = QRSignature;
@@ -0,0 +1,204 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Product Recalls
+ * =====================================
+ * ประกาศเรียกคืนสินค้าครอบคลุมทั้งกลุ่ม แปลงปลูก หรือช่วงวันที่จัดส่งของรหัสค้นหา (YYYYMMDD-XXX)
+ * ใช้ร่วมกันระหว่างหน้าผู้บริโภค (แบนเนอร์เตือน) หน้ากลุ่ม (ประกาศ) และหน้าผู้ดูแลระบบ (ทะเบียน)
+ */
+
+const RecallManager = {
+    SCOPE_LABELS: {
+        group: 'ทั้งกลุ่ม',
+        plot: 'แปลงปลูก',
+        lot: 'ช่วงวันที่จัดส่ง'
+    },
+
+    STATUS_LABELS: {
+        active: 'กำลังเรียกคืน',
+        closed: 'ปิดประกาศแล้ว'
+    },
+
+    /**
+     * Describe what a recall covers in one line
+     * @param {Object} recall - รายการจาก backend
+     * @return {string}
+     */
+    describe(recall) {
+        const parts = [I18n.t('recall.group', { name: recall.groupName || recall.groupCode || '-' })];
+
+        if (recall.farmerId) {
+            parts.push(I18n.t('recall.plot', { plot: recall.plotNumber || '-', farmer: recall.farmerName || '-' }));
+        }
+
+        if (recall.dateFrom) {
+            parts.push(I18n.t('recall.shipped', {
+                from: I18n.formatDate(recall.dateFrom),
+                to: I18n.formatDate(recall.dateTo)
+            }));
+        }
+
+        return parts.join(' · ');
+    },
+
+    /**
+     * Show recall banners for a product (hides the container when there is none)
+     * @param {HTMLElement} container - กล่องที่จะแสดงแบนเนอร์
+     * @param {Array} recalls - รายการที่ตรงกับรหัส
+     */
+    renderBanner(container, recalls) {
+        if (!container) return;
+
+        if (!recalls || recalls.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = recalls.map(recall => `
+            <div class="alert alert-danger border-danger border-2 mb-3" role="alert">
+                <h5 class="alert-heading mb-2">
+                    <i class="fas fa-exclamation-triangle me-2"></i>${I18n.t('recall.heading')}
+                </h5>
+                <p class="mb-1"><strong>${I18n.t('recall.reason')}:</strong> ${Utils.escapeHtml(recall.reason)}</p>
+                <p class="mb-2"><strong>${I18n.t('recall.instructions')}:</strong> ${Utils.escapeHtml(recall.instructions)}</p>
+                <small class="d-block">
+                    ${I18n.t('recall.covers')}: ${Utils.escapeHtml(this.describe(recall))}
+                </small>
+                <small class="d-block text-muted">
+                    ${I18n.t('recall.declared', { date: I18n.formatDate(recall.createdAt), id: Utils.escapeHtml(recall.recallId) })}
+                </small>
+            </div>
+        `).join('');
+        container.style.display = 'block';
+    },
+
+    /**
+     * Ask for the recall details
+     * @param {Object} options - { groups: [{groupId, groupName}], groupId, farmers, loadFarmers(groupId) }
+     *                           ส่ง groups เมื่อผู้ใช้เลือกกลุ่มได้ (ผู้ดูแลระบบ) หรือ groupId เมื่อกลุ่มถูกกำหนดแล้ว
+     * @return {Promise<Object|null>} ข้อมูลสำหรับ createRecall หรือ null ถ้ายกเลิก
+     */
+    async promptDeclare(options = {}) {
+        const groups = options.groups || [];
+        const groupField = groups.length > 0 ? `
+            <label class="form-label" for="recallGroup">กลุ่มเกษตรกร</label>
+            <select class="form-select mb-3" id="recallGroup">
+                ${groups.map(g => `<option value="${Utils.escapeHtml(g.groupId)}">${Utils.escapeHtml(g.groupName)}</option>`).join('')}
+            </select>
+        ` : '';
+
+        const result = await Swal.fire({
+            title: 'ประกาศเรียกคืนสินค้า',
+            width: 600,
+            html: `
+                <div class="text-start">
+                    ${groupField}
+                    <label class="form-label" for="recallScope">ขอบเขต</label>
+                    <select class="form-select mb-3" id="recallScope">
+                        ${Object.entries(this.SCOPE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <div id="recallFarmerField" style="display: none;">
+                        <label class="form-label" for="recallFarmer">แปลงปลูก</label>
+                        <select class="form-select mb-3" id="recallFarmer"></select>
+                    </div>
+                    <div class="row g-2 mb-3" id="recallDateFields" style="display: none;">
+                        <div class="col-6">
+                            <label class="form-label" for="recallDateFrom">จัดส่งตั้งแต่</label>
+                            <input type="date" class="form-control" id="recallDateFrom">
+                        </div>
+                        <div class="col-6">
+                            <label class="form-label" for="recallDateTo">ถึง</label>
+                            <input type="date" class="form-control" id="recallDateTo">
+                        </div>
+                    </div>
+                    <label class="form-label" for="recallReason">เหตุผล</label>
+                    <input type="text" class="form-control mb-3" id="recallReason" maxlength="200"
+                           placeholder="เช่น ตรวจพบสารตกค้างเกินมาตรฐาน">
+                    <label class="form-label" for="recallInstructions">คำแนะนำสำหรับผู้บริโภค</label>
+                    <textarea class="form-control" id="recallInstructions" rows="3" maxlength="1000"
+                              placeholder="เช่น หยุดบริโภคและนำสินค้าคืนร้านค้าที่ซื้อ"></textarea>
+                </div>
+            `,
+            showCancelButton: true,
+            confirmButtonText: 'ประกาศ',
+            cancelButtonText: 'ยกเลิก',
+            confirmButtonColor: '#dc3545',
+            didOpen: () => this.bindDeclareForm(options),
+            preConfirm: () => this.readDeclareForm(options)
+        });
+
+        return result.isConfirmed ? result.value : null;
+    },
+
+    /**
+     * Show the fields of the chosen scope and keep the plot list in sync with the group
+     */
+    bindDeclareForm(options) {
+        const scope = document.getElementById('recallScope');
+        const groupSelect = document.getElementById('recallGroup');
+        const farmerSelect = document.getElementById('recallFarmer');
+
+        const fillFarmers = (farmers) => {
+            farmerSelect.innerHTML = (farmers || []).map(f =>
+                `<option value="${Utils.escapeHtml(f.farmerId)}">${Utils.escapeHtml(f.plotNumber)} - ${Utils.escapeHtml(f.fullName)}</option>`
+            ).join('');
+        };
+
+        const updateFields = () => {
+            document.getElementById('recallFarmerField').style.display = scope.value === 'plot' ? 'block' : 'none';
+            document.getElementById('recallDateFields').style.display = scope.value === 'lot' ? 'flex' : 'none';
+        };
+
+        scope.addEventListener('change', updateFields);
+
+        if (groupSelect && options.loadFarmers) {
+            const reload = async () => fillFarmers(await options.loadFarmers(groupSelect.value));
+            groupSelect.addEventListener('change', reload);
+            reload();
+        } else {
+            fillFarmers(options.farmers);
+        }
+
+        updateFields();
+    },
+
+    /**
+     * Validate the form (Swal preConfirm)
+     */
+    readDeclareForm(options) {
+        const value = (id) => (document.getElementById(id)?.value || '').trim();
+        const scope = value('recallScope');
+        const data = {
+            groupId: value('recallGroup') || options.groupId,
+            scope: scope,
+            reason: Utils.sanitizeInput(value('recallReason')),
+            instructions: Utils.sanitizeInput(value('recallInstructions'))
+        };
+
+        if (scope === 'plot') {
+            data.farmerId = value('recallFarmer');
+            if (!data.farmerId) {
+                Swal.showValidationMessage('กรุณาเลือกแปลงปลูก');
+                return false;
+            }
+        }
+
+        if (scope === 'lot') {
+            data.dateFrom = value('recallDateFrom');
+            data.dateTo = value('recallDateTo');
+            if (!data.dateFrom || !data.dateTo || data.dateFrom > data.dateTo) {
+                Swal.showValidationMessage('กรุณาระบุช่วงวันที่จัดส่งให้ถูกต้อง');
+                return false;
+            }
+        }
+
+        if (!data.reason || !data.instructions) {
+            Swal.showValidationMessage('กรุณาระบุเหตุผลและคำแนะนำ');
+            return false;
+        }
+
+        return data;
+    }
+};
+
+// Export for global use
+window.RecallManager = RecallManager;
@@ -0,0 +1,146 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Scan Analytics
+ * =====================================
+ * ส่งเหตุการณ์การสแกนไปเก็บที่ backend (action logScan) เป็นชุด
+ * คิวอยู่ใน localStorage จึงไม่หายเมื่อออฟไลน์หรือปิดหน้า แล้วส่งต่อเมื่อออนไลน์
+ *
+ * ตำแหน่งเป็นแบบหยาบ (ทศนิยม 2 ตำแหน่ง ≈ 1 กม.) และใช้เฉพาะเมื่อผู้ใช้เคยอนุญาตแล้ว ไม่ถามสิทธิ์เอง
+ */
+
+const ScanAnalytics = {
+    BATCH_SIZE: 20,
+    FLUSH_DELAY: 5000,
+    MAX_QUEUE: 500,
+    LOCATION_PRECISION: 2,
+
+    timer: null,
+    flushing: false,
+    location: null,
+
+    /**
+     * Queue a scan event (called from QRScanner.logQRCodeScan)
+     * Synchronous - a successful scan navigates away right after logging
+     * @param {Object} log - { timestamp, code, source, status, mapping }
+     */
+    track(log) {
+        const event = {
+            eventId: API.generateIdempotencyKey('scan'),
+            timestamp: log.timestamp,
+            code: log.code || '',
+            source: log.source,
+            status: log.status,
+            format: log.mapping ? log.mapping.format : 'qr_code',
+            device: Utils.isMobile() ? 'mobile' : 'desktop'
+        };
+
+        if (this.location) {
+            event.location = this.location;
+        }
+
+        const queue = this.getQueue();
+        queue.push(event);
+
+        // Drop the oldest events if the device has been offline for a long time
+        this.saveQueue(queue.slice(-this.MAX_QUEUE));
+
+        if (queue.length >= this.BATCH_SIZE) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    },
+
+    getQueue() {
+        return Storage.get(CONFIG.STORAGE_KEYS.SCAN_EVENTS, []);
+    },
+
+    saveQueue(queue) {
+        Storage.set(CONFIG.STORAGE_KEYS.SCAN_EVENTS, queue);
+    },
+
+    scheduleFlush() {
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.FLUSH_DELAY);
+    },
+
+    /**
+     * Send queued events in batches
+     * Transient failures keep the events for the next attempt
+     */
+    async flush() {
+        if (this.flushing || !navigator.onLine) return;
+
+        const batch = this.getQueue().slice(0, this.BATCH_SIZE);
+        if (batch.length === 0) return;
+
+        this.flushing = true;
+        let sent = false;
+
+        try {
+            const result = await API.makeRequest('logScan', { events: JSON.stringify(batch) });
+            sent = result.success;
+
+            if (!result.success) {
+                console.warn('logScan rejected:', result.message);
+            }
+        } catch (error) {
+            console.warn('logScan failed:', error.message);
+
+            // Events the backend can never accept must not block the queue
+            sent = !error.transient;
+        } finally {
+            this.flushing = false;
+        }
+
+        if (sent) {
+            const sentIds = batch.map(event => event.eventId);
+            const remaining = this.getQueue().filter(event => !sentIds.includes(event.eventId));
+            this.saveQueue(remaining);
+
+            if (remaining.length > 0) {
+                this.scheduleFlush();
+            }
+        }
+    },
+
+    /**
+     * Read a rounded position for later events, only when geolocation is already granted
+     */
+    async loadCoarseLocation() {
+        try {
+            if (!navigator.permissions || !navigator.geolocation) return;
+
+            const permission = await navigator.permissions.query({ name: 'geolocation' });
+            if (permission.state !== 'granted') return;
+
+            const position = await Utils.getCurrentLocation();
+            const round = (value) => Number(value.toFixed(this.LOCATION_PRECISION));
+
+            this.location = {
+                latitude: round(position.latitude),
+                longitude: round(position.longitude)
+            };
+        } catch (error) {
+            this.location = null;
+        }
+    }
+};
+
+// Send leftovers from earlier visits, and whatever is queued when connectivity returns or the page is hidden
+document.addEventListener('DOMContentLoaded', () => {
+    ScanAnalytics.loadCoarseLocation();
+    ScanAnalytics.flush();
+});
+window.addEventListener('online', () => ScanAnalytics.flush());
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        ScanAnalytics.flush();
+    }
+});
+
+// Export for global use
+window.ScanAnalytics = ScanAnalytics;
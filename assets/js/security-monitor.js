@@ -14,9 +14,7 @@
 class SecurityMonitor extends EventTarget {
     /**
      * @typedef {Object} SecurityMonitorConfig
-     * @property {number} maxFailedAttempts - Maximum failed login attempts
      * @property {number} suspiciousThreshold - Threshold for suspicious activity
-     * @property {number} lockoutDuration - Account lockout duration in milliseconds
      * @property {boolean} enableDevToolsDetection - Detect developer tools
      * @property {boolean} enableRightClickProtection - Disable right-click
      * @property {boolean} enableKeyboardProtection - Monitor keyboard shortcuts
@@ -32,9 +30,7 @@ class SecurityMonitor extends EventTarget {
         super();
         
         this.config = {
-            maxFailedAttempts: 3,
             suspiciousThreshold: 10,
-            lockoutDuration: 15 * 60 * 1000,    // 15 minutes
             sessionTimeoutThreshold: 8 * 60 * 60 * 1000, // 8 hours
             enableDevToolsDetection: true,
             enableRightClickProtection: false,
@@ -57,6 +53,7 @@ class SecurityMonitor extends EventTarget {
             sessionId: null,
             userId: null,
             failedAttempts: 0,
+            attemptsRemaining: null,
             suspiciousActivities: [],
             securityEvents: [],
             lockoutEndTime: null,
@@ -99,9 +96,6 @@ class SecurityMonitor extends EventTarget {
             // Get client IP and basic info
             await this.initializeClientInfo();
             
-            // Check for existing lockout
-            this.checkLockoutStatus();
-            
             // Start monitoring components
             this.startEventListeners();
             this.startPeriodicChecks();
@@ -169,34 +163,36 @@ class SecurityMonitor extends EventTarget {
 
     /**
      * Record failed login attempt
-     * @param {Object} attemptInfo - Attempt information
-     * @returns {Promise<boolean>} Whether account should be locked
+     * Counters and locks live on the backend; this only mirrors the throttle info of the login result
+     * @param {Object} attemptInfo - Attempt information ({ username, throttle } จาก error ของ AuthAPI.login)
+     * @returns {Promise<boolean>} Whether the backend locked the account
      */
     async recordFailedAttempt(attemptInfo = {}) {
         try {
-            this.state.failedAttempts++;
+            const { throttle = {}, ...info } = attemptInfo;
+            this.state.failedAttempts = throttle.failedAttempts || this.state.failedAttempts + 1;
+            this.state.attemptsRemaining = throttle.attemptsRemaining !== undefined ? throttle.attemptsRemaining : null;
             
             this.logSecurityEvent('failed_login_attempt', {
                 attemptNumber: this.state.failedAttempts,
-                username: attemptInfo.username || 'unknown',
+                username: info.username || 'unknown',
                 ipAddress: this.state.ipAddress,
                 userAgent: this.state.userAgent,
                 timestamp: Date.now(),
-                ...attemptInfo
+                ...info
             });
 
-            // Check if lockout threshold reached
-            if (this.state.failedAttempts >= this.config.maxFailedAttempts) {
-                await this.triggerAccountLockout();
+            if (throttle.lockedUntil) {
+                await this.triggerAccountLockout(throttle.lockedUntil);
                 return true;
             }
 
             // Trigger warning if approaching limit
-            if (this.state.failedAttempts >= this.config.maxFailedAttempts - 1) {
+            if (this.state.attemptsRemaining === 1) {
                 this.dispatchEvent(new CustomEvent('security:warning', {
                     detail: {
                         type: 'approaching_lockout',
-                        attemptsRemaining: this.config.maxFailedAttempts - this.state.failedAttempts
+                        attemptsRemaining: this.state.attemptsRemaining
                     }
                 }));
             }
@@ -217,6 +213,7 @@ class SecurityMonitor extends EventTarget {
     recordSuccessfulLogin(loginInfo = {}) {
         // Reset failed attempts on successful login
         this.state.failedAttempts = 0;
+        this.state.attemptsRemaining = null;
         
         this.logSecurityEvent('successful_login', {
             userId: loginInfo.userId || this.state.userId,
@@ -272,30 +269,23 @@ class SecurityMonitor extends EventTarget {
 
     /**
      * Trigger account lockout
+     * @param {string} lockedUntil - เวลาสิ้นสุดการล็อก (ISO) ตามที่ backend กำหนด
      * @returns {Promise<void>}
      * @private
      */
-    async triggerAccountLockout() {
+    async triggerAccountLockout(lockedUntil) {
         try {
-            this.state.lockoutEndTime = Date.now() + this.config.lockoutDuration;
+            this.state.lockoutEndTime = new Date(lockedUntil).getTime();
             
             this.logSecurityEvent('account_locked', {
                 reason: 'max_failed_attempts',
                 failedAttempts: this.state.failedAttempts,
-                lockoutDuration: this.config.lockoutDuration,
                 lockoutEndTime: this.state.lockoutEndTime
             });
 
-            // Store lockout in localStorage
-            localStorage.setItem('security_lockout', JSON.stringify({
-                endTime: this.state.lockoutEndTime,
-                reason: 'max_failed_attempts',
-                timestamp: Date.now()
-            }));
-
             this.dispatchEvent(new CustomEvent('security:lockout', {
                 detail: {
-                    duration: this.config.lockoutDuration,
+                    duration: this.getLockoutTimeRemaining(),
                     endTime: this.state.lockoutEndTime,
                     reason: 'max_failed_attempts'
                 }
@@ -637,7 +627,7 @@ class SecurityMonitor extends EventTarget {
         // Check failed attempts
         if (this.state.failedAttempts > 0) {
             assessment.factors.push('failed_attempts');
-            if (this.state.failedAttempts >= this.config.maxFailedAttempts - 1) {
+            if (this.state.attemptsRemaining !== null && this.state.attemptsRemaining <= 1) {
                 assessment.riskLevel = 'high';
             }
         }
@@ -749,33 +739,12 @@ class SecurityMonitor extends EventTarget {
         }
     }
 
-    /**
-     * Check lockout status
-     * @private
-     */
-    checkLockoutStatus() {
-        try {
-            const lockoutData = localStorage.getItem('security_lockout');
-            if (lockoutData) {
-                const lockout = JSON.parse(lockoutData);
-                if (Date.now() < lockout.endTime) {
-                    this.state.lockoutEndTime = lockout.endTime;
-                } else {
-                    this.clearLockout();
-                }
-            }
-        } catch (error) {
-            console.error('Failed to check lockout status:', error);
-        }
-    }
-
     /**
      * Clear lockout
      * @private
      */
     clearLockout() {
         this.state.lockoutEndTime = null;
-        localStorage.removeItem('security_lockout');
     }
 
     /**
@@ -940,6 +909,7 @@ class SecurityMonitor extends EventTarget {
         this.state.securityEvents = [];
         this.state.suspiciousActivities = [];
         this.state.failedAttempts = 0;
+        this.state.attemptsRemaining = null;
         this.clearLockout();
         
         this.dispatchEvent(new CustomEvent('security:data_cleared'));
@@ -0,0 +1,118 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Shipment Timeline
+ * =====================================
+ * บันทึกเหตุการณ์หลังเก็บเกี่ยวของแต่ละรหัสจัดส่ง (บรรจุ ส่งมอบ จุดตรวจความเย็น ถึงปลายทาง)
+ * แสดงเป็นไทม์ไลน์ในหน้าผลการค้นหา และให้ผู้ที่มีสิทธิ์เพิ่มเหตุการณ์ได้จากหน้าเดียวกัน
+ */
+
+const ShipmentTimeline = {
+    ICONS: {
+        packing: 'fas fa-box',
+        handoff: 'fas fa-truck-loading',
+        checkpoint: 'fas fa-temperature-low',
+        arrival: 'fas fa-store'
+    },
+
+    /**
+     * Event type label in the current language
+     */
+    typeLabel(type) {
+        return I18n.t(`shipment.type.${type}`, {}, CONFIG.SHIPMENT_EVENT_TYPES[type] || type);
+    },
+
+    /**
+     * Whether the signed-in user may append events
+     * @param {Object} user - ข้อมูลผู้ใช้จาก Storage (null = ยังไม่เข้าสู่ระบบ)
+     */
+    canRecord(user) {
+        return Permissions.can('create', 'shipment_events', user);
+    },
+
+    /**
+     * Render events oldest first
+     * @param {HTMLElement} container - กล่องที่จะแสดงไทม์ไลน์
+     * @param {Array} events - รายการจาก getShipmentEvents
+     */
+    render(container, events) {
+        if (!container) return;
+
+        if (!events || events.length === 0) {
+            container.innerHTML = `
+                <div class="text-center text-muted py-4">
+                    <i class="fas fa-route mb-2"></i>
+                    <p>${I18n.t('shipment.empty')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="shipment-timeline">
+                ${events.map(event => `
+                    <li class="shipment-timeline-item">
+                        <span class="shipment-timeline-icon"><i class="${this.ICONS[event.type] || 'fas fa-circle'}"></i></span>
+                        <div class="fw-medium">${Utils.escapeHtml(this.typeLabel(event.type))}</div>
+                        <small class="text-muted d-block">
+                            ${I18n.formatDate(event.timestamp, true)} · ${Utils.escapeHtml(event.location)}
+                        </small>
+                        ${event.temperature !== null && event.temperature !== undefined && event.temperature !== ''
+                            ? `<span class="badge bg-info text-dark mt-1"><i class="fas fa-thermometer-half me-1"></i>${Number(event.temperature)} °C</span>`
+                            : ''}
+                        ${event.note ? `<p class="small mb-0 mt-1">${Utils.escapeHtml(event.note)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    },
+
+    /**
+     * Ask for a new event
+     * @return {Promise<Object|null>} { type, location, temperature, note } หรือ null ถ้ายกเลิก
+     */
+    async promptEvent() {
+        const result = await Swal.fire({
+            title: I18n.t('shipment.promptTitle'),
+            html: `
+                <div class="text-start">
+                    <label class="form-label" for="shipmentEventType">${I18n.t('shipment.event')}</label>
+                    <select class="form-select mb-3" id="shipmentEventType">
+                        ${Object.keys(CONFIG.SHIPMENT_EVENT_TYPES).map(value => `<option value="${value}">${this.typeLabel(value)}</option>`).join('')}
+                    </select>
+                    <label class="form-label" for="shipmentEventLocation">${I18n.t('shipment.location')}</label>
+                    <input type="text" class="form-control mb-3" id="shipmentEventLocation" maxlength="200"
+                           placeholder="${I18n.t('shipment.locationPlaceholder')}">
+                    <label class="form-label" for="shipmentEventTemperature">${I18n.t('shipment.temperature')}</label>
+                    <input type="number" class="form-control mb-3" id="shipmentEventTemperature" step="0.1" min="-30" max="60">
+                    <label class="form-label" for="shipmentEventNote">${I18n.t('shipment.note')}</label>
+                    <textarea class="form-control" id="shipmentEventNote" rows="2" maxlength="500"
+                              placeholder="${I18n.t('shipment.notePlaceholder')}"></textarea>
+                </div>
+            `,
+            showCancelButton: true,
+            confirmButtonText: I18n.t('common.save'),
+            cancelButtonText: I18n.t('common.cancel'),
+            confirmButtonColor: '#198754',
+            preConfirm: () => {
+                const value = (id) => document.getElementById(id).value.trim();
+                const data = {
+                    type: value('shipmentEventType'),
+                    location: Utils.sanitizeInput(value('shipmentEventLocation')),
+                    temperature: value('shipmentEventTemperature'),
+                    note: Utils.sanitizeInput(value('shipmentEventNote'))
+                };
+
+                if (!data.location) {
+                    Swal.showValidationMessage(I18n.t('shipment.locationRequired'));
+                    return false;
+                }
+
+                return data;
+            }
+        });
+
+        return result.isConfirmed ? result.value : null;
+    }
+};
+
+// Export for global use
+window.ShipmentTimeline = ShipmentTimeline;
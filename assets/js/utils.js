@@ -7,23 +7,91 @@
 const CONFIG = {
     // Google Apps Script Web App URL - ต้องอัปเดตเป็น URL ที่ Deploy จริง
     API_BASE_URL: 'https://script.google.com/macros/s/AKfycbyAxBh-W6ecxrRGOv5HT51e2aHQ82Ta-K8WHa8kY8tUt21Ky5TLJje58-qUzZJT_B5s/exec',
-    
+
+    // Public key (JWK) ที่ backend ใช้ลงนาม QR - private key อยู่ที่ backend เท่านั้น
+    // ไม่ได้ตั้งค่า = QR แบบลงนามทุกรหัสตรวจไม่ผ่าน (ไม่แสดงว่าเป็นของแท้)
+    QR_SIGNING_PUBLIC_KEY: null,
+
+    // API transport: 'appsScript' (production), 'rest' หรือ 'mock' (ทำงานออฟไลน์)
+    API_TRANSPORT: 'appsScript',
+
+    // โหมดพัฒนา: อนุญาต ?transport=mock ใน URL และโหลด mock-backend.js เมื่อจำเป็น
+    // ห้ามเปิดบนเว็บจริง - mock มีบัญชีตัวอย่าง (admin/admin123 ฯลฯ)
+    DEV_MODE: false,
+    REST_API_BASE_URL: '/api',
+    MOCK_LATENCY: 300,
+
+    // ไฟล์ที่ใหญ่กว่านี้จะอัปโหลดทีละส่วน (bytes)
+    UPLOAD_CHUNK_SIZE: 512 * 1024,
+
+    // ตรวจสอบ payload/result ตาม APISchemas: 'strict' (throw), 'warn' (log อย่างเดียว), 'off'
+    // ใช้ 'warn' จนกว่า schema จะตรวจเทียบกับ Apps Script ที่ deploy จริงแล้ว (schema เขียนจาก mock)
+    API_SCHEMA_MODE: 'warn',
+
     // QR Code patterns
     QR_CODE_PATTERN: /^(\d{2})-(\d{13})$/,
     SEARCH_CODE_PATTERN: /^(\d{8})-(\d{3})$/,
-    
+
+    // แปลงค่าบาร์โค้ด (EAN-13, Code128, DataMatrix) เป็นรหัสผลิตภัณฑ์ของระบบ
+    // template ใช้กลุ่มจาก pattern แบบ String.replace ($1, $2) และต้องได้ผลตรง QR_CODE_PATTERN
+    BARCODE_RULES: [
+        // Code128 พิมพ์รหัสผลิตภัณฑ์แบบไม่มีขีด: GG + PLOT 13 หลัก
+        { name: 'code128_plain', formats: ['code_128'], pattern: '^(\\d{2})(\\d{13})$', template: '$1-$2' },
+        // GS1 DataMatrix/Code128: AI (10) = lot ที่เก็บรหัสผลิตภัณฑ์ไว้
+        { name: 'gs1_lot', formats: ['data_matrix', 'code_128'], pattern: '\\(?10\\)?(\\d{2})-?(\\d{13})', template: '$1-$2' },
+        // รหัสผลิตภัณฑ์อยู่ในข้อความ/URL ที่เข้ารหัสไว้
+        { name: 'embedded', formats: ['data_matrix', 'code_128', 'qr_code', 'text'], pattern: '(\\d{2})-(\\d{13})', template: '$1-$2' }
+    ],
+
+    // format ที่ถามฐานข้อมูลต่อเมื่อไม่ตรงกฎ (EAN-13 เป็นเลขสินค้าขายปลีก ต้องจับคู่ที่ backend)
+    BARCODE_LOOKUP_FORMATS: ['ean_13', 'code_128', 'data_matrix'],
+
+    // ประเภทความคิดเห็นจากผู้บริโภค (ฟอร์มในหน้าผลการค้นหา และกล่องข้อความของกลุ่ม)
+    FEEDBACK_CATEGORIES: {
+        general: 'ชมเชย / ข้อเสนอแนะทั่วไป',
+        quality: 'คุณภาพหรือความสดของผัก',
+        labeling: 'ฉลากหรือข้อมูลไม่ตรงกับสินค้า',
+        contamination: 'สิ่งปนเปื้อนหรือสารตกค้าง',
+        packaging: 'บรรจุภัณฑ์เสียหาย',
+        other: 'อื่นๆ'
+    },
+    FEEDBACK_STATUSES: {
+        new: 'ใหม่',
+        in_progress: 'กำลังดำเนินการ',
+        resolved: 'แก้ไขแล้ว'
+    },
+
+    // เหตุการณ์หลังเก็บเกี่ยวของรหัสจัดส่ง (ไทม์ไลน์ในหน้าผลการค้นหา)
+    SHIPMENT_EVENT_TYPES: {
+        packing: 'บรรจุหีบห่อ',
+        handoff: 'ส่งมอบให้ผู้ขนส่ง',
+        checkpoint: 'จุดตรวจห่วงโซ่ความเย็น',
+        arrival: 'ถึงตลาด / ร้านค้าปลีก'
+    },
+
     // Roles
     ROLES: {
         ADMIN: 'admin',
+        AUDITOR: 'auditor',
         GROUP: 'group',
+        GROUP_ASSISTANT: 'group_assistant',
         FARMER: 'farmer'
     },
     
     // Storage keys
     STORAGE_KEYS: {
         AUTH_TOKEN: 'auth_token',
+        REFRESH_TOKEN: 'refresh_token',
+        TOKEN_EXPIRES_AT: 'token_expires_at',
+        CLIENT_ID: 'client_id',
         USER_DATA: 'user_data',
-        LAST_LOGIN: 'last_login'
+        LAST_LOGIN: 'last_login',
+        API_TRANSPORT: 'api_transport',
+        RECENT_PRODUCTS: 'recent_products',
+        CHUNKED_UPLOADS: 'chunked_uploads',
+        SCAN_EVENTS: 'scan_events',
+        LANGUAGE: 'language',
+        CALENDAR: 'calendar'
     }
 };
 
@@ -33,37 +101,17 @@ const CONFIG = {
 const Utils = {
     
     /**
-     * Format date to Thai format
+     * Format date (ภาษาและปฏิทิน พ.ศ./ค.ศ. ตามที่ผู้ใช้เลือก - ดู Dates)
      */
     formatDateThai: function(date) {
-        if (!date) return '-';
-        
-        const options = {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            timeZone: 'Asia/Bangkok'
-        };
-        
-        return new Date(date).toLocaleDateString('th-TH', options);
+        return Dates.format(date);
     },
     
     /**
-     * Format date and time to Thai format
+     * Format date and time
      */
     formatDateTimeThai: function(date) {
-        if (!date) return '-';
-        
-        const options = {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit',
-            timeZone: 'Asia/Bangkok'
-        };
-        
-        return new Date(date).toLocaleDateString('th-TH', options);
+        return Dates.format(date, { withTime: true });
     },
     
     /**
@@ -271,9 +319,7 @@ const Utils = {
      * Get current timestamp in Thai format
      */
     getCurrentTimestamp: function() {
-        return new Date().toLocaleString('th-TH', {
-            timeZone: 'Asia/Bangkok'
-        });
+        return Dates.format(new Date(), { withTime: true });
     },
     
     /**
@@ -454,21 +500,7 @@ const Utils = {
      * Get time ago string
      */
     getTimeAgo: function(date) {
-        if (!date) return '';
-        
-        const now = new Date();
-        const past = new Date(date);
-        const diffMs = now - past;
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
-        
-        if (diffMins < 1) return 'เมื่อกี้นี้';
-        if (diffMins < 60) return `${diffMins} นาทีที่แล้ว`;
-        if (diffHours < 24) return `${diffHours} ชั่วโมงที่แล้ว`;
-        if (diffDays < 7) return `${diffDays} วันที่แล้ว`;
-        
-        return this.formatDateThai(date);
+        return Dates.relative(date);
     }
 };
 
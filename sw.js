@@ -0,0 +1,170 @@
+/**
+ * ระบบสอบย้อนกลับผักอุดร - Service Worker
+ * =====================================
+ * Precache หน้า HTML, CSS, JS ใต้ assets/ เพื่อให้สแกนเนอร์และหน้ากรอกข้อมูลเปิดได้แบบออฟไลน์
+ * เปลี่ยน CACHE_VERSION ทุกครั้งที่แก้ไฟล์ในรายการ PRECACHE_URLS
+ */
+
+const CACHE_VERSION = 'v37';
+const PRECACHE = `udon-veg-precache-${CACHE_VERSION}`;
+const RUNTIME = `udon-veg-runtime-${CACHE_VERSION}`;
+
+// Paths are relative to the service worker scope (site root)
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'login.html',
+    'search.html',
+    'qr-result.html',
+    'change-password.html',
+    'two-factor.html',
+    'manifest.webmanifest',
+    'public/qr-result.html',
+    'farmer/dashboard.html',
+    'farmer/data-entry.html',
+    'farmer/view-data.html',
+    'group/dashboard.html',
+    'group/manage-farmers.html',
+    'group/profile.html',
+    'group/reports.html',
+    'admin/dashboard.html',
+    'admin/manage-groups.html',
+    'admin/reports.html',
+    'admin/users.html',
+    'assets/css/auth.css',
+    'assets/css/components.css',
+    'assets/css/hero.css',
+    'assets/css/main.css',
+    'assets/css/responsive.css',
+    'assets/images/icon.svg',
+    'assets/images/qr-sample.png',
+    'assets/js/admin-reports.js',
+    'assets/js/api-schemas.js',
+    'assets/js/api.js',
+    'assets/js/app.js',
+    'assets/js/auth-tokens.js',
+    'assets/js/auth.js',
+    'assets/js/auto-logout-components-part2.js',
+    'assets/js/auto-logout-components.js',
+    'assets/js/barcode-decoder.js',
+    'assets/js/batch-scan.js',
+    'assets/js/charts.js',
+    'assets/js/dates.js',
+    'assets/js/farmer.js',
+    'assets/js/form-handler.js',
+    'assets/js/group-reports.js',
+    'assets/js/group.js',
+    'assets/js/i18n.js',
+    'assets/js/mobile-optimizations.js',
+    'assets/js/offline-outbox.js',
+    'assets/js/password-policy.js',
+    'assets/js/permissions.js',
+    'assets/js/photo-metadata.js',
+    'assets/js/pwa.js',
+    'assets/js/qr-scanner.js',
+    'assets/js/qr-label-sheet.js',
+    'assets/js/qr-signature.js',
+    'assets/js/recalls.js',
+    'assets/js/scan-analytics.js',
+    'assets/js/security-monitor.js',
+    'assets/js/shipment-timeline.js',
+    'assets/js/utils.js'
+];
+
+// CDN libraries the scanner and result pages need (best effort - install never fails on these)
+const CDN_URLS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/animate.css/4.1.1/animate.min.css',
+    'https://unpkg.com/qr-scanner@1.4.2/qr-scanner.umd.min.js',
+    'https://unpkg.com/qr-scanner@1.4.2/qr-scanner-worker.min.js',
+    'https://unpkg.com/@zxing/library@0.20.0/umd/index.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/qrious/4.0.2/qrious.min.js',
+    // Batch-scan PDF export has to work in the field without a connection
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/axios@1.4.0/dist/axios.min.js',
+    'https://cdn.jsdelivr.net/npm/sweetalert2@11'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const precache = await caches.open(PRECACHE);
+        await precache.addAll(PRECACHE_URLS);
+
+        const runtime = await caches.open(RUNTIME);
+        await Promise.all(CDN_URLS.map(url =>
+            runtime.add(url).catch(error => console.warn('SW: skip CDN precache', url, error))
+        ));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('udon-veg-') && key !== PRECACHE && key !== RUNTIME)
+            .map(key => caches.delete(key)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // API calls are POST (Apps Script) - never cached here
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * HTML: network first so users get new pages, cached copy when offline
+ * ignoreSearch lets qr-result.html?code=... use the precached page
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || (await caches.match('index.html')) || Response.error();
+    }
+}
+
+/**
+ * Static assets: answer from cache, refresh in background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await caches.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}